@@ -0,0 +1,756 @@
+/**
+ * js/code-viewer.js - Virtualized Code Viewer for File Previews
+ *
+ * This module renders text and source files inside the preview modal by:
+ * 1. Highlighting syntax with lightweight, line-oriented tokenizers
+ * 2. Showing line numbers in a sticky gutter
+ * 3. Only creating DOM rows for the lines in view, so large files stay fast
+ * 4. Supporting word wrap without losing virtualization (monospace row math)
+ * 5. Providing a find-in-file box that jumps between matches
+ */
+
+// Language definitions for the tokenizer, keyed by language id
+const CODE_LANGUAGES = (function() {
+    const words = (list) => new Set(list.split(' '));
+
+    const cLikeKeywords = 'if else for while do switch case default break continue return try catch finally throw ' +
+        'new delete class struct enum interface extends implements public private protected static final const ' +
+        'void int long short float double char bool boolean byte unsigned signed true false null this super ' +
+        'import package namespace using virtual override abstract typeof sizeof goto volatile extern inline';
+
+    return {
+        plain: { name: 'Plain Text' },
+        javascript: {
+            name: 'JavaScript',
+            lineComment: '//',
+            blockComment: ['/*', '*/'],
+            strings: ['"', "'"],
+            multilineStrings: ['`'],
+            keywords: words('var let const function return if else for while do switch case default break continue ' +
+                'new delete typeof instanceof in of class extends super this import export from as async await ' +
+                'yield try catch finally throw true false null undefined void static get set interface type enum ' +
+                'implements public private protected readonly declare namespace')
+        },
+        clike: {
+            name: 'C-like',
+            lineComment: '//',
+            blockComment: ['/*', '*/'],
+            strings: ['"', "'"],
+            keywords: words(cLikeKeywords + ' func go defer chan map range select fallthrough var let fun val ' +
+                'when object companion data sealed guard struct protocol extension where self nil')
+        },
+        php: {
+            name: 'PHP',
+            lineComment: '//',
+            blockComment: ['/*', '*/'],
+            strings: ['"', "'"],
+            keywords: words('function return if else elseif for foreach while do switch case default break continue ' +
+                'new class extends implements public private protected static const echo print isset unset empty ' +
+                'array true false null this namespace use try catch finally throw require include require_once include_once')
+        },
+        python: {
+            name: 'Python',
+            lineComment: '#',
+            strings: ['"', "'"],
+            multilineStrings: ['"""', "'''"],
+            keywords: words('def class return if elif else for while break continue pass import from as with try ' +
+                'except finally raise lambda yield global nonlocal in is not and or True False None async await del assert self')
+        },
+        ruby: {
+            name: 'Ruby',
+            lineComment: '#',
+            strings: ['"', "'"],
+            keywords: words('def class module end if elsif else unless while until for in do return yield begin rescue ' +
+                'ensure raise next break redo retry self nil true false and or not require attr_accessor attr_reader')
+        },
+        css: {
+            name: 'CSS',
+            blockComment: ['/*', '*/'],
+            strings: ['"', "'"],
+            properties: true
+        },
+        json: {
+            name: 'JSON',
+            strings: ['"'],
+            keywords: words('true false null'),
+            keys: true
+        },
+        markup: {
+            name: 'Markup',
+            blockComment: ['<!--', '-->'],
+            markup: true
+        }
+    };
+})();
+
+// Extension to language id mapping
+const CODE_LANGUAGE_EXTENSIONS = {
+    js: 'javascript', jsx: 'javascript', ts: 'javascript', tsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+    java: 'clike', c: 'clike', h: 'clike', cpp: 'clike', hpp: 'clike', cs: 'clike',
+    go: 'clike', swift: 'clike', kt: 'clike',
+    php: 'php',
+    py: 'python',
+    rb: 'ruby',
+    css: 'css',
+    json: 'json',
+    html: 'markup', xml: 'markup', svg: 'markup'
+};
+
+class CodeViewer {
+    /**
+     * Create a new code viewer
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} options - Configuration options
+     */
+    constructor(container, options = {}) {
+        this.options = {
+            text: '',                 // File content
+            extension: '',            // File extension, used to pick a language
+            lineHeight: 20,           // Row height in px (must match CSS)
+            overscan: 20,             // Extra rows to render above and below the view
+            tabSize: 4,               // Spaces per tab
+            wrap: false,              // Initial word wrap state
+            maxMatches: 10000,        // Stop collecting find results past this
+            maxHighlightLength: 5000, // Lines longer than this are not highlighted
+            ...options
+        };
+
+        this.container = container;
+        this.languageId = CODE_LANGUAGE_EXTENSIONS[(this.options.extension || '').toLowerCase()] || 'plain';
+        this.language = CODE_LANGUAGES[this.languageId];
+        this.wrap = this.options.wrap;
+
+        // Split once; tabs are expanded so columns line up with the monospace grid
+        const tabSpaces = ' '.repeat(this.options.tabSize);
+        this.lines = this.options.text.replace(/\r\n?/g, '\n').split('\n').map(line => line.replace(/\t/g, tabSpaces));
+        this.maxLineLength = this.lines.reduce((max, line) => Math.max(max, line.length), 0);
+
+        // Tokenizer state at the start of each line, filled in lazily
+        this.lineStates = [null];
+
+        // Row offsets (prefix sums of wrapped row counts)
+        this.offsets = null;
+        this.charWidth = 8;
+        this.columns = Infinity;
+
+        // Find state
+        this.query = '';
+        this.matches = [];
+        this.matchesByLine = new Map();
+        this.currentMatch = -1;
+
+        this.renderScheduled = false;
+
+        this.buildDom();
+        this.measure();
+        this.computeOffsets();
+        this.render();
+
+        if ('ResizeObserver' in window) {
+            this.resizeObserver = new ResizeObserver(() => this.handleResize());
+            this.resizeObserver.observe(this.scroller);
+        }
+    }
+
+    /**
+     * Build the toolbar and scroll containers
+     */
+    buildDom() {
+        this.root = document.createElement('div');
+        this.root.className = 'code-viewer';
+        this.root.tabIndex = 0;
+
+        // Toolbar
+        const toolbar = document.createElement('div');
+        toolbar.className = 'code-toolbar';
+
+        const find = document.createElement('div');
+        find.className = 'code-find';
+        find.innerHTML = `
+            <i class="fas fa-search"></i>
+            <input type="text" class="code-find-input" placeholder="Find in file" spellcheck="false">
+            <span class="code-find-count"></span>
+            <button class="code-find-prev" title="Previous match (Shift+Enter)"><i class="fas fa-chevron-up"></i></button>
+            <button class="code-find-next" title="Next match (Enter)"><i class="fas fa-chevron-down"></i></button>
+        `;
+        toolbar.appendChild(find);
+
+        this.wrapButton = document.createElement('button');
+        this.wrapButton.className = 'code-wrap-toggle';
+        this.wrapButton.title = 'Toggle word wrap (Alt+Z)';
+        this.wrapButton.innerHTML = '<i class="fas fa-align-left"></i> Wrap';
+        toolbar.appendChild(this.wrapButton);
+
+        const info = document.createElement('span');
+        info.className = 'code-info';
+        info.textContent = `${this.lines.length.toLocaleString()} line${this.lines.length === 1 ? '' : 's'} · ${this.language.name}`;
+        toolbar.appendChild(info);
+
+        this.root.appendChild(toolbar);
+
+        // Scroll area with a spacer sized to the full document
+        this.scroller = document.createElement('div');
+        this.scroller.className = 'code-scroller';
+        this.spacer = document.createElement('div');
+        this.spacer.className = 'code-spacer';
+        this.linesElement = document.createElement('div');
+        this.linesElement.className = 'code-lines';
+        this.spacer.appendChild(this.linesElement);
+        this.scroller.appendChild(this.spacer);
+        this.root.appendChild(this.scroller);
+
+        this.container.appendChild(this.root);
+
+        this.findInput = find.querySelector('.code-find-input');
+        this.findCount = find.querySelector('.code-find-count');
+
+        // Gutter width depends on the number of digits in the last line number
+        this.gutterChars = String(this.lines.length).length + 1;
+        this.root.style.setProperty('--code-gutter-chars', this.gutterChars);
+        this.root.style.setProperty('--code-line-height', `${this.options.lineHeight}px`);
+        this.setWrap(this.wrap);
+
+        // Event listeners
+        this.handleScroll = () => this.scheduleRender();
+        this.scroller.addEventListener('scroll', this.handleScroll);
+        this.wrapButton.addEventListener('click', () => this.setWrap(!this.wrap));
+        this.findInput.addEventListener('input', () => this.find(this.findInput.value));
+        this.findInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.stepMatch(e.shiftKey ? -1 : 1);
+            }
+        });
+        find.querySelector('.code-find-prev').addEventListener('click', () => this.stepMatch(-1));
+        find.querySelector('.code-find-next').addEventListener('click', () => this.stepMatch(1));
+        this.root.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.findInput.focus();
+                this.findInput.select();
+            } else if (e.altKey && e.key === 'z') {
+                e.preventDefault();
+                this.setWrap(!this.wrap);
+            }
+        });
+    }
+
+    /**
+     * Measure character width and available columns for wrapping
+     */
+    measure() {
+        const probe = document.createElement('span');
+        probe.className = 'code-text';
+        probe.style.visibility = 'hidden';
+        probe.style.position = 'absolute';
+        probe.textContent = 'M'.repeat(100);
+        this.linesElement.appendChild(probe);
+        // offsetWidth ignores the modal's opening scale transform
+        this.charWidth = probe.offsetWidth / 100 || 8;
+        probe.remove();
+
+        const gutterWidth = (this.gutterChars + 2) * this.charWidth;
+        const available = this.scroller.clientWidth - gutterWidth - this.charWidth;
+        this.columns = Math.max(20, Math.floor(available / this.charWidth));
+    }
+
+    /**
+     * Compute row offsets for every line
+     */
+    computeOffsets() {
+        const count = this.lines.length;
+        const lineHeight = this.options.lineHeight;
+        this.offsets = new Float64Array(count + 1);
+
+        for (let i = 0; i < count; i++) {
+            const rows = this.wrap ? Math.max(1, Math.ceil(this.lines[i].length / this.columns)) : 1;
+            this.offsets[i + 1] = this.offsets[i] + rows * lineHeight;
+        }
+
+        this.spacer.style.height = `${this.offsets[count]}px`;
+        this.spacer.style.width = this.wrap
+            ? ''
+            : `${(this.gutterChars + 3 + this.maxLineLength) * this.charWidth}px`;
+    }
+
+    /**
+     * Handle container resize
+     */
+    handleResize() {
+        const previousColumns = this.columns;
+        this.measure();
+        if (this.wrap && this.columns !== previousColumns) {
+            this.computeOffsets();
+        }
+        this.scheduleRender();
+    }
+
+    /**
+     * Toggle word wrap while keeping the top line in view
+     * @param {boolean} wrap - Whether to wrap long lines
+     */
+    setWrap(wrap) {
+        const topLine = this.offsets ? this.lineAtOffset(this.scroller.scrollTop) : 0;
+
+        this.wrap = wrap;
+        this.root.classList.toggle('wrapped', wrap);
+        this.wrapButton.classList.toggle('active', wrap);
+        this.wrapButton.setAttribute('aria-pressed', String(wrap));
+
+        if (this.offsets) {
+            this.computeOffsets();
+            this.scroller.scrollTop = this.offsets[topLine];
+            this.render();
+        }
+    }
+
+    /**
+     * Find the line containing a vertical offset
+     * @param {number} offset - Offset in px from the top of the document
+     * @returns {number} Line index
+     */
+    lineAtOffset(offset) {
+        let low = 0;
+        let high = this.lines.length - 1;
+
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.offsets[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * Schedule a render pass
+     */
+    scheduleRender() {
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.render();
+        });
+    }
+
+    /**
+     * Render the rows currently in view
+     */
+    render() {
+        if (!this.root.isConnected) return;
+
+        const { overscan } = this.options;
+        const scrollTop = this.scroller.scrollTop;
+        const viewHeight = this.scroller.clientHeight || 600;
+
+        const first = Math.max(0, this.lineAtOffset(scrollTop) - overscan);
+        const last = Math.min(this.lines.length - 1, this.lineAtOffset(scrollTop + viewHeight) + overscan);
+
+        let html = '';
+        for (let i = first; i <= last; i++) {
+            const height = this.offsets[i + 1] - this.offsets[i];
+            const current = this.currentMatch >= 0 && this.matches[this.currentMatch].line === i;
+            html += `<div class="code-line${current ? ' current' : ''}" style="height:${height}px">` +
+                `<span class="code-gutter">${i + 1}</span>` +
+                `<span class="code-text">${this.renderLine(i)}</span></div>`;
+        }
+
+        this.linesElement.style.transform = `translateY(${this.offsets[first]}px)`;
+        this.linesElement.innerHTML = html;
+    }
+
+    /**
+     * Render one line to highlighted HTML, including find matches
+     * @param {number} index - Line index
+     * @returns {string} HTML for the line
+     */
+    renderLine(index) {
+        const tokens = this.tokenizeLine(index);
+        const matches = this.matchesByLine.get(index) || [];
+        const length = this.query.length;
+        let html = '';
+        let offset = 0;
+
+        tokens.forEach(token => {
+            const end = offset + token.text.length;
+            let cursor = offset;
+            let segmentHtml = '';
+
+            // Split the token at match boundaries so marks can span token edges
+            matches.forEach(match => {
+                const matchStart = Math.max(match.column, cursor);
+                const matchEnd = Math.min(match.column + length, end);
+                if (matchStart >= matchEnd) return;
+
+                segmentHtml += escapeCodeHtml(token.text.slice(cursor - offset, matchStart - offset));
+                const currentClass = match.index === this.currentMatch ? ' current' : '';
+                segmentHtml += `<mark class="code-match${currentClass}">${escapeCodeHtml(token.text.slice(matchStart - offset, matchEnd - offset))}</mark>`;
+                cursor = matchEnd;
+            });
+            segmentHtml += escapeCodeHtml(token.text.slice(cursor - offset));
+
+            html += token.type ? `<span class="tok-${token.type}">${segmentHtml}</span>` : segmentHtml;
+            offset = end;
+        });
+
+        // Keep empty lines at full height
+        return html || ' ';
+    }
+
+    /**
+     * Tokenize a line, computing the starting state of earlier lines on demand
+     * @param {number} index - Line index
+     * @returns {Array} Tokens ({ type, text })
+     */
+    tokenizeLine(index) {
+        // Walk forward from the last known state; block comments and multi-line
+        // strings make a line's highlighting depend on everything above it
+        for (let i = this.lineStates.length - 1; i < index; i++) {
+            this.lineStates[i + 1] = this.tokenize(this.lines[i], this.lineStates[i]).state;
+        }
+
+        return this.tokenize(this.lines[index], this.lineStates[index]).tokens;
+    }
+
+    /**
+     * Tokenize a single line of text
+     * @param {string} text - Line text
+     * @param {Object|null} state - Open comment/string carried from the previous line
+     * @returns {Object} Tokens and the state at the end of the line
+     */
+    tokenize(text, state) {
+        const lang = this.language;
+        const tokens = [];
+        let i = 0;
+        let plainStart = 0;
+
+        // Very long lines (minified files) are shown unhighlighted
+        if (lang === CODE_LANGUAGES.plain || text.length > this.options.maxHighlightLength) {
+            return { tokens: [{ type: null, text }], state };
+        }
+
+        const push = (type, end) => {
+            if (i > plainStart) tokens.push({ type: null, text: text.slice(plainStart, i) });
+            tokens.push({ type, text: text.slice(i, end) });
+            i = end;
+            plainStart = end;
+        };
+        const matchAt = (pattern) => {
+            pattern.lastIndex = i;
+            const match = pattern.exec(text);
+            return match ? match[0] : null;
+        };
+
+        // Continue an open block comment or multi-line string
+        if (state) {
+            const close = text.indexOf(state.end);
+            if (close === -1) {
+                return { tokens: [{ type: state.type, text }], state };
+            }
+            push(state.type, close + state.end.length);
+            state = null;
+        }
+
+        while (i < text.length) {
+            const char = text[i];
+
+            // Block comments
+            if (lang.blockComment && text.startsWith(lang.blockComment[0], i)) {
+                const close = text.indexOf(lang.blockComment[1], i + lang.blockComment[0].length);
+                if (close === -1) {
+                    push('comment', text.length);
+                    return { tokens, state: { type: 'comment', end: lang.blockComment[1] } };
+                }
+                push('comment', close + lang.blockComment[1].length);
+                continue;
+            }
+
+            // Line comments
+            if (lang.lineComment && text.startsWith(lang.lineComment, i)) {
+                push('comment', text.length);
+                break;
+            }
+
+            // Markup tags with their attributes
+            if (lang.markup && char === '<') {
+                const tag = matchAt(TOKEN_PATTERNS.tag);
+                if (tag) {
+                    push('tag', i + tag.length);
+                    while (i < text.length) {
+                        const space = matchAt(TOKEN_PATTERNS.space);
+                        if (space) {
+                            i += space.length;
+                            continue;
+                        }
+                        const close = matchAt(TOKEN_PATTERNS.tagClose);
+                        if (close) {
+                            push('tag', i + close.length);
+                            break;
+                        }
+                        const attrValue = matchAt(TOKEN_PATTERNS.attrValue);
+                        if (attrValue) {
+                            push('string', i + attrValue.length);
+                            continue;
+                        }
+                        const attrName = matchAt(TOKEN_PATTERNS.attrName);
+                        if (attrName) {
+                            push('attr', i + attrName.length);
+                            continue;
+                        }
+                        if (text[i] !== '=') break;
+                        i++;
+                    }
+                    continue;
+                }
+            }
+
+            // Multi-line strings (template literals, triple quotes)
+            const multi = lang.multilineStrings && lang.multilineStrings.find(q => text.startsWith(q, i));
+            if (multi) {
+                const close = findStringEnd(text, i + multi.length, multi);
+                if (close === -1) {
+                    push('string', text.length);
+                    return { tokens, state: { type: 'string', end: multi } };
+                }
+                push('string', close);
+                continue;
+            }
+
+            // Single-line strings
+            if (lang.strings && lang.strings.includes(char)) {
+                let close = findStringEnd(text, i + 1, char);
+                if (close === -1) close = text.length;
+
+                // In JSON, a string followed by a colon is a key
+                TOKEN_PATTERNS.colonAhead.lastIndex = close;
+                const isKey = lang.keys && TOKEN_PATTERNS.colonAhead.test(text);
+                push(isKey ? 'attr' : 'string', close);
+                continue;
+            }
+
+            // Numbers
+            if (char >= '0' && char <= '9' && (i === 0 || !/[\w$]/.test(text[i - 1]))) {
+                push('number', i + matchAt(TOKEN_PATTERNS.number).length);
+                continue;
+            }
+
+            // CSS hex colors and at-rules
+            if (lang.properties && (char === '#' || char === '@')) {
+                const word = matchAt(TOKEN_PATTERNS.cssWord);
+                if (word) {
+                    push(char === '#' ? 'number' : 'keyword', i + word.length);
+                    continue;
+                }
+            }
+
+            // Identifiers and keywords
+            const word = /[A-Za-z_$]/.test(char) && matchAt(lang.properties ? TOKEN_PATTERNS.cssIdentifier : TOKEN_PATTERNS.identifier);
+            if (word) {
+                const end = i + word.length;
+                TOKEN_PATTERNS.colonAhead.lastIndex = end;
+                TOKEN_PATTERNS.parenAhead.lastIndex = end;
+
+                if (lang.keywords && lang.keywords.has(word)) {
+                    push('keyword', end);
+                } else if (lang.properties && TOKEN_PATTERNS.colonAhead.test(text) && !isCssSelector(text, end)) {
+                    push('attr', end);
+                } else if (!lang.properties && !lang.markup && TOKEN_PATTERNS.parenAhead.test(text)) {
+                    push('function', end);
+                } else {
+                    i = end;
+                }
+                continue;
+            }
+
+            i++;
+        }
+
+        if (plainStart < text.length) {
+            tokens.push({ type: null, text: text.slice(plainStart) });
+        }
+
+        return { tokens, state };
+    }
+
+    /**
+     * Find all case-insensitive occurrences of a query
+     * @param {string} query - Text to find
+     */
+    find(query) {
+        this.query = query;
+        this.matches = [];
+        this.matchesByLine.clear();
+        this.currentMatch = -1;
+
+        if (query) {
+            const needle = query.toLowerCase();
+
+            for (let line = 0; line < this.lines.length && this.matches.length < this.options.maxMatches; line++) {
+                const haystack = this.lines[line].toLowerCase();
+                let column = haystack.indexOf(needle);
+
+                while (column !== -1 && this.matches.length < this.options.maxMatches) {
+                    const match = { line, column, index: this.matches.length };
+                    this.matches.push(match);
+
+                    if (!this.matchesByLine.has(line)) this.matchesByLine.set(line, []);
+                    this.matchesByLine.get(line).push(match);
+
+                    column = haystack.indexOf(needle, column + needle.length);
+                }
+            }
+        }
+
+        // Jump to the first match at or below the current scroll position
+        if (this.matches.length > 0) {
+            const topLine = this.lineAtOffset(this.scroller.scrollTop);
+            const next = this.matches.findIndex(match => match.line >= topLine);
+            this.goToMatch(next === -1 ? 0 : next);
+        } else {
+            this.updateFindCount();
+            this.render();
+        }
+    }
+
+    /**
+     * Move to the next or previous match
+     * @param {number} direction - 1 for next, -1 for previous
+     */
+    stepMatch(direction) {
+        if (this.matches.length === 0) return;
+        const count = this.matches.length;
+        this.goToMatch((this.currentMatch + direction + count) % count);
+    }
+
+    /**
+     * Scroll a match into view and mark it as current
+     * @param {number} index - Match index
+     */
+    goToMatch(index) {
+        this.currentMatch = index;
+        const match = this.matches[index];
+
+        let rowOffset = 0;
+        let column = match.column;
+        if (this.wrap) {
+            rowOffset = Math.floor(match.column / this.columns) * this.options.lineHeight;
+            column = match.column % this.columns;
+        }
+
+        // Keep the match roughly a third of the way down the view
+        const target = this.offsets[match.line] + rowOffset - this.scroller.clientHeight / 3;
+        this.scroller.scrollTop = Math.max(0, target);
+
+        if (!this.wrap) {
+            const matchLeft = (this.gutterChars + 2 + column) * this.charWidth;
+            const { scrollLeft, clientWidth } = this.scroller;
+            if (matchLeft < scrollLeft + (this.gutterChars + 2) * this.charWidth || matchLeft > scrollLeft + clientWidth - 40) {
+                this.scroller.scrollLeft = Math.max(0, matchLeft - clientWidth / 2);
+            }
+        }
+
+        this.updateFindCount();
+        this.render();
+    }
+
+    /**
+     * Update the "n of m" match counter
+     */
+    updateFindCount() {
+        if (!this.query) {
+            this.findCount.textContent = '';
+        } else if (this.matches.length === 0) {
+            this.findCount.textContent = 'No results';
+        } else {
+            const capped = this.matches.length >= this.options.maxMatches ? '+' : '';
+            this.findCount.textContent = `${this.currentMatch + 1} of ${this.matches.length}${capped}`;
+        }
+        this.root.classList.toggle('no-matches', Boolean(this.query) && this.matches.length === 0);
+    }
+
+    /**
+     * Focus the viewer so keyboard shortcuts work
+     */
+    focus() {
+        this.root.focus({ preventScroll: true });
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+        this.scroller.removeEventListener('scroll', this.handleScroll);
+        if (this.root.parentNode) {
+            this.root.parentNode.removeChild(this.root);
+        }
+        this.lines = [];
+        this.lineStates = [null];
+        this.matches = [];
+        this.matchesByLine.clear();
+    }
+}
+
+// Sticky patterns used by the tokenizer (matched at a given lastIndex)
+const TOKEN_PATTERNS = {
+    tag: /<\/?[\w:.-]+/y,
+    tagClose: /\/?>/y,
+    attrName: /[\w:.-]+/y,
+    attrValue: /"[^"]*"|'[^']*'/y,
+    space: /\s+/y,
+    number: /0[xX][0-9a-fA-F_]+|[0-9][0-9_]*(\.[0-9]+)?([eE][+-]?[0-9]+)?[a-zA-Z%]*/y,
+    identifier: /[A-Za-z_$][\w$]*/y,
+    cssIdentifier: /[A-Za-z_][\w-]*/y,
+    cssWord: /[#@][\w-]+/y,
+    colonAhead: /\s*:/y,
+    parenAhead: /\s*\(/y
+};
+
+/**
+ * Check whether a CSS word is part of a selector rather than a property
+ * @param {string} text - Line text
+ * @param {number} from - Index just after the word
+ * @returns {boolean} True if a "{" follows before the end of the declaration
+ */
+function isCssSelector(text, from) {
+    const semicolon = text.indexOf(';', from);
+    const brace = text.indexOf('{', from);
+    return brace !== -1 && (semicolon === -1 || brace < semicolon);
+}
+
+/**
+ * Find the end of a string literal, honoring backslash escapes
+ * @param {string} text - Line text
+ * @param {number} from - Index just after the opening quote
+ * @param {string} quote - Closing quote sequence
+ * @returns {number} Index just after the closing quote, or -1 if unterminated
+ */
+function findStringEnd(text, from, quote) {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text.startsWith(quote, i)) {
+            return i + quote.length;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Escape text for insertion as HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeCodeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Export to window
+window.CodeViewer = CodeViewer;
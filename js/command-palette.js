@@ -0,0 +1,439 @@
+/**
+ * js/command-palette.js - Command Palette (Ctrl+K)
+ *
+ * This module finds and runs any action of the explorer from one text box:
+ * - Commands are registered once with an id, title, category, icon and run();
+ *   sources add commands that change while the app runs (bookmarks, recent directories)
+ * - Typed text is matched fuzzily against "Category: Title"; recently run commands rank higher
+ * - Text starting with "/" turns the box into a go-to-path field that completes
+ *   against the loaded tree one directory at a time (Tab accepts a completion)
+ */
+
+class CommandPalette {
+    /**
+     * Create a palette; it stays hidden until open() is called
+     * @param {HTMLElement} container - Overlay element to render into
+     * @param {Object} options - Configuration options
+     */
+    constructor(container, options = {}) {
+        this.options = {
+            maxResults: 50,            // Rows shown at once
+            recentLimit: 10,           // Recently run commands remembered for ranking
+            pathPrefix: '/',           // Text starting with this is a path
+            match: window.SearchQuery ? window.SearchQuery.fuzzyMatch : null, // (pattern, text) -> { score, indices }|null
+            getNode: null,             // Path -> tree node, or null if it is not in the tree
+            getIcon: null,             // Tree node -> icon class for path results
+            onPath: null,              // Called with the tree node picked in path mode
+            getShortcut: null,         // Command -> shortcut text; defaults to its "shortcut" field
+            isToggleKey: (event) => (event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k', // Closes the open palette
+            ...options
+        };
+
+        this.container = container;
+        this.commands = new Map(); // id -> command
+        this.sources = [];         // Functions returning extra commands each time the palette opens
+        this.recent = [];          // Ids of recently run commands, most recent first
+        this.available = [];       // Commands offered while open
+        this.results = [];         // Rows on screen
+        this.activeIndex = 0;
+        this.returnFocus = null;   // Element focused before the palette opened
+
+        this.buildDom();
+    }
+
+    /**
+     * Build the dialog, its input and the result list
+     */
+    buildDom() {
+        this.container.classList.add('command-palette');
+        this.container.hidden = true;
+        this.container.innerHTML = '';
+
+        this.dialog = document.createElement('div');
+        this.dialog.className = 'command-palette-dialog';
+        this.dialog.setAttribute('role', 'dialog');
+        this.dialog.setAttribute('aria-modal', 'true');
+        this.dialog.setAttribute('aria-label', 'Command palette');
+
+        this.input = document.createElement('input');
+        this.input.type = 'text';
+        this.input.className = 'command-palette-input';
+        this.input.placeholder = `Type a command, or ${this.options.pathPrefix} to go to a path`;
+        this.input.spellcheck = false;
+        this.input.autocomplete = 'off';
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-expanded', 'true');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', 'command-palette-list');
+
+        this.list = document.createElement('ul');
+        this.list.className = 'command-palette-list';
+        this.list.id = 'command-palette-list';
+        this.list.setAttribute('role', 'listbox');
+
+        this.hint = document.createElement('div');
+        this.hint.className = 'command-palette-hint';
+
+        this.dialog.append(this.input, this.list, this.hint);
+        this.container.appendChild(this.dialog);
+
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('keydown', (event) => this.handleKey(event));
+        // The palette's keys are its own; app shortcuts must not fire while typing here
+        this.container.addEventListener('keydown', (event) => event.stopPropagation());
+        this.container.addEventListener('mousedown', (event) => {
+            if (event.target === this.container) {
+                this.close();
+            } else if (event.target !== this.input) {
+                event.preventDefault(); // Keep focus in the input while clicking rows
+            }
+        });
+        this.list.addEventListener('mousemove', (event) => {
+            const row = event.target.closest('.command-palette-item');
+            if (row) this.setActive(Number(row.dataset.index), false);
+        });
+        this.list.addEventListener('click', (event) => {
+            const row = event.target.closest('.command-palette-item');
+            if (row) this.runResult(this.results[Number(row.dataset.index)]);
+        });
+    }
+
+    /**
+     * Add a command
+     * @param {Object} command - { id, title, category, icon, detail, shortcut, keywords, when(), run() }
+     */
+    register(command) {
+        this.commands.set(command.id, command);
+    }
+
+    /**
+     * Add commands that are worked out again each time the palette opens
+     * @param {Function} source - Returns an array of commands
+     */
+    registerSource(source) {
+        this.sources.push(source);
+    }
+
+    /**
+     * Whether the palette is showing
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return !this.container.hidden;
+    }
+
+    /**
+     * Show the palette
+     * @param {string} text - Text to start with, e.g. "/" for path mode
+     */
+    open(text = '') {
+        if (!this.isOpen()) this.returnFocus = document.activeElement;
+        this.available = this.collectCommands();
+        this.container.hidden = false;
+        this.input.value = text;
+        this.update();
+        this.input.focus();
+        this.input.setSelectionRange(text.length, text.length);
+    }
+
+    /**
+     * Hide the palette and give focus back
+     */
+    close() {
+        if (!this.isOpen()) return;
+        this.container.hidden = true;
+        this.results = [];
+        this.list.innerHTML = '';
+        if (this.returnFocus && this.returnFocus.isConnected) this.returnFocus.focus({ preventScroll: true });
+        this.returnFocus = null;
+    }
+
+    /**
+     * Registered and source commands that apply right now
+     * @returns {Array} Commands
+     */
+    collectCommands() {
+        const commands = Array.from(this.commands.values());
+        this.sources.forEach(source => {
+            try {
+                commands.push(...source());
+            } catch (error) {
+                console.warn('CommandPalette: a command source failed:', error);
+            }
+        });
+        return commands.filter(command => !command.when || command.when());
+    }
+
+    /**
+     * Match the typed text and redraw the list
+     */
+    update() {
+        const text = this.input.value;
+        const isPath = text.startsWith(this.options.pathPrefix) && Boolean(this.options.getNode);
+        this.results = isPath
+            ? this.findPaths(text.slice(this.options.pathPrefix.length))
+            : this.findCommands(text.trim());
+        this.hint.textContent = isPath
+            ? 'Tab completes, Enter goes there'
+            : `Enter runs, ${this.options.pathPrefix} goes to a path, Esc closes`;
+        this.render();
+        this.setActive(0);
+    }
+
+    /**
+     * Commands matching the text, best first
+     * @param {string} text - Typed text
+     * @returns {Array} Results of { command, label, indices }
+     */
+    findCommands(text) {
+        const recentRank = (command) => {
+            const index = this.recent.indexOf(command.id);
+            return index === -1 ? this.recent.length : index;
+        };
+
+        if (!text) {
+            // Recently run first, then in registration order
+            return this.available
+                .map((command, order) => ({ command, order, label: CommandPalette.getLabel(command), indices: [] }))
+                .sort((a, b) => (recentRank(a.command) - recentRank(b.command)) || (a.order - b.order))
+                .slice(0, this.options.maxResults);
+        }
+
+        const matches = [];
+        this.available.forEach(command => {
+            const label = CommandPalette.getLabel(command);
+            let match = this.options.match(text, label);
+            if (!match && command.keywords) {
+                // Other words for the same thing find the command without highlighting
+                const keywordMatch = this.options.match(text, command.keywords);
+                if (keywordMatch) match = { score: keywordMatch.score / 2, indices: [] };
+            }
+            if (!match) return;
+            // A recently run command wins ties with similar matches
+            const recency = Math.max(0, this.recent.length - recentRank(command));
+            matches.push({ command, label, indices: match.indices, score: match.score + recency });
+        });
+        return matches
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.options.maxResults);
+    }
+
+    /**
+     * Entries of the typed path's directory matching its last segment
+     * @param {string} text - Path typed after the prefix, e.g. "src/ut"
+     * @returns {Array} Results of { node, label, detail, indices }
+     */
+    findPaths(text) {
+        const slash = text.lastIndexOf('/');
+        const directoryPath = slash === -1 ? '' : text.slice(0, slash).replace(/\/+$/, '');
+        const fragment = slash === -1 ? text : text.slice(slash + 1);
+        const directory = this.options.getNode(directoryPath);
+        if (!directory || directory.type !== 'directory') return [];
+
+        const results = [];
+        if (!fragment) {
+            // The directory itself comes first, so Enter on "src/" opens src
+            results.push({ node: directory, label: `${directory.name || 'Root'}/`, detail: 'This directory', indices: [] });
+        }
+        (directory.children || []).forEach((child, order) => {
+            const label = child.type === 'directory' ? `${child.name}/` : child.name;
+            if (!fragment) {
+                results.push({ node: child, label, detail: child.path, indices: [], score: -order });
+                return;
+            }
+            const match = this.options.match(fragment, child.name);
+            if (match) results.push({ node: child, label, detail: child.path, indices: match.indices, score: match.score });
+        });
+        if (fragment) results.sort((a, b) => b.score - a.score);
+        return results.slice(0, this.options.maxResults);
+    }
+
+    /**
+     * Draw the result rows
+     */
+    render() {
+        this.list.innerHTML = '';
+        if (this.results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'command-palette-empty';
+            empty.textContent = this.input.value.startsWith(this.options.pathPrefix)
+                ? 'No such path in this scan'
+                : 'No matching commands';
+            this.list.appendChild(empty);
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.results.forEach((result, index) => {
+            const row = document.createElement('li');
+            row.className = 'command-palette-item';
+            row.id = `command-palette-option-${index}`;
+            row.dataset.index = index;
+            row.setAttribute('role', 'option');
+
+            const icon = document.createElement('i');
+            icon.className = result.command
+                ? `fas ${result.command.icon || 'fa-terminal'}`
+                : (this.options.getIcon ? this.options.getIcon(result.node) : 'fas fa-file');
+            icon.setAttribute('aria-hidden', 'true');
+
+            const label = document.createElement('span');
+            label.className = 'command-palette-label';
+            CommandPalette.appendHighlighted(label, result.label, result.indices);
+
+            row.append(icon, label);
+
+            const detailText = result.command ? result.command.detail : result.detail;
+            if (detailText) {
+                const detail = document.createElement('span');
+                detail.className = 'command-palette-detail';
+                detail.textContent = detailText;
+                row.appendChild(detail);
+            }
+            const shortcutText = result.command && (this.options.getShortcut
+                ? this.options.getShortcut(result.command)
+                : result.command.shortcut);
+            if (shortcutText) {
+                const shortcut = document.createElement('kbd');
+                shortcut.className = 'command-palette-shortcut';
+                shortcut.textContent = shortcutText;
+                row.appendChild(shortcut);
+            }
+            this.list.appendChild(row);
+        });
+    }
+
+    /**
+     * Highlight a row
+     * @param {number} index - Row index
+     * @param {boolean} scroll - Whether to scroll it into view
+     */
+    setActive(index, scroll = true) {
+        if (this.results.length === 0) return;
+        this.activeIndex = (index + this.results.length) % this.results.length;
+        Array.from(this.list.children).forEach((row, i) => {
+            const isActive = i === this.activeIndex;
+            row.classList.toggle('active', isActive);
+            row.setAttribute('aria-selected', String(isActive));
+            if (isActive && scroll) row.scrollIntoView({ block: 'nearest' });
+        });
+        this.input.setAttribute('aria-activedescendant', `command-palette-option-${this.activeIndex}`);
+    }
+
+    /**
+     * Keys while the input has focus
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleKey(event) {
+        switch (event.key) {
+            case 'ArrowDown':
+                this.setActive(this.activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                this.setActive(this.activeIndex - 1);
+                break;
+            case 'PageDown':
+                this.setActive(Math.min(this.activeIndex + 10, this.results.length - 1));
+                break;
+            case 'PageUp':
+                this.setActive(Math.max(this.activeIndex - 10, 0));
+                break;
+            case 'Enter':
+                if (this.results[this.activeIndex]) this.runResult(this.results[this.activeIndex]);
+                break;
+            case 'Tab':
+                this.completePath(this.results[this.activeIndex]);
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            default:
+                if (this.options.isToggleKey && this.options.isToggleKey(event)) {
+                    this.close(); // The same shortcut closes it again
+                    break;
+                }
+                return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Put a path result into the input; directories end in "/" to list their entries next
+     * @param {Object} result - Path result
+     */
+    completePath(result) {
+        if (!result || !result.node) return;
+        const node = result.node;
+        const path = node.path || '';
+        const suffix = node.type === 'directory' && path ? '/' : '';
+        this.input.value = `${this.options.pathPrefix}${path}${suffix}`;
+        this.update();
+    }
+
+    /**
+     * Run a command or go to a path
+     * @param {Object} result - Row to act on
+     */
+    runResult(result) {
+        if (!result) return;
+        this.close(); // First, so whatever the command opens keeps focus
+
+        if (result.node) {
+            if (this.options.onPath) this.options.onPath(result.node);
+            return;
+        }
+
+        const { command } = result;
+        this.recent = [command.id, ...this.recent.filter(id => id !== command.id)].slice(0, this.options.recentLimit);
+        try {
+            command.run();
+        } catch (error) {
+            console.error(`CommandPalette: "${command.title}" failed:`, error);
+        }
+    }
+
+    /**
+     * Text a command is shown and matched as
+     * @param {Object} command - Command
+     * @returns {string} "Category: Title", or the title alone
+     */
+    static getLabel(command) {
+        return command.category ? `${command.category}: ${command.title}` : command.title;
+    }
+
+    /**
+     * Append text with its matched characters wrapped in highlight spans
+     * @param {HTMLElement} element - Element to fill
+     * @param {string} text - Text to show
+     * @param {Array} indices - Matched character positions
+     */
+    static appendHighlighted(element, text, indices) {
+        const matched = new Set(indices || []);
+        let run = '';
+        let inRun = false;
+        const flush = () => {
+            if (!run) return;
+            if (inRun) {
+                const mark = document.createElement('span');
+                mark.className = 'match-highlight';
+                mark.textContent = run;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(run));
+            }
+            run = '';
+        };
+        for (let i = 0; i < text.length; i++) {
+            const isMatch = matched.has(i);
+            if (isMatch !== inRun) {
+                flush();
+                inRun = isMatch;
+            }
+            run += text[i];
+        }
+        flush();
+    }
+}
+
+// Export to window
+window.CommandPalette = CommandPalette;
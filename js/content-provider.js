@@ -0,0 +1,279 @@
+/**
+ * js/content-provider.js - File Content Providers for Previews
+ *
+ * This module resolves the relative paths recorded by smart_tree.py into
+ * real file contents for the preview modal:
+ * - Resolving item paths against a configurable served root
+ * - Streaming file bodies with a hard size cap
+ * - Decoding text content and wrapping binary content in object URLs
+ * - Pluggable providers so previews can be sourced from other backends
+ */
+
+const ContentProvider = (function() {
+    'use strict';
+
+    // Shared configuration for all providers
+    const settings = {
+        root: 'data/root/',          // Served root that item paths are relative to
+        maxTextBytes: 1024 * 1024,   // Text beyond this is truncated
+        maxBinaryBytes: 25 * 1024 * 1024, // Binary files beyond this are refused
+        timeout: 15000               // Ms before a request is abandoned
+    };
+
+    // Registered providers by name
+    const _providers = new Map();
+    let _activeProvider = 'http';
+
+    /**
+     * Update provider configuration
+     * @param {Object} options - Settings to override
+     */
+    function configure(options = {}) {
+        Object.assign(settings, options);
+
+        // Always treat the root as a directory
+        if (settings.root && !settings.root.endsWith('/')) {
+            settings.root += '/';
+        }
+    }
+
+    /**
+     * Resolve an item path relative to the served root
+     * @param {string} path - Item path as recorded by the scanner
+     * @returns {string} URL of the file
+     */
+    function resolveUrl(path) {
+        const segments = (path || '')
+            .replace(/\\/g, '/')
+            .split('/')
+            .filter(segment => segment && segment !== '.' && segment !== '..');
+
+        return settings.root + segments.map(encodeURIComponent).join('/');
+    }
+
+    /**
+     * Create an error carrying a machine-readable code
+     * @param {string} message - Human-readable message
+     * @param {string} code - Error code (http, too-large, network, aborted, timeout)
+     * @returns {Error} The error
+     */
+    function createError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Fetch a URL and read its body up to a byte limit
+     * @param {string} url - URL to fetch
+     * @param {Object} options - Read options
+     * @returns {Promise<Object>} Chunks, byte count and truncation flag
+     */
+    async function readStream(url, options = {}) {
+        const { maxBytes, truncate = false, signal, onProgress } = options;
+
+        // Combine the caller's signal with our own timeout
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) abort();
+            signal.addEventListener('abort', abort, { once: true });
+        }
+        let timedOut = false;
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, settings.timeout);
+
+        try {
+            let response;
+            try {
+                response = await fetch(url, { signal: controller.signal });
+            } catch (error) {
+                if (timedOut) throw createError('The request timed out.', 'timeout');
+                if (controller.signal.aborted) throw createError('The request was cancelled.', 'aborted');
+                throw createError(`Could not reach ${url}.`, 'network');
+            }
+
+            if (!response.ok) {
+                throw createError(`HTTP error! status: ${response.status}`, 'http');
+            }
+
+            // Refuse early when the server tells us the file is too big
+            const contentLength = parseInt(response.headers.get('Content-Length') || '0', 10);
+            if (!truncate && contentLength > maxBytes) {
+                controller.abort();
+                throw createError(`File is too large to preview (limit ${maxBytes} bytes).`, 'too-large');
+            }
+
+            const contentType = response.headers.get('Content-Type') || '';
+            const chunks = [];
+            let bytesRead = 0;
+            let truncated = false;
+
+            // Fall back to a single read where streaming bodies are unsupported
+            if (!response.body || !response.body.getReader) {
+                const buffer = new Uint8Array(await response.arrayBuffer());
+                if (buffer.length > maxBytes && !truncate) {
+                    throw createError(`File is too large to preview (limit ${maxBytes} bytes).`, 'too-large');
+                }
+                truncated = buffer.length > maxBytes;
+                const chunk = truncated ? buffer.subarray(0, maxBytes) : buffer;
+                return { chunks: [chunk], bytesRead: chunk.length, truncated, contentType };
+            }
+
+            const reader = response.body.getReader();
+
+            try {
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+
+                    if (bytesRead + value.length > maxBytes) {
+                        if (!truncate) {
+                            throw createError(`File is too large to preview (limit ${maxBytes} bytes).`, 'too-large');
+                        }
+
+                        // Keep what fits and stop downloading
+                        chunks.push(value.subarray(0, maxBytes - bytesRead));
+                        bytesRead = maxBytes;
+                        truncated = true;
+                        break;
+                    }
+
+                    chunks.push(value);
+                    bytesRead += value.length;
+
+                    if (onProgress) {
+                        onProgress({ loaded: bytesRead, total: contentLength || null });
+                    }
+                }
+            } catch (error) {
+                if (error.code) throw error;
+                if (timedOut) throw createError('The request timed out.', 'timeout');
+                if (controller.signal.aborted) throw createError('The request was cancelled.', 'aborted');
+                throw createError(`Failed while reading ${url}: ${error.message}`, 'network');
+            } finally {
+                reader.cancel().catch(() => {});
+            }
+
+            return { chunks, bytesRead, truncated, contentType };
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Default provider: reads files over HTTP from the served root
+     */
+    const httpProvider = {
+        /**
+         * Read a file as text, truncating at the text limit
+         * @param {Object} item - Tree item with a path
+         * @param {Object} options - Read options (signal, onProgress, maxBytes)
+         * @returns {Promise<Object>} Text, byte count and truncation flag
+         */
+        async readText(item, options = {}) {
+            const result = await readStream(resolveUrl(item.path), {
+                ...options,
+                maxBytes: options.maxBytes || settings.maxTextBytes,
+                truncate: true
+            });
+
+            // stream: true keeps a multi-byte character split by truncation from throwing
+            const decoder = new TextDecoder('utf-8');
+            let text = '';
+            result.chunks.forEach(chunk => {
+                text += decoder.decode(chunk, { stream: true });
+            });
+            text += decoder.decode();
+
+            return { text, bytesRead: result.bytesRead, truncated: result.truncated };
+        },
+
+        /**
+         * Read a file as an object URL, refusing files over the binary limit
+         * @param {Object} item - Tree item with a path
+         * @param {Object} options - Read options (signal, onProgress, maxBytes, type)
+         * @returns {Promise<Object>} Object URL and byte count
+         */
+        async readObjectUrl(item, options = {}) {
+            const maxBytes = options.maxBytes || settings.maxBinaryBytes;
+
+            // Skip the download entirely when the scan already says it is too big
+            if (item.size && item.size > maxBytes) {
+                throw createError(`File is too large to preview (limit ${maxBytes} bytes).`, 'too-large');
+            }
+
+            const result = await readStream(resolveUrl(item.path), { ...options, maxBytes });
+            const type = options.type || result.contentType || (item.metadata && item.metadata.mime_type) || '';
+            const blob = new Blob(result.chunks, { type });
+
+            return { url: URL.createObjectURL(blob), bytesRead: result.bytesRead };
+        },
+
+        /**
+         * Get a direct URL for a file (for elements that stream on their own)
+         * @param {Object} item - Tree item with a path
+         * @returns {string} URL of the file
+         */
+        getUrl(item) {
+            return resolveUrl(item.path);
+        }
+    };
+
+    /**
+     * Register a content provider
+     * @param {string} name - Provider name
+     * @param {Object} provider - Object implementing readText, readObjectUrl and getUrl
+     */
+    function registerProvider(name, provider) {
+        if (!provider || typeof provider.readText !== 'function' || typeof provider.readObjectUrl !== 'function') {
+            throw new Error(`Content provider "${name}" must implement readText and readObjectUrl`);
+        }
+        _providers.set(name, provider);
+    }
+
+    /**
+     * Select the provider used for subsequent reads
+     * @param {string} name - Provider name
+     */
+    function useProvider(name) {
+        if (!_providers.has(name)) {
+            throw new Error(`Unknown content provider: ${name}`);
+        }
+        _activeProvider = name;
+    }
+
+    /**
+     * Get the active provider
+     * @returns {Object} The provider
+     */
+    function getProvider() {
+        return _providers.get(_activeProvider);
+    }
+
+    registerProvider('http', httpProvider);
+
+    // Public API
+    return {
+        configure,
+        resolveUrl,
+        registerProvider,
+        useProvider,
+        getProvider,
+        getSettings: () => ({ ...settings }),
+
+        // Convenience wrappers around the active provider
+        readText: (item, options) => getProvider().readText(item, options),
+        readObjectUrl: (item, options) => getProvider().readObjectUrl(item, options),
+        getUrl: (item) => {
+            const provider = getProvider();
+            return provider.getUrl ? provider.getUrl(item) : resolveUrl(item.path);
+        }
+    };
+})();
+
+// Export to window
+window.ContentProvider = ContentProvider;
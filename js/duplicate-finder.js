@@ -0,0 +1,89 @@
+/**
+ * js/duplicate-finder.js - Duplicate Files in the Loaded Tree
+ *
+ * This module groups files that look like copies of each other:
+ * - Files match when they have the same size and the same scanner hash
+ *   (smart_tree.py hashes the first 8 KB of every file over 1 KB)
+ * - Files without a hash are left out, since size alone says too little
+ * - Each group reports the bytes its extra copies waste; groups come largest first
+ */
+
+const DuplicateFinder = (function() {
+    'use strict';
+
+    /**
+     * Find groups of duplicate files
+     * @param {Object} root - Root directory node
+     * @param {Object} options - { include(node): false to skip a file }
+     * @returns {Array} Groups of { key, hash, size, files, wasted }, most wasted bytes first
+     */
+    function find(root, options = {}) {
+        const bySignature = new Map();
+
+        // Iterative so very deep trees cannot overflow the stack
+        const stack = root ? [root] : [];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.type === 'directory') {
+                if (node.children) {
+                    for (let i = node.children.length - 1; i >= 0; i--) stack.push(node.children[i]);
+                }
+                continue;
+            }
+            if (!node.hash || !node.size) continue;
+            if (options.include && !options.include(node)) continue;
+
+            const key = `${node.size}|${node.hash}`;
+            const files = bySignature.get(key);
+            if (files) {
+                files.push(node);
+            } else {
+                bySignature.set(key, [node]);
+            }
+        }
+
+        const groups = [];
+        bySignature.forEach((files, key) => {
+            if (files.length < 2) return;
+            const { size, hash } = files[0];
+            groups.push({ key, hash, size, files, wasted: size * (files.length - 1) });
+        });
+        return groups.sort((a, b) => (b.wasted - a.wasted) || (b.files.length - a.files.length));
+    }
+
+    /**
+     * Map each duplicate file to its group
+     * @param {Array} groups - Result of find()
+     * @returns {Map} path -> group
+     */
+    function indexByPath(groups) {
+        const index = new Map();
+        groups.forEach(group => {
+            group.files.forEach(file => index.set(file.path, group));
+        });
+        return index;
+    }
+
+    /**
+     * Totals over all groups
+     * @param {Array} groups - Result of find()
+     * @returns {Object} { groups, files, wasted }
+     */
+    function summarize(groups) {
+        return groups.reduce((summary, group) => {
+            summary.files += group.files.length;
+            summary.wasted += group.wasted;
+            return summary;
+        }, { groups: groups.length, files: 0, wasted: 0 });
+    }
+
+    // Public API
+    return {
+        find,
+        indexByPath,
+        summarize
+    };
+})();
+
+// Export to window
+window.DuplicateFinder = DuplicateFinder;
@@ -0,0 +1,268 @@
+/**
+ * js/keybindings.js - Keyboard Shortcut Map
+ *
+ * This module maps key sequences to command ids:
+ * - A key is written as modifiers plus the key, lowercase: "ctrl+k", "alt+arrowleft", "?"
+ * - A sequence is one or more keys separated by spaces; more than one is a chord: "alt+g b"
+ * - Every command has default sequences; the user's changes are kept as overrides,
+ *   so new defaults still reach commands the user never touched
+ * - Cmd on a Mac counts as Ctrl, so one map serves both
+ *
+ * Only the overrides need storing; getOverrides() and setOverrides() read and write them.
+ */
+
+class KeyBindings {
+    /**
+     * Create a map from defaults
+     * @param {Object} defaults - Command id -> array of sequences
+     * @param {Object} options - Configuration options
+     */
+    constructor(defaults = {}, options = {}) {
+        this.options = {
+            chordTimeout: 1200, // ms to wait for the next key of a chord
+            ...options
+        };
+
+        this.defaults = new Map();
+        Object.entries(defaults).forEach(([id, sequences]) => {
+            this.defaults.set(id, sequences.map(KeyBindings.normalize));
+        });
+        this.bindings = new Map(this.defaults); // id -> sequences in effect
+        this.commandsBySequence = new Map();    // sequence -> id, rebuilt on every change
+        this.pending = [];                      // Keys of a chord typed so far
+        this.pendingTimer = null;
+
+        this.indexSequences();
+    }
+
+    /**
+     * Whether this is a Mac, where Cmd plays the part of Ctrl
+     * @returns {boolean} True on macOS and iOS
+     */
+    static isMac() {
+        return /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+    }
+
+    /**
+     * Key of a keydown event
+     * Shift is left out for characters that need it anyway ("?" rather than "shift+/").
+     * @param {KeyboardEvent} event - Key event
+     * @returns {string|null} Key such as "ctrl+k", or null for a lone modifier
+     */
+    static eventToKey(event) {
+        const key = event.key;
+        if (!key || ['Control', 'Alt', 'Shift', 'Meta', 'CapsLock', 'Dead', 'Unidentified'].includes(key)) return null;
+
+        let name = key === ' ' ? 'space' : key.toLowerCase();
+        const isCharacter = key.length === 1 && key !== ' ';
+        // Alt on a Mac types special characters; name the key by its code instead
+        if (event.altKey && isCharacter && event.code && /^(Key|Digit)/.test(event.code)) {
+            name = event.code.replace(/^(Key|Digit)/, '').toLowerCase();
+        }
+
+        const modifiers = [];
+        if (event.ctrlKey || (event.metaKey && KeyBindings.isMac())) modifiers.push('ctrl');
+        if (event.altKey) modifiers.push('alt');
+        if (event.shiftKey && (!isCharacter || /^[a-z]$/.test(name))) modifiers.push('shift');
+        if (event.metaKey && !KeyBindings.isMac()) modifiers.push('meta');
+        return [...modifiers, name].join('+');
+    }
+
+    /**
+     * Split a key into its modifiers and the key itself
+     * @param {string} key - Key such as "ctrl++"
+     * @returns {Object} { modifiers: Set, name }
+     */
+    static parseKey(key) {
+        const match = key.match(/^((?:(?:ctrl|alt|shift|meta)\+)*)(.+)$/);
+        if (!match) return { modifiers: new Set(), name: key };
+        return {
+            modifiers: new Set(match[1].split('+').filter(Boolean)),
+            name: match[2]
+        };
+    }
+
+    /**
+     * Write a sequence the one way it is stored, whatever order its modifiers were typed in
+     * @param {string} sequence - Sequence such as "Shift+Ctrl+K" or "g  b"
+     * @returns {string} Normalized sequence
+     */
+    static normalize(sequence) {
+        return sequence.trim().toLowerCase().split(/\s+/).map(key => {
+            const { modifiers, name } = KeyBindings.parseKey(key);
+            return [...['ctrl', 'alt', 'shift', 'meta'].filter(m => modifiers.has(m)), name].join('+');
+        }).join(' ');
+    }
+
+    /**
+     * Sequence as shown to the user
+     * @param {string} sequence - Normalized sequence
+     * @returns {string} Text such as "Ctrl+K" or "Alt+G B"
+     */
+    static format(sequence) {
+        const isMac = KeyBindings.isMac();
+        const names = {
+            ctrl: isMac ? 'Cmd' : 'Ctrl', alt: isMac ? 'Option' : 'Alt', shift: 'Shift', meta: 'Meta',
+            arrowleft: '←', arrowright: '→', arrowup: '↑', arrowdown: '↓',
+            space: 'Space', escape: 'Esc', pageup: 'Page Up', pagedown: 'Page Down'
+        };
+        const capitalize = text => (names[text] || `${text.charAt(0).toUpperCase()}${text.slice(1)}`);
+        return sequence.split(' ').map(key => {
+            const { modifiers, name } = KeyBindings.parseKey(key);
+            return [...modifiers, name].map(capitalize).join('+');
+        }).join(' ');
+    }
+
+    /**
+     * Rebuild the sequence -> command lookup
+     */
+    indexSequences() {
+        this.commandsBySequence.clear();
+        this.bindings.forEach((sequences, id) => {
+            sequences.forEach(sequence => this.commandsBySequence.set(sequence, id));
+        });
+    }
+
+    /**
+     * Sequences of a command
+     * @param {string} id - Command id
+     * @returns {Array} Sequences, possibly empty
+     */
+    get(id) {
+        return this.bindings.get(id) || [];
+    }
+
+    /**
+     * Replace a command's sequences; an empty array leaves it without a shortcut
+     * @param {string} id - Command id
+     * @param {Array} sequences - New sequences
+     */
+    set(id, sequences) {
+        this.bindings.set(id, sequences.map(KeyBindings.normalize));
+        this.indexSequences();
+    }
+
+    /**
+     * Go back to the defaults, for one command or all of them
+     * @param {string} id - Command id; all commands when omitted
+     */
+    reset(id) {
+        if (id === undefined) {
+            this.bindings = new Map(this.defaults);
+        } else if (this.defaults.has(id)) {
+            this.bindings.set(id, this.defaults.get(id));
+        } else {
+            this.bindings.delete(id);
+        }
+        this.indexSequences();
+    }
+
+    /**
+     * Whether a command's sequences differ from its defaults
+     * @param {string} id - Command id
+     * @returns {boolean} True if the user changed them
+     */
+    isCustomized(id) {
+        return this.get(id).join('\n') !== (this.defaults.get(id) || []).join('\n');
+    }
+
+    /**
+     * Commands a sequence would clash with: the same sequence, or one that starts
+     * the other, since a chord can never complete once its first key does something
+     * @param {string} sequence - Sequence to check
+     * @param {string} exceptId - Command the sequence is meant for
+     * @returns {Array} { id, sequence } of every clash
+     */
+    findConflicts(sequence, exceptId) {
+        const normalized = KeyBindings.normalize(sequence);
+        const conflicts = [];
+        this.bindings.forEach((sequences, id) => {
+            if (id === exceptId) return;
+            sequences.forEach(other => {
+                if (other === normalized || other.startsWith(`${normalized} `) || normalized.startsWith(`${other} `)) {
+                    conflicts.push({ id, sequence: other });
+                }
+            });
+        });
+        return conflicts;
+    }
+
+    /**
+     * Feed a keydown event through the map
+     * A key that breaks off a chord is tried again on its own.
+     * @param {KeyboardEvent} event - Key event
+     * @param {Function} allow - Optional filter: allow(id) false to ignore a command's shortcuts
+     * @returns {Object} { status: 'matched', id } | { status: 'pending' } | { status: 'none' }
+     */
+    handle(event, allow = null) {
+        const key = KeyBindings.eventToKey(event);
+        if (!key) return { status: this.pending.length > 0 ? 'pending' : 'none' };
+
+        const result = this.advance([...this.pending, key], allow);
+        if (result.status === 'none' && this.pending.length > 0) {
+            this.clearPending();
+            return this.advance([key], allow);
+        }
+        return result;
+    }
+
+    /**
+     * Match typed keys against the map
+     * @param {Array} keys - Keys typed so far
+     * @param {Function} allow - Optional command filter
+     * @returns {Object} Result as for handle()
+     */
+    advance(keys, allow) {
+        const typed = keys.join(' ');
+        const id = this.commandsBySequence.get(typed);
+        if (id && (!allow || allow(id))) {
+            this.clearPending();
+            return { status: 'matched', id };
+        }
+
+        const startsChord = Array.from(this.commandsBySequence).some(([sequence, commandId]) =>
+            sequence.startsWith(`${typed} `) && (!allow || allow(commandId)));
+        if (!startsChord) return { status: 'none' };
+
+        this.pending = keys;
+        clearTimeout(this.pendingTimer);
+        this.pendingTimer = setTimeout(() => this.clearPending(), this.options.chordTimeout);
+        return { status: 'pending' };
+    }
+
+    /**
+     * Forget a half-typed chord
+     */
+    clearPending() {
+        this.pending = [];
+        clearTimeout(this.pendingTimer);
+        this.pendingTimer = null;
+    }
+
+    /**
+     * The user's changes, for storing
+     * @returns {Object} Command id -> sequences, only for commands that differ from their defaults
+     */
+    getOverrides() {
+        const overrides = {};
+        this.bindings.forEach((sequences, id) => {
+            if (this.isCustomized(id)) overrides[id] = sequences;
+        });
+        return overrides;
+    }
+
+    /**
+     * Apply stored changes on top of the defaults
+     * @param {Object} overrides - Result of getOverrides()
+     */
+    setOverrides(overrides) {
+        this.bindings = new Map(this.defaults);
+        Object.entries(overrides || {}).forEach(([id, sequences]) => {
+            if (Array.isArray(sequences)) this.bindings.set(id, sequences.map(KeyBindings.normalize));
+        });
+        this.indexSequences();
+    }
+}
+
+// Export to window
+window.KeyBindings = KeyBindings;
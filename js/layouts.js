@@ -0,0 +1,488 @@
+/**
+ * js/layouts.js - Spatial Layout Engine
+ *
+ * This module decides where the children of a directory sit in the spatial view:
+ * - A registry of named layout algorithms that can be extended at runtime
+ * - Grid: rows filling the width of the view
+ * - Galaxy: files form a core, subdirectories orbit it as clusters sized by their contents
+ * - Force: a force-directed layout that pulls related files together
+ *
+ * Layouts return one top-left position per item; the engine shifts the result
+ * so it starts at the origin and hands back items ready for VirtualizedRenderer.setItems.
+ */
+
+const LayoutEngine = (function() {
+    'use strict';
+
+    // Successive points on a sunflower spiral are this far apart in angle
+    const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+    // Registered layouts by name
+    const _layouts = new Map();
+
+    /**
+     * Size of the cell an item needs, including spacing
+     * @param {Object} context - Layout context
+     * @returns {number} Cell diameter
+     */
+    function getCellSize(context) {
+        return Math.max(context.itemWidth, context.itemHeight) + context.itemMargin;
+    }
+
+    /**
+     * Directory size as recorded by the scanner
+     * @param {Object} item - Tree item
+     * @returns {number} Size in bytes
+     */
+    function getItemSize(item) {
+        if (item.type === 'directory') {
+            return (item.metadata && item.metadata.size) || 0;
+        }
+        return item.size || 0;
+    }
+
+    /**
+     * Order files so that files of one type end up next to each other
+     * @param {Object} a - First item
+     * @param {Object} b - Second item
+     * @returns {number} Sort order
+     */
+    function compareByGroup(a, b) {
+        const groupA = a.file_type_group || '';
+        const groupB = b.file_type_group || '';
+        if (groupA !== groupB) return groupA < groupB ? -1 : 1;
+        return a.name.localeCompare(b.name);
+    }
+
+    /**
+     * Point on a sunflower spiral, about a cell from its neighbours on average;
+     * the closest pairs still come nearer than that, so tiles can overlap
+     * @param {number} index - Point index
+     * @param {number} cellSize - Cell diameter
+     * @returns {Object} Center x, y
+     */
+    function spiralPoint(index, cellSize) {
+        // Each point gets pi * spacing^2 of area, about one and a half cells, which leaves few pairs to push apart
+        const radius = cellSize * 0.7 * Math.sqrt(index + 0.5);
+        const angle = index * GOLDEN_ANGLE;
+        return { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+    }
+
+    /**
+     * Uniform grid bucketing points for neighbour lookups
+     * @param {number} cellSize - Bucket size
+     * @returns {Object} Bucket map with add and forEachNear
+     */
+    function createBuckets(cellSize) {
+        const buckets = new Map();
+        const keyOf = (bx, by) => `${bx},${by}`;
+
+        return {
+            clear: () => buckets.clear(),
+            add(x, y, value) {
+                const key = keyOf(Math.floor(x / cellSize), Math.floor(y / cellSize));
+                if (!buckets.has(key)) buckets.set(key, []);
+                buckets.get(key).push(value);
+            },
+            forEachNear(x, y, callback) {
+                const bx = Math.floor(x / cellSize);
+                const by = Math.floor(y / cellSize);
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        const bucket = buckets.get(keyOf(bx + dx, by + dy));
+                        if (bucket) bucket.forEach(callback);
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Convert item centers to top-left corners
+     * @param {Array} centers - Center points
+     * @param {Object} context - Layout context
+     * @returns {Array} Top-left positions
+     */
+    function centersToPositions(centers, context) {
+        return centers.map(center => ({
+            x: center.x - context.itemWidth / 2,
+            y: center.y - context.itemHeight / 2
+        }));
+    }
+
+    /**
+     * Nudge apart items whose tiles still overlap, along the shallower axis
+     * Nudging can go back and forth in a crowd; whatever still overlaps after
+     * maxPasses is moved to a free spot by settleOverlaps.
+     * @param {Float64Array} xs - Center x coordinates, updated in place
+     * @param {Float64Array} ys - Center y coordinates, updated in place
+     * @param {Object} context - Layout context
+     * @param {number} maxPasses - Passes to try before settling the rest
+     */
+    function separateOverlaps(xs, ys, context, maxPasses = 50) {
+        const width = context.itemWidth + context.itemMargin / 2;
+        const height = context.itemHeight + context.itemMargin / 2;
+        const buckets = createBuckets(Math.max(width, height));
+
+        for (let pass = 0; pass < maxPasses; pass++) {
+            let moved = false;
+            buckets.clear();
+            for (let i = 0; i < xs.length; i++) buckets.add(xs[i], ys[i], i);
+
+            for (let i = 0; i < xs.length; i++) {
+                buckets.forEachNear(xs[i], ys[i], j => {
+                    if (j <= i) return;
+                    const ox = xs[j] - xs[i];
+                    const oy = ys[j] - ys[i];
+                    const overlapX = width - Math.abs(ox);
+                    const overlapY = height - Math.abs(oy);
+                    if (overlapX <= 0 || overlapY <= 0) return;
+
+                    if (overlapX < overlapY) {
+                        const shift = (ox < 0 ? -overlapX : overlapX) / 2;
+                        xs[i] -= shift;
+                        xs[j] += shift;
+                    } else {
+                        const shift = (oy < 0 ? -overlapY : overlapY) / 2;
+                        ys[i] -= shift;
+                        ys[j] += shift;
+                    }
+                    moved = true;
+                });
+            }
+
+            if (!moved) return;
+        }
+
+        settleOverlaps(xs, ys, width, height);
+    }
+
+    /**
+     * Move every item that still overlaps another to the nearest free spot on a grid
+     * around it, middle of the layout first; items that overlap nothing stay put
+     * @param {Float64Array} xs - Center x coordinates, updated in place
+     * @param {Float64Array} ys - Center y coordinates, updated in place
+     * @param {number} width - Horizontal distance two centers need
+     * @param {number} height - Vertical distance two centers need
+     */
+    function settleOverlaps(xs, ys, width, height) {
+        const buckets = createBuckets(Math.max(width, height));
+        const overlaps = (x, y, j) => Math.abs(xs[j] - x) < width && Math.abs(ys[j] - y) < height;
+        const isFree = (x, y, i) => {
+            let free = true;
+            buckets.forEachNear(x, y, j => {
+                if (free && j !== i && overlaps(x, y, j)) free = false;
+            });
+            return free;
+        };
+
+        for (let i = 0; i < xs.length; i++) buckets.add(xs[i], ys[i], i);
+        const crowded = [];
+        for (let i = 0; i < xs.length; i++) {
+            if (!isFree(xs[i], ys[i], i)) crowded.push(i);
+        }
+        if (crowded.length === 0) return;
+
+        // Start over with only the items that stay, then place the crowded ones one by one
+        const isCrowded = new Set(crowded);
+        buckets.clear();
+        for (let i = 0; i < xs.length; i++) {
+            if (!isCrowded.has(i)) buckets.add(xs[i], ys[i], i);
+        }
+        crowded.sort((a, b) => Math.hypot(xs[a], ys[a]) - Math.hypot(xs[b], ys[b]));
+        crowded.forEach(i => {
+            const startX = xs[i];
+            const startY = ys[i];
+            // Rings of grid spots around the item; the first ring with a free spot wins
+            let best = null;
+            for (let ring = 0; !best; ring++) {
+                let bestDistance = Infinity;
+                for (let dx = -ring; dx <= ring; dx++) {
+                    for (let dy = -ring; dy <= ring; dy++) {
+                        if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue;
+                        const x = startX + dx * width;
+                        const y = startY + dy * height;
+                        const distance = Math.hypot(dx * width, dy * height);
+                        if (distance < bestDistance && isFree(x, y, -1)) {
+                            best = { x, y };
+                            bestDistance = distance;
+                        }
+                    }
+                }
+            }
+            xs[i] = best.x;
+            ys[i] = best.y;
+            buckets.add(best.x, best.y, i);
+        });
+    }
+
+    /**
+     * Grid layout: rows that fill the width of the view
+     */
+    const gridLayout = {
+        label: 'Grid',
+        compute(items, context) {
+            const itemWidth = context.itemWidth + context.itemMargin;
+            const itemHeight = context.itemHeight + context.itemMargin;
+            const itemsPerRow = Math.floor(context.viewportWidth / itemWidth) || 1;
+
+            return items.map((item, index) => ({
+                x: (index % itemsPerRow) * itemWidth,
+                y: Math.floor(index / itemsPerRow) * itemHeight
+            }));
+        }
+    };
+
+    /**
+     * Galaxy layout: files form a core, subdirectories orbit it as clusters
+     * whose share of the space grows with their size on disk
+     */
+    const galaxyLayout = {
+        label: 'Galaxy',
+        compute(items, context) {
+            const cellSize = getCellSize(context);
+            const centers = new Array(items.length);
+
+            const files = [];
+            const directories = [];
+            items.forEach((item, index) => {
+                (item.type === 'directory' ? directories : files).push(index);
+            });
+
+            // Core: files on a sunflower spiral, grouped by type, pushed apart where tiles overlap
+            files.sort((a, b) => compareByGroup(items[a], items[b]));
+            const xs = new Float64Array(files.length);
+            const ys = new Float64Array(files.length);
+            files.forEach((index, order) => {
+                const point = spiralPoint(order, cellSize);
+                xs[order] = point.x;
+                ys[order] = point.y;
+            });
+            separateOverlaps(xs, ys, context);
+
+            let coreRadius = 0;
+            files.forEach((index, order) => {
+                centers[index] = { x: xs[order], y: ys[order] };
+                coreRadius = Math.max(coreRadius, Math.hypot(xs[order], ys[order]) + cellSize / 2);
+            });
+
+            // Clusters: biggest directories claim the orbits closest to the core
+            directories.sort((a, b) => getItemSize(items[b]) - getItemSize(items[a]));
+            const maxSize = directories.reduce((max, index) => Math.max(max, getItemSize(items[index])), 1);
+            const maxRadius = cellSize * 2;
+            const placed = createBuckets(maxRadius * 2);
+
+            directories.forEach((index, order) => {
+                // Area tracks size, so the radius tracks its square root
+                const share = Math.sqrt(getItemSize(items[index]) / maxSize);
+                const radius = cellSize / 2 + (maxRadius - cellSize / 2) * share;
+                const angle = order * GOLDEN_ANGLE;
+                let distance = coreRadius + radius;
+                let x, y, clear;
+
+                // Walk outward along the ray until the cluster no longer overlaps another
+                do {
+                    x = distance * Math.cos(angle);
+                    y = distance * Math.sin(angle);
+                    clear = true;
+                    placed.forEachNear(x, y, other => {
+                        if (clear && Math.hypot(other.x - x, other.y - y) < other.radius + radius) {
+                            clear = false;
+                        }
+                    });
+                    distance += cellSize / 4;
+                } while (!clear);
+
+                placed.add(x, y, { x, y, radius });
+                centers[index] = { x, y };
+            });
+
+            return centersToPositions(centers, context);
+        }
+    };
+
+    /**
+     * Force-directed layout: items repel each other, related files attract,
+     * and a weak pull toward the center keeps unrelated items together
+     */
+    const forceLayout = {
+        label: 'Force-directed',
+        compute(items, context) {
+            const count = items.length;
+            if (count === 0) return [];
+
+            const cellSize = getCellSize(context);
+            const ideal = cellSize * 1.1;
+
+            // Start from the sunflower so results are stable between renders
+            const order = items.map((item, index) => index).sort((a, b) => compareByGroup(items[a], items[b]));
+            const xs = new Float64Array(count);
+            const ys = new Float64Array(count);
+            order.forEach((index, position) => {
+                const point = spiralPoint(position, cellSize);
+                xs[index] = point.x;
+                ys[index] = point.y;
+            });
+
+            // Springs between related files in this directory, one per pair
+            const indexByPath = new Map(items.map((item, index) => [item.path, index]));
+            const linkKeys = new Set();
+            const links = [];
+            items.forEach((item, index) => {
+                (item.related_files || []).forEach(path => {
+                    const other = indexByPath.get(path);
+                    if (other === undefined || other === index) return;
+                    const key = index < other ? `${index},${other}` : `${other},${index}`;
+                    if (!linkKeys.has(key)) {
+                        linkKeys.add(key);
+                        links.push([index, other]);
+                    }
+                });
+            });
+
+            // Spend a fixed amount of work however many items there are
+            const iterations = Math.max(20, Math.min(300, Math.round(context.forceBudget / count)));
+            const cutoff = ideal * 2;
+            const buckets = createBuckets(cutoff);
+            const dx = new Float64Array(count);
+            const dy = new Float64Array(count);
+            let temperature = cellSize * 2;
+            const cooling = temperature / (iterations + 1);
+            const gravity = ideal * 0.1;
+
+            for (let step = 0; step < iterations; step++) {
+                dx.fill(0);
+                dy.fill(0);
+                buckets.clear();
+                for (let i = 0; i < count; i++) buckets.add(xs[i], ys[i], i);
+
+                // Repulsion from nearby items only
+                for (let i = 0; i < count; i++) {
+                    buckets.forEachNear(xs[i], ys[i], j => {
+                        if (j === i) return;
+                        let ox = xs[i] - xs[j];
+                        let oy = ys[i] - ys[j];
+                        let distance = Math.hypot(ox, oy);
+                        if (distance === 0) {
+                            // Separate coincident items in a stable direction
+                            ox = Math.cos(i);
+                            oy = Math.sin(i);
+                            distance = 0.01;
+                        }
+                        if (distance > cutoff) return;
+                        const force = (ideal * ideal) / distance;
+                        dx[i] += (ox / distance) * force;
+                        dy[i] += (oy / distance) * force;
+                    });
+                }
+
+                // Attraction along related-file links
+                links.forEach(([a, b]) => {
+                    const ox = xs[a] - xs[b];
+                    const oy = ys[a] - ys[b];
+                    const distance = Math.hypot(ox, oy) || 0.01;
+                    const force = (distance * distance) / ideal;
+                    dx[a] -= (ox / distance) * force;
+                    dy[a] -= (oy / distance) * force;
+                    dx[b] += (ox / distance) * force;
+                    dy[b] += (oy / distance) * force;
+                });
+
+                // Constant gravity toward the center, then move no further than the temperature
+                for (let i = 0; i < count; i++) {
+                    const radius = Math.hypot(xs[i], ys[i]);
+                    if (radius > 0) {
+                        dx[i] -= (xs[i] / radius) * gravity;
+                        dy[i] -= (ys[i] / radius) * gravity;
+                    }
+                    const length = Math.hypot(dx[i], dy[i]);
+                    if (length > 0) {
+                        const limited = Math.min(length, temperature);
+                        xs[i] += (dx[i] / length) * limited;
+                        ys[i] += (dy[i] / length) * limited;
+                    }
+                }
+
+                temperature -= cooling;
+            }
+
+            separateOverlaps(xs, ys, context);
+
+            const centers = items.map((item, index) => ({ x: xs[index], y: ys[index] }));
+            return centersToPositions(centers, context);
+        }
+    };
+
+    /**
+     * Register a layout algorithm
+     * @param {string} name - Layout name, as stored in settings
+     * @param {Object} layout - Object with a label and compute(items, context) returning positions
+     */
+    function registerLayout(name, layout) {
+        if (!layout || typeof layout.compute !== 'function') {
+            throw new Error(`Layout "${name}" must implement compute`);
+        }
+        _layouts.set(name, { label: name, ...layout });
+    }
+
+    /**
+     * List registered layouts
+     * @returns {Array} Layout names and labels in registration order
+     */
+    function listLayouts() {
+        return Array.from(_layouts, ([name, layout]) => ({ name, label: layout.label }));
+    }
+
+    /**
+     * Position items with a layout
+     * @param {string} name - Layout name; unknown names fall back to the grid
+     * @param {Array} items - Tree items to place
+     * @param {Object} context - Item size, margin and viewport size
+     * @returns {Array} Copies of the items with a position, starting at the origin
+     */
+    function computeLayout(name, items, context = {}) {
+        const layout = _layouts.get(name) || _layouts.get('grid');
+        const fullContext = {
+            itemWidth: 100,
+            itemHeight: 120,
+            itemMargin: 20,
+            viewportWidth: 1000,
+            viewportHeight: 800,
+            forceBudget: 300000, // Item-iterations the force layout may spend
+            ...context
+        };
+
+        const positions = layout.compute(items, fullContext);
+
+        // Shift so the top-left item starts at the origin, where the view opens
+        let minX = Infinity, minY = Infinity;
+        positions.forEach(position => {
+            minX = Math.min(minX, position.x);
+            minY = Math.min(minY, position.y);
+        });
+        if (!isFinite(minX)) minX = minY = 0;
+
+        return items.map((item, index) => ({
+            ...item,
+            position: {
+                x: Math.round(positions[index].x - minX),
+                y: Math.round(positions[index].y - minY)
+            }
+        }));
+    }
+
+    registerLayout('grid', gridLayout);
+    registerLayout('galaxy', galaxyLayout);
+    registerLayout('force', forceLayout);
+
+    // Public API
+    return {
+        registerLayout,
+        listLayouts,
+        computeLayout,
+        hasLayout: (name) => _layouts.has(name)
+    };
+})();
+
+// Export to window
+window.LayoutEngine = LayoutEngine;
@@ -303,9 +303,6 @@ function setupEventListeners() {
         }
     });
     
-    // Keyboard navigation
-    window.addEventListener('keydown', handleKeyboard);
-    
     // Window resize for layout adjustments
     window.addEventListener('resize', debounce(updateLayout, 250));
 }
@@ -1273,60 +1270,6 @@ function closeContextMenu() {
     window.removeEventListener('click', closeContextMenu);
 }
 
-/**
- * Handle keyboard navigation
- * @param {Event} e - The keydown event
- */
-function handleKeyboard(e) {
-    // Escape key - close dialogs, deselect items, etc.
-    if (e.key === 'Escape') {
-        // Close context menu if open
-        if (state.contextMenuState.visible) {
-            closeContextMenu();
-            return;
-        }
-        
-        // Close context panel if open
-        if (!contextPanel.classList.contains('hidden')) {
-            contextPanel.classList.add('hidden');
-            
-            // Deselect item
-            if (state.selectedItem) {
-                const element = document.querySelector(`.spatial-item[data-path="${state.selectedItem.path}"]`);
-                if (element) element.classList.remove('focused');
-                state.selectedItem = null;
-            }
-            
-            return;
-        }
-    }
-    
-    // Backspace - navigate up one level
-    if (e.key === 'Backspace' && !searchInput.matches(':focus')) {
-        navigateUp();
-        return;
-    }
-    
-    // Alt + Left Arrow - navigate back
-    if (e.key === 'ArrowLeft' && e.altKey) {
-        navigateBack();
-        return;
-    }
-    
-    // Alt + Right Arrow - navigate forward (if history implemented)
-    if (e.key === 'ArrowRight' && e.altKey) {
-        // navigateForward();
-        return;
-    }
-    
-    // Search shortcut (Ctrl+F)
-    if (e.key === 'f' && (e.ctrlKey || e.metaKey)) {
-        e.preventDefault();
-        searchInput.focus();
-        return;
-    }
-}
-
 /**
  * Navigate up one directory level
  */
@@ -1671,12 +1614,53 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- Configuration ---
     const CONFIG = {
         DATA_URL: 'data/dir_tree.json.min', // Path to the minified JSON data
+        SHARD_MANIFEST_URL: 'data/shards/manifest.json', // Sharded scan, used instead of DATA_URL when present
+        SHARD_PLACEHOLDER_TILES: 24, // Most "loading" tiles shown while a directory's shard is fetched
+        SHARD_REINDEX_MS: 1000, // Wait after the last shard arrives before re-indexing search
+        TREE_CACHE_SAVE_MS: 2000, // Wait before writing the loaded tree to the browser cache, after the first render
+        ROUTE_UPDATE_MS: 250, // Most often zooming, panning or typing rewrites the URL
+        LASSO_THRESHOLD: 4, // Pixels a drag on empty space moves before it draws a selection rectangle
+        TOUCH_GESTURES: { // Pinch, pan, double-tap and long-press on touch screens
+            tapSlop: 10, // Pixels a finger may move and still count as a tap
+            doubleTapMs: 300, // Most time between the two taps of a double tap
+            longPressMs: 500, // Hold that opens the context menu
+            inertiaFriction: 0.95, // Share of the pan speed kept every 16 ms after a fling
+            inertiaMinSpeed: 0.02, // Pixels per ms below which a fling stops
+            flingWindowMs: 50, // A finger resting longer than this before lifting does not fling
+            clickGuardMs: 400, // How long the browser's own click, dblclick and contextmenu are swallowed after a gesture
+        },
+        ANNOUNCE_DELAY_MS: 100, // Gap between clearing and filling a live region, so a repeated message is read again
+        TYPE_AHEAD_RESET_MS: 800, // Pause after which typed letters start a new name to jump to
+        PALETTE_RECENT_DIRECTORIES: 8, // Recently visited directories offered in the command palette
+        DEFAULT_KEYBINDINGS: { // Command id -> key sequences; a space separates the keys of a chord
+            // None starts with a plain character: those jump to tiles by name
+            'palette.open': ['ctrl+k'],
+            'help.show': ['ctrl+/'],
+            'navigate.up': ['backspace'],
+            'navigate.back': ['alt+arrowleft'],
+            'navigate.forward': ['alt+arrowright'],
+            'navigate.root': ['alt+g h'],
+            'navigate.goToPath': ['alt+g p'],
+            'view.zoomIn': ['ctrl+=', 'ctrl++'],
+            'view.zoomOut': ['ctrl+-'],
+            'view.reset': ['ctrl+0'],
+            'search.focus': ['ctrl+f'],
+            'bookmarks.show': ['alt+g b'],
+            'tools.duplicates': ['alt+g d'],
+            'tools.settings': ['ctrl+,'],
+        },
+        CHORD_TIMEOUT_MS: 1200, // Time allowed between the keys of a chord
+        KEYBINDING_RECORD_MS: 1000, // Pause that ends a shortcut being recorded in the settings
+        MAX_CHORD_LENGTH: 3, // Keys a recorded shortcut may have
+        DUPLICATE_GROUP_LIMIT: 200, // Most duplicate sets listed in the duplicates panel, largest waste first
         INITIAL_ZOOM: 1,
         MIN_ZOOM: 0.1,
         MAX_ZOOM: 5,
         ZOOM_STEP: 0.1,
         DEFAULT_THEME: 'light', // or 'dark' or 'auto'
         SEARCH_DEBOUNCE_MS: 300, // Debounce time for search input
+        SEARCH_RESULT_LIMIT: 500, // Best results listed per search
+        PROGRESSIVE_RENDER_MS: 300, // How often a streaming load redraws the current directory
         TOAST_DURATION_MS: 3000,
         CONTEXT_MENU_OFFSET: 5, // Offset for context menu positioning
         VIRTUALIZER_OPTIONS: { // Options for VirtualizedRenderer
@@ -1685,8 +1669,22 @@ document.addEventListener('DOMContentLoaded', () => {
             renderMargin: 300, // Extra area outside viewport to prerender
             debug: false, // Enable virtualizer debug visuals
         },
+        SEMANTIC_ZOOM: { // Zooming through directory tiles
+            enterCoverage: 0.6, // Enter a directory once its tile fills this share of the view
+            exitCoverage: 0.35, // Return to the parent once the directory shrinks below this share
+            transitionMs: 300, // Length of the hand-off animation at normal speed
+        },
+        MINI_MAP: { // Overview drawn in the corner of the spatial view
+            padding: 6, // Space between the layout and the map edge, in map pixels
+            minItemSize: 2, // Smallest dot drawn for an item, in map pixels
+        },
         PERFORMANCE_MONITOR_OPTIONS: { // Options for Performance monitoring
             fpsUpdateInterval: 1000, // ms
+        },
+        CONTENT_PROVIDER_OPTIONS: { // Options for ContentProvider (file previews)
+            root: 'data/root/', // Served root that item paths are relative to
+            maxTextBytes: 1024 * 1024, // Text previews are truncated beyond this
+            maxBinaryBytes: 25 * 1024 * 1024, // Larger images are not previewed
         }
     };
 
@@ -1699,13 +1697,15 @@ document.addEventListener('DOMContentLoaded', () => {
     const zoomInBtn = document.getElementById('zoom-in'); //
     const zoomOutBtn = document.getElementById('zoom-out'); //
     const resetViewBtn = document.getElementById('reset-view'); //
+    const viewModeButtons = document.querySelectorAll('[data-view-mode]');
+    const searchModeButtons = document.querySelectorAll('[data-search-mode]');
     const themeToggleBtn = document.getElementById('theme-toggle'); //
     const breadcrumbContainer = document.getElementById('breadcrumb-container'); //
     const contextPanel = document.getElementById('context-panel'); //
     const contextPanelCloseBtn = contextPanel.querySelector('.panel-close'); //
     const contextPanelContent = contextPanel.querySelector('.panel-content'); //
     const miniMapElement = document.getElementById('mini-map'); //
-    const miniMapContent = miniMapElement.querySelector('.mini-map-content'); //
+    const miniMapCanvas = miniMapElement.querySelector('.mini-map-canvas');
     const miniMapViewport = miniMapElement.querySelector('.mini-map-viewport'); //
     const dirCountStat = document.getElementById('dir-count'); //
     const fileCountStat = document.getElementById('file-count'); //
@@ -1715,22 +1715,40 @@ document.addEventListener('DOMContentLoaded', () => {
     const loadingProgressText = document.getElementById('loading-progress-text'); //
     const contextMenu = document.getElementById('context-menu'); //
     const toastContainer = document.getElementById('toast-container'); //
+    const liveRegion = document.getElementById('live-region');
+    const liveRegionAlert = document.getElementById('live-region-alert');
 
     // Modals
     const settingsModal = document.getElementById('settings-modal'); //
     const bookmarksModal = document.getElementById('bookmarks-modal'); //
     const helpModal = document.getElementById('help-modal'); //
     const previewModal = document.getElementById('preview-modal'); //
-    const allModals = [settingsModal, bookmarksModal, helpModal, previewModal];
+    const previewPrevBtn = document.getElementById('preview-prev');
+    const previewNextBtn = document.getElementById('preview-next');
+    const previewPosition = document.getElementById('preview-position');
+    const diffModal = document.getElementById('diff-modal');
+    const diffOldInput = document.getElementById('diff-old-file');
+    const diffNewInput = document.getElementById('diff-new-file');
+    const diffBar = document.getElementById('diff-bar');
+    const diffBarLabels = document.getElementById('diff-bar-labels');
+    const diffLegend = document.getElementById('diff-legend');
+    const diffOnlyChangesCheckbox = document.getElementById('diff-only-changes');
+    const duplicatesModal = document.getElementById('duplicates-modal');
+    const allModals = [settingsModal, bookmarksModal, helpModal, previewModal, diffModal, duplicatesModal].filter(Boolean);
 
     // Settings Elements
     const themeSelect = document.getElementById('theme-select'); //
     const animationSpeedSelect = document.getElementById('animation-speed'); //
     const zoomBehaviorSelect = document.getElementById('zoom-behavior'); //
+    const layoutSelect = document.getElementById('layout-select');
     const showMinimapCheckbox = document.getElementById('show-minimap'); //
+    const semanticZoomCheckbox = document.getElementById('semantic-zoom');
+    const showRelatedLinksCheckbox = document.getElementById('show-related-links');
     const enableLazyLoadingCheckbox = document.getElementById('enable-lazy-loading'); //
     const detailLevelSelect = document.getElementById('detail-level'); //
     const enableVirtualizationCheckbox = document.getElementById('enable-virtualization'); //
+    const treeCacheSize = document.getElementById('tree-cache-size');
+    const purgeTreeCacheBtn = document.getElementById('purge-tree-cache');
     const saveSettingsBtn = document.getElementById('save-settings'); //
     const resetSettingsBtn = document.getElementById('reset-settings'); //
 
@@ -1743,6 +1761,7 @@ document.addEventListener('DOMContentLoaded', () => {
         zoomLevel: CONFIG.INITIAL_ZOOM,
         panOffset: { x: 0, y: 0 },
         selectedItem: null,
+        selection: new Map(), // path -> item of every selected item; selectedItem is the one clicked last
         isDragging: false,
         lastMousePosition: { x: 0, y: 0 },
         history: [], // For back/forward navigation
@@ -1754,11 +1773,64 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- Modules ---
     let virtualizer;
     const perf = window.Performance; // Access the Performance module
+    const contentProvider = window.ContentProvider; // Access the ContentProvider module
+    const layoutEngine = window.LayoutEngine; // Access the LayoutEngine module
+    const searchQuery = window.SearchQuery; // Access the SearchQuery module
+    let renderedLayout = null; // Layout used for the directory on screen
+    let treemapView = null; // TreemapView, created when the module is loaded
+    let sunburstView = null; // SunburstView, created when the module is loaded
+    let semanticTransition = null; // requestAnimationFrame id while a zoom hand-off animates
+    let previewRequest = null; // { controller, objectUrls, viewer } for the open preview
+    let previewItem = null; // File shown in the preview modal
+    const miniMapState = { projection: null, dragging: false }; // Layout-to-map mapping of the drawn mini-map
+    const pathIndex = new window.PathIndex(); // path -> node and parent for the loaded tree
+    const treeLoader = window.TreeLoader; // Access the TreeLoader module
+    let streamingLoad = null; // { progress, renderTimer, dirty } while the tree streams in after the root is shown
+    let shardLoader = null; // TreeLoader.ShardLoader when the scan is sharded
+    let shardReindexTimer = null; // Pending search re-index after shards arrive
+    const treeCache = window.TreeCache ? new window.TreeCache() : null; // IndexedDB copy of the last scan
+    let treeSource = CONFIG.DATA_URL; // URL the shown tree came from, which keys its cache entry
+    let treeValidators = null; // ETag and Last-Modified of that download, cached with the tree
+    let treeCacheSaveTimer = null; // Pending write of the tree to treeCache
+    const urlState = window.UrlState; // Access the UrlState module
+    let urlRouting = false; // True once the linked place is restored and the URL follows the app
+    let routeUpdateTimer = null; // Pending rewrite of the current history entry
+    let diffState = null; // { savedData, result, labels, onlyChanges } while two scans are compared
+    const duplicateFinder = window.DuplicateFinder; // Access the DuplicateFinder module
+    let duplicates = null; // { root, size, groups, byPath } found in the tree, until it changes
+    let lasso = null; // { start, base, element } while a selection rectangle is dragged
+    const typeAhead = { text: '', timer: null }; // Letters typed to jump to an item by name
+    const touchGesture = { // Touch pointers on the spatial view and what they are doing
+        pointers: new Map(), // pointerId -> { x, y } in view coordinates
+        mode: null, // null (may still be a tap), 'pan' or 'pinch'
+        start: null, // { x, y, time, element } of the first finger, while it may be a tap or long press
+        pinch: null, // { distance, zoom, path } when two fingers went down
+        centroid: null, // Last midpoint of the fingers
+        velocity: { x: 0, y: 0 }, // Pan speed in px/ms, for the fling
+        lastMoveTime: 0,
+        longPressTimer: null,
+        lastTap: null, // { time, path, x, y } of the last tap, to spot a double tap
+        inertiaFrame: null, // requestAnimationFrame id while a fling glides
+        guardUntil: 0, // Time before which the browser's mouse events from the gesture are swallowed
+    };
+    let modalReturnFocus = null; // Element focused before a modal opened, focused again once all are closed
+    let contextMenuReturnFocus = null; // Tile the context menu was opened on
+    let commandPalette = null; // CommandPalette, created when the module is loaded
+    const commands = new Map(); // id -> { id, category, title, icon, when(), run() } of every action
+    let keyBindings = null; // KeyBindings: key sequence -> command id
+    let searchIndex = null; // SearchIndex worker client, when workers are available
+    let renderedSearchQuery = null; // Parsed query whose results are on screen
+    let pendingSearchRender = null; // Latest streamed results waiting for the next frame
+    let searchRenderFrame = null; // requestAnimationFrame id for pendingSearchRender
 
     // --- Initialization ---
     async function init() {
+        const initialRoute = urlState ? urlState.read() : null; // Read before anything can rewrite it
         showLoading('Loading application...');
         setupEventListeners();
+        registerCommands();
+        setupKeyBindings();
+        setupCommandPalette();
         applySettings(appState.settings); // Apply loaded or default settings
 
         // Initialize Virtualized Renderer
@@ -1767,8 +1839,59 @@ document.addEventListener('DOMContentLoaded', () => {
                 ...CONFIG.VIRTUALIZER_OPTIONS,
                 containerSelector: '#spatial-view', //
                 viewportSelector: '#directory-viewport', //
+                onChildrenNeeded: (item) => requestDirectoryShard(findItemByPath(item.path)),
+                describeItem,
+            });
+        }
+
+        if (contentProvider) {
+            contentProvider.configure(CONFIG.CONTENT_PROVIDER_OPTIONS);
+        }
+
+        populateLayoutSelect();
+
+        // Whole-tree search runs in a worker when the browser allows it
+        if (window.SearchIndex) {
+            searchIndex = new window.SearchIndex({
+                resultLimit: CONFIG.SEARCH_RESULT_LIMIT,
+                onError: () => {
+                    // Finish the interrupted search here instead
+                    if (renderedSearchQuery && searchInput.value.trim()) performSearch(searchInput.value);
+                },
+            });
+        }
+
+        // Alternative views of the current directory
+        if (window.TreemapView) {
+            treemapView = new window.TreemapView(spatialView, {
+                formatSize: formatBytes,
+                onNavigate: (item) => navigateToPath(item.path, true),
+                onSelect: (item, element) => handleItemClick(item, element),
+                onOpen: (item) => showFilePreview(item),
+                onContextMenu: (event, item, element) => handleItemContextMenu(event, item, element),
+            });
+        }
+        if (window.SunburstView) {
+            sunburstView = new window.SunburstView(spatialView, {
+                ...getSunburstLimits(appState.settings.detailLevel),
+                depth: appState.settings.sunburstDepth,
+                formatSize: formatBytes,
+                onNavigate: (item) => navigateToPath(item.path, true),
+                onNavigateUp: () => {
+                    if (appState.currentPath) {
+                        navigateToPath(getParentPath(appState.currentPath), true);
+                    }
+                },
+                onSelect: (item, element) => handleItemClick(item, element),
+                onOpen: (item) => showFilePreview(item),
+                onContextMenu: (event, item, element) => handleItemContextMenu(event, item, element),
+                onDepthChange: (depth) => {
+                    appState.settings.sunburstDepth = depth;
+                    saveSettings(true);
+                },
             });
         }
+        updateViewModeButtons();
 
         // Start performance monitoring if enabled
         if (appState.settings.enablePerformanceMonitoring && perf) {
@@ -1776,11 +1899,25 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         try {
-            await loadInitialData();
-            navigateToPath(appState.currentPath, false, true); // Initial navigation to root
+            const alreadyShown = await loadInitialData();
+            pathIndex.build(appState.currentData);
+            renderBookmarks(); // Mark bookmarks that are missing from this scan
+            if (searchIndex) searchIndex.build(appState.currentData);
+            if (!alreadyShown) {
+                navigateToPath(appState.currentPath, false, true); // Initial navigation to root
+            } else if (!renderedSearchQuery) {
+                renderDirectory(appState.currentDirectoryData); // Sizes arrive after each directory's children
+            }
             updateBreadcrumbs();
             updateMiniMap();
             updateFooterStats();
+
+            // Open the place a pasted link points to, unless the user moved while the tree streamed in
+            if (initialRoute && appState.historyIndex === -1) await applyRoute(initialRoute);
+            if (urlState) {
+                urlRouting = true;
+                writeRoute(false);
+            }
         } catch (error) {
             console.error("Initialization failed:", error);
             showToast('Error loading initial data. Please try refreshing.', 'error');
@@ -1790,48 +1927,297 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // --- Data Handling ---
+    // Resolves to true when the tree was already shown while it streamed in
     async function loadInitialData() {
         showLoading('Loading directory structure...');
         try {
-            const response = await fetch(CONFIG.DATA_URL);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            // The last scan seen is shown at once; the server copy is checked behind it
+            const cached = treeCache
+                ? await treeCache.getLatest([CONFIG.SHARD_MANIFEST_URL, CONFIG.DATA_URL]).catch(error => {
+                    console.warn('Could not read the cached directory tree:', error);
+                    return null;
+                })
+                : null;
+            let loaded;
+            if (cached) {
+                loaded = { root: cached.tree, source: cached.source, loader: createShardLoader(cached.source), validators: cached.validators };
+                revalidateCachedTree(cached);
+            } else {
+                // With lazy loading on, the tree is parsed and shown while it downloads
+                loaded = await fetchTree({
+                    streaming: appState.settings.enableLazyLoading,
+                    onProgress: updateDataLoadProgress,
+                    onRoot: showStreamedRoot,
+                    onNode: attachStreamedNode,
+                });
             }
-            appState.currentData = await response.json();
-            appState.currentDirectoryData = appState.currentData; // Initially, root is current
+
+            const root = loaded.root;
             // Assume the root of the JSON is the first directory to display.
             // The smart_tree.py script creates a root object.
-            if (appState.currentData && appState.currentData.name) {
-                 appState.currentPath = appState.currentData.path || ''; // root path
-            } else {
+            if (!root || !root.name) {
                 throw new Error("Invalid data structure in JSON file.");
             }
+            shardLoader = loaded.loader;
+            treeSource = loaded.source;
+            treeValidators = loaded.validators;
+            if (!cached) scheduleTreeCacheSave();
+            const alreadyShown = streamingLoad !== null;
+            appState.currentData = root;
+            if (!alreadyShown) {
+                appState.currentDirectoryData = root; // Initially, root is current
+                appState.currentPath = root.path || ''; // root path
+            }
 
             // Update progress for data loading
             updateLoadingProgress(100, 'Directory structure loaded.');
+            return alreadyShown;
         } catch (error) {
             console.error('Failed to load directory data:', error);
             showToast(`Failed to load data: ${error.message}`, 'error');
             updateLoadingProgress(100, 'Error loading data.'); // Still hide overlay
             throw error; // Re-throw to be caught by init
+        } finally {
+            finishStreamedLoad();
         }
     }
 
-    function findItemByPath(path, dataNode = appState.currentData) {
-        if (!dataNode) return null;
-        if ((dataNode.path || '') === path) return dataNode;
+    // A sharded scan only brings the upper levels now; the rest loads as it is opened.
+    // Resolves to null when options.validators show the whole-file scan has not changed.
+    async function fetchTree(options = {}) {
+        const loader = createShardLoader(CONFIG.SHARD_MANIFEST_URL);
+        const manifest = await loader.loadManifest();
+        if (manifest) return { root: manifest, source: CONFIG.SHARD_MANIFEST_URL, loader, validators: null };
+        let validators = null;
+        const root = await treeLoader.load(CONFIG.DATA_URL, { ...options, onValidators: received => { validators = received; } });
+        return root ? { root, source: CONFIG.DATA_URL, loader: null, validators } : null;
+    }
 
-        if (dataNode.type === 'directory' && dataNode.children) { //
-            for (const child of dataNode.children) {
-                const found = findItemByPath(path, child);
-                if (found) return found;
+    function createShardLoader(source) {
+        return source === CONFIG.SHARD_MANIFEST_URL ? new treeLoader.ShardLoader(source, { onLoad: attachShard }) : null;
+    }
+
+    // --- Tree Cache ---
+    // Stale-while-revalidate: fetch the server copy behind the cached tree and offer it if the scan is newer.
+    // The whole-file scan is only downloaded again when the server says it changed; a manifest is small enough to refetch.
+    async function revalidateCachedTree(cached) {
+        try {
+            const latest = await fetchTree({ validators: cached.source === CONFIG.DATA_URL ? cached.validators : null });
+            if (!latest || !latest.root || !isNewerScan(latest.root, cached.tree)) return;
+            const scanned = new Date(latest.root.scan_metadata.timestamp).toLocaleString();
+            showToast(`A newer scan (${scanned}) is available.`, 'info', CONFIG.TOAST_DURATION_MS * 5, {
+                label: 'Refresh',
+                onClick: () => replaceTree(latest),
+            });
+        } catch (error) {
+            console.warn('Could not check for a newer scan; showing the cached one:', error);
+        }
+    }
+
+    function isNewerScan(tree, than) {
+        const time = Date.parse(tree.scan_metadata?.timestamp);
+        const cachedTime = Date.parse(than.scan_metadata?.timestamp);
+        if (isNaN(time)) return false;
+        return isNaN(cachedTime) || time > cachedTime;
+    }
+
+    // Show a newer scan
+    function replaceTree(loaded) {
+        if (diffState) exitDiff();
+        shardLoader = loaded.loader;
+        treeSource = loaded.source;
+        treeValidators = loaded.validators;
+        showTree(loaded.root);
+        scheduleTreeCacheSave();
+        showToast('Showing the newer scan.', 'success');
+    }
+
+    // Swap the whole tree, staying in the current directory if it is still there
+    function showTree(root) {
+        appState.currentData = root;
+        pathIndex.build(root);
+        renderBookmarks();
+        if (searchIndex) searchIndex.build(root);
+
+        const path = appState.currentPath;
+        const stillThere = pathIndex.has(path) || findPendingAncestor(path);
+        navigateToPath(stillThere ? path : (root.path || ''), false, true);
+    }
+
+    // Written after a delay so it never competes with rendering; later calls replace earlier ones
+    function scheduleTreeCacheSave() {
+        if (!treeCache || diffState) return; // A comparison is not a scan
+        clearTimeout(treeCacheSaveTimer);
+        treeCacheSaveTimer = setTimeout(() => {
+            treeCacheSaveTimer = null;
+            treeCache.save(treeSource, appState.currentData, treeValidators).catch(error => {
+                console.warn('Could not cache the directory tree:', error);
+            });
+        }, CONFIG.TREE_CACHE_SAVE_MS);
+    }
+
+    function updateTreeCacheInfo() {
+        if (!treeCacheSize) return;
+        const info = treeCache ? treeCache.getInfo() : Promise.resolve(null);
+        info.catch(() => null).then(result => {
+            purgeTreeCacheBtn.disabled = !result;
+            if (!result) {
+                treeCacheSize.textContent = 'Unavailable in this browser';
+            } else if (result.entries === 0) {
+                treeCacheSize.textContent = 'Empty';
+            } else {
+                treeCacheSize.textContent = `${result.entries} scan${result.entries === 1 ? '' : 's'}, ${formatBytes(result.bytes)}`;
             }
+        });
+    }
+
+    async function purgeTreeCache() {
+        clearTimeout(treeCacheSaveTimer); // A pending write would fill it again
+        treeCacheSaveTimer = null;
+        try {
+            await treeCache.clear();
+            showToast('Cached scans deleted. The next visit loads from the server.', 'success');
+        } catch (error) {
+            showToast(`Could not purge the cache: ${error.message}`, 'error');
         }
-        return null;
+        updateTreeCacheInfo();
+    }
+
+    function updateDataLoadProgress(loaded, total) {
+        // Without a length (or once a compressed body outgrows it) only bytes can be shown
+        const percentage = total && loaded <= total ? Math.min(99, Math.round(loaded / total * 100)) : null;
+        const text = percentage !== null
+            ? `${formatBytes(loaded)} of ${formatBytes(total)}`
+            : `${formatBytes(loaded)} loaded`;
+        updateLoadingProgress(percentage, text);
+        if (streamingLoad) streamingLoad.progress = { percentage, text };
+    }
+
+    // The root's name, path and type have arrived: show it and keep loading in the background
+    function showStreamedRoot(root) {
+        appState.currentData = root;
+        appState.currentDirectoryData = root;
+        appState.currentPath = root.path || '';
+        pathIndex.build(root);
+        streamingLoad = { progress: null, renderTimer: null, dirty: true };
+        loadingOverlay.classList.add('compact'); //
+        navigateToPath(appState.currentPath, false, true);
+    }
+
+    function attachStreamedNode(node, parent) {
+        pathIndex.add(node, parent);
+
+        // Tiles show one level; the treemap and sunburst show several below the current directory
+        const isVisible = getActiveViewMode() === 'spatial'
+            ? parent === appState.currentDirectoryData
+            : (node.path || '').startsWith(appState.currentPath);
+        if (isVisible) streamingLoad.dirty = true;
+
+        if (streamingLoad.renderTimer === null) {
+            streamingLoad.renderTimer = setTimeout(renderStreamedNodes, CONFIG.PROGRESSIVE_RENDER_MS);
+        }
+    }
+
+    function renderStreamedNodes() {
+        if (!streamingLoad) return;
+        streamingLoad.renderTimer = null;
+        // Search results stay on screen until the search is cleared
+        if (streamingLoad.dirty && !renderedSearchQuery) {
+            streamingLoad.dirty = false;
+            renderDirectory(appState.currentDirectoryData);
+        }
+        updateFooterStats();
+    }
+
+    function finishStreamedLoad() {
+        if (!streamingLoad) return;
+        clearTimeout(streamingLoad.renderTimer);
+        streamingLoad = null;
+        loadingOverlay.classList.remove('compact'); //
+    }
+
+    // --- Sharded Scans ---
+    function isDirectoryPending(directory) {
+        return Boolean(shardLoader && shardLoader.isPending(directory));
+    }
+
+    // Fetch a directory's children once; failures are reported where the directory is on screen
+    function requestDirectoryShard(directory) {
+        if (!isDirectoryPending(directory)) return;
+        shardLoader.loadChildren(directory).catch(error => {
+            console.error(`Failed to load the contents of ${directory.path || 'root'}:`, error);
+            if (directory === appState.currentDirectoryData) {
+                showToast(`Could not load ${directory.name}: ${error.message}`, 'error');
+                clearSpatialItems();
+            }
+        });
+    }
+
+    // Called by the shard loader once a directory's children are in the tree
+    function attachShard(directory) {
+        directory.children.forEach(child => pathIndex.add(child, directory));
+
+        // Search covers what has been loaded; re-index once shards stop arriving
+        clearTimeout(shardReindexTimer);
+        shardReindexTimer = setTimeout(() => {
+            if (searchIndex) searchIndex.build(appState.currentData);
+        }, CONFIG.SHARD_REINDEX_MS);
+        scheduleTreeCacheSave(); // Opened directories are cached with the tree
+
+        if (renderedSearchQuery) return; // Search results stay on screen until the search is cleared
+        const viewMode = getActiveViewMode();
+        if (directory === appState.currentDirectoryData ||
+            (viewMode !== 'spatial' && (directory.path || '').startsWith(appState.currentPath))) {
+            renderDirectory(appState.currentDirectoryData);
+        } else if (viewMode === 'spatial' && virtualizer && appState.settings.enableVirtualization) {
+            virtualizer.updateItem({ path: directory.path, children: directory.children }); // Its tile's preview
+        }
+    }
+
+    // Nearest indexed ancestor of a path when its shard has not been fetched yet
+    function findPendingAncestor(path) {
+        let ancestorPath = path;
+        while (ancestorPath && !pathIndex.has(ancestorPath)) {
+            ancestorPath = ancestorPath.substring(0, ancestorPath.lastIndexOf('/'));
+        }
+        const ancestor = pathIndex.get(ancestorPath);
+        return isDirectoryPending(ancestor) ? ancestor : null;
+    }
+
+    // Fetch the shards down to a path; resolves to whether the path exists
+    async function loadShardsForPath(path) {
+        let pending = findPendingAncestor(path);
+        while (pending) {
+            await shardLoader.loadChildren(pending);
+            pending = findPendingAncestor(path);
+        }
+        return pathIndex.has(path);
+    }
+
+    // Stand-ins shown while a directory's children load
+    function createPlaceholderItems(directory) {
+        const count = Math.min(directory.child_count || CONFIG.SHARD_PLACEHOLDER_TILES, CONFIG.SHARD_PLACEHOLDER_TILES);
+        return Array.from({ length: count }, (_, index) => ({
+            name: 'Loading…',
+            path: `${directory.path || ''}//loading-${index}`, // Real paths never contain '//'
+            type: 'placeholder',
+        }));
+    }
+
+    // Lookups go through pathIndex, built when the tree loads
+    function findItemByPath(path) {
+        return pathIndex.get(path);
+    }
+
+    function getParentPath(path) {
+        const parent = pathIndex.getParent(path);
+        if (parent) return parent.path || '';
+        return path.substring(0, path.lastIndexOf('/')); // Not in the tree (yet)
     }
 
     // --- Rendering & Display ---
     function renderDirectory(directoryData) {
+        cancelSearch(); // Streamed search results must not land on top of the directory
         if (!directoryData || directoryData.type !== 'directory') { //
             console.warn("Attempted to render invalid directory data:", directoryData);
             directoryViewport.innerHTML = '<p class="empty-directory-message">Directory is empty or cannot be displayed.</p>';
@@ -1840,50 +2226,117 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         appState.currentDirectoryData = directoryData;
-        const itemsToRender = directoryData.children || []; //
-
-        if (virtualizer && appState.settings.enableVirtualization) {
-            // The virtualizer needs items with x, y positions.
-            // We'll need a layout algorithm here. For now, a simple grid.
+        const isPending = isDirectoryPending(directoryData);
+        if (isPending) requestDirectoryShard(directoryData); // attachShard renders it again
+
+        directoryViewport.setAttribute('role', 'tree');
+        directoryViewport.setAttribute('aria-label', `Contents of ${directoryData.name || 'root'}`);
+        directoryViewport.setAttribute('aria-busy', String(isPending));
+        const itemsToRender = isPending ? createPlaceholderItems(directoryData) : (directoryData.children || []); //
+
+        const viewMode = getActiveViewMode();
+        showViewSurface(viewMode);
+        if (viewMode === 'treemap') {
+            clearSpatialItems();
+            treemapView.render(directoryData);
+        } else if (viewMode === 'sunburst') {
+            clearSpatialItems();
+            sunburstView.render(directoryData);
+        } else if (virtualizer && appState.settings.enableVirtualization) {
+            // The virtualizer needs items with x, y positions from the chosen layout
             const layoutItems = calculateLayout(itemsToRender);
             virtualizer.setItems(layoutItems, appState.zoomLevel); //
+            updateRelatedLinks(appState.selectedItem ? appState.selectedItem.data : null);
         } else {
             // Manual rendering (fallback or if virtualization is off)
             directoryViewport.innerHTML = ''; // Clear previous content
-            itemsToRender.forEach(item => {
+            itemsToRender.forEach((item, index) => {
                 const itemElement = createItemElement(item);
+                itemElement.setAttribute('aria-posinset', index + 1);
+                itemElement.setAttribute('aria-setsize', itemsToRender.length);
                 directoryViewport.appendChild(itemElement);
             });
         }
         updateFooterStats();
-        updateMiniMap();
+        updateMiniMap(true);
+    }
+
+    // --- View Modes ---
+    function getActiveViewMode() {
+        // Fall back to tiles when the module behind a stored mode is not loaded
+        if (appState.settings.viewMode === 'treemap' && treemapView) return 'treemap';
+        if (appState.settings.viewMode === 'sunburst' && sunburstView) return 'sunburst';
+        return 'spatial';
+    }
+
+    function setViewMode(mode) {
+        appState.settings.viewMode = mode;
+        saveSettings(true);
+        updateViewModeButtons();
+        renderDirectory(findItemByPath(appState.currentPath));
+    }
+
+    function updateViewModeButtons() {
+        const activeMode = getActiveViewMode();
+        viewModeButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.viewMode === activeMode);
+        });
+    }
+
+    // Show the drawing surface of one view and hide the others
+    function showViewSurface(mode) {
+        spatialView.dataset.viewMode = mode;
+        if (treemapView) treemapView.setVisible(mode === 'treemap');
+        if (sunburstView) sunburstView.setVisible(mode === 'sunburst');
+    }
+
+    function clearSpatialItems() {
+        if (virtualizer && appState.settings.enableVirtualization) {
+            virtualizer.setItems([], appState.zoomLevel); //
+        } else {
+            directoryViewport.innerHTML = '';
+        }
     }
 
     function calculateLayout(items) {
-        // This is a placeholder for a spatial layout algorithm.
-        // For now, a simple grid layout.
-        const itemWidth = CONFIG.VIRTUALIZER_OPTIONS.itemSize.width + CONFIG.VIRTUALIZER_OPTIONS.itemMargin; //
-        const itemHeight = CONFIG.VIRTUALIZER_OPTIONS.itemSize.height + CONFIG.VIRTUALIZER_OPTIONS.itemMargin; //
-        const itemsPerRow = Math.floor(spatialView.offsetWidth / itemWidth) || 1;
-        let x = 0, y = 0, count = 0;
-
-        return items.map(item => {
-            const positionedItem = {
-                ...item,
-                position: { x, y }
-            };
-            x += itemWidth;
-            count++;
-            if (count >= itemsPerRow) {
-                x = 0;
-                y += itemHeight;
-                count = 0;
-            }
-            return positionedItem;
+        renderedLayout = appState.settings.layout;
+        return layoutEngine.computeLayout(appState.settings.layout, items, {
+            itemWidth: CONFIG.VIRTUALIZER_OPTIONS.itemSize.width, //
+            itemHeight: CONFIG.VIRTUALIZER_OPTIONS.itemSize.height, //
+            itemMargin: CONFIG.VIRTUALIZER_OPTIONS.itemMargin, //
+            viewportWidth: spatialView.offsetWidth,
+            viewportHeight: spatialView.offsetHeight,
+        });
+    }
+
+    function populateLayoutSelect() {
+        if (!layoutSelect) return;
+        layoutSelect.innerHTML = '';
+        layoutEngine.listLayouts().forEach(({ name, label }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            layoutSelect.appendChild(option);
         });
+        // A stored layout may come from a plugin that is no longer loaded
+        if (!layoutEngine.hasLayout(appState.settings.layout)) appState.settings.layout = 'grid';
+        layoutSelect.value = appState.settings.layout;
     }
 
 
+    // Accessible name of a tile: its name, what it is and how big
+    function describeItem(item) {
+        const parts = [item.name || 'Root'];
+        if (item.type === 'directory') {
+            const count = item.children ? item.children.length : item.child_count;
+            parts.push(count === undefined ? 'folder' : `folder, ${count} item${count === 1 ? '' : 's'}`);
+        } else {
+            parts.push(item.extension ? `${item.extension.toUpperCase()} file` : 'file', formatBytes(item.size || 0));
+        }
+        if (item.diff && item.diff.status !== 'unchanged') parts.push(item.diff.status);
+        return parts.join(', ');
+    }
+
     function createItemElement(item) {
         const element = document.createElement('div');
         element.className = `spatial-item ${item.type}`; //
@@ -1892,13 +2345,25 @@ document.addEventListener('DOMContentLoaded', () => {
             element.dataset.fileType = item.extension; //
         }
         element.dataset.path = item.path;
+        if (item.diff) element.dataset.diff = item.diff.status;
+        if (appState.selection.size > 1 && appState.selection.has(item.path)) element.classList.add('selected');
+        element.tabIndex = -1; // Reached with the arrow keys; setFocusedItem makes the focused one a Tab stop
         element.title = item.name;
+        if (item.type === 'placeholder') {
+            element.setAttribute('aria-hidden', 'true');
+        } else {
+            element.setAttribute('role', 'treeitem');
+            element.setAttribute('aria-label', describeItem(item));
+            element.setAttribute('aria-selected', String(appState.selection.has(item.path)));
+        }
 
         const icon = document.createElement('div');
         icon.className = 'spatial-item-icon'; //
         const i = document.createElement('i');
         if (item.type === 'directory') {
             i.className = 'fas fa-folder'; //
+        } else if (item.type === 'placeholder') {
+            i.className = 'fas fa-ellipsis-h';
         } else {
             i.className = getFileIconClass(item.extension, item.file_type_group); //
         }
@@ -1910,9 +2375,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
         element.appendChild(icon);
         element.appendChild(name);
+        if (item.type === 'placeholder') return element; // Nothing to interact with yet
 
         // Event listeners for interaction
-        element.addEventListener('click', () => handleItemClick(item, element));
+        element.addEventListener('click', (e) => handleItemClick(item, element, e));
         element.addEventListener('dblclick', () => handleItemDblClick(item));
         element.addEventListener('contextmenu', (e) => handleItemContextMenu(e, item, element));
 
@@ -1980,38 +2446,140 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
 
-    function updateMiniMap() {
-        if (!appState.settings.showMinimap || !appState.currentDirectoryData) { //
+    // --- Mini-map ---
+    // Item dots only change with the layout, so they are drawn once per render and
+    // the viewport rectangle is moved on its own as the view pans and zooms.
+    function updateMiniMap(redrawItems = false) {
+        if (!appState.settings.showMinimap || !appState.currentDirectoryData || getActiveViewMode() !== 'spatial') { //
             miniMapElement.style.display = 'none'; //
+            miniMapState.projection = null;
             return;
         }
         miniMapElement.style.display = ''; //
-        miniMapContent.innerHTML = ''; // Clear previous map
-
-        // This is a very simplified representation.
-        // A real minimap would try to spatially represent items.
-        (appState.currentDirectoryData.children || []).forEach(item => {
-            const miniItem = document.createElement('div');
-            miniItem.className = `mini-map-item ${item.type}`;
-            if (item.type === 'file') {
-                miniItem.classList.add((item.file_type_group || 'unknown').toLowerCase());
+
+        if (redrawItems || !miniMapState.projection) {
+            drawMiniMapItems();
+        }
+        updateMiniMapViewport();
+    }
+
+    function getMiniMapItems() {
+        if (virtualizer && appState.settings.enableVirtualization) {
+            const { width, height } = CONFIG.VIRTUALIZER_OPTIONS.itemSize;
+            return Array.from(virtualizer.itemData.values()).map(item => ({ //
+                x: item.position.x,
+                y: item.position.y,
+                width,
+                height,
+                item
+            }));
+        }
+
+        // Without the virtualizer the browser lays the items out, so read their boxes
+        return Array.from(directoryViewport.querySelectorAll('.spatial-item')).map(element => ({
+            x: element.offsetLeft,
+            y: element.offsetTop,
+            width: element.offsetWidth,
+            height: element.offsetHeight,
+            item: findItemByPath(element.dataset.path)
+        }));
+    }
+
+    function drawMiniMapItems() {
+        const pixelRatio = window.devicePixelRatio || 1;
+        const mapWidth = miniMapElement.clientWidth;
+        const mapHeight = miniMapElement.clientHeight;
+        miniMapCanvas.width = Math.round(mapWidth * pixelRatio);
+        miniMapCanvas.height = Math.round(mapHeight * pixelRatio);
+
+        const ctx = miniMapCanvas.getContext('2d');
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, mapWidth, mapHeight);
+
+        const entries = getMiniMapItems();
+        if (entries.length === 0) {
+            miniMapState.projection = null;
+            return;
+        }
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        entries.forEach(entry => {
+            minX = Math.min(minX, entry.x);
+            minY = Math.min(minY, entry.y);
+            maxX = Math.max(maxX, entry.x + entry.width);
+            maxY = Math.max(maxY, entry.y + entry.height);
+        });
+
+        // Fit the layout into the map, centered, with a small margin
+        const padding = CONFIG.MINI_MAP.padding;
+        const scale = Math.min(
+            (mapWidth - padding * 2) / Math.max(1, maxX - minX),
+            (mapHeight - padding * 2) / Math.max(1, maxY - minY)
+        );
+        const projection = {
+            scale,
+            offsetX: (mapWidth - (maxX - minX) * scale) / 2 - minX * scale,
+            offsetY: (mapHeight - (maxY - minY) * scale) / 2 - minY * scale
+        };
+        miniMapState.projection = projection;
+
+        // Files reuse the .group-* colors; directories stand out in the primary color
+        const colors = { directory: getComputedStyle(miniMapElement).getPropertyValue('--primary').trim() };
+        const probe = document.createElement('span');
+        probe.hidden = true;
+        miniMapElement.appendChild(probe);
+        const colorFor = (item) => {
+            const key = item && item.type === 'directory' ? 'directory' //
+                : ((item && item.file_type_group) || 'other').toLowerCase();
+            if (!colors[key]) {
+                probe.className = `group-${key}`;
+                colors[key] = getComputedStyle(probe).getPropertyValue('--group-color').trim() || colors.directory;
             }
-            miniItem.style.width = '5px';
-            miniItem.style.height = '5px';
-            // Basic positioning (random or simple grid for now)
-            miniItem.style.position = 'absolute';
-            miniItem.style.left = `${Math.random() * 90}%`;
-            miniItem.style.top = `${Math.random() * 90}%`;
-            miniMapContent.appendChild(miniItem);
+            return colors[key];
+        };
+
+        const minSize = CONFIG.MINI_MAP.minItemSize;
+        entries.forEach(entry => {
+            ctx.fillStyle = colorFor(entry.item);
+            ctx.fillRect(
+                entry.x * scale + projection.offsetX,
+                entry.y * scale + projection.offsetY,
+                Math.max(minSize, entry.width * scale),
+                Math.max(minSize, entry.height * scale)
+            );
         });
+        probe.remove();
+    }
+
+    function updateMiniMapViewport() {
+        const projection = miniMapState.projection;
+        if (!projection) {
+            miniMapViewport.style.display = 'none'; //
+            return;
+        }
+        miniMapViewport.style.display = ''; //
+
+        // The visible area in layout coordinates is the inverse of the view transform
+        const zoom = appState.zoomLevel;
+        const left = -appState.panOffset.x / zoom;
+        const top = -appState.panOffset.y / zoom;
+        miniMapViewport.style.left = `${left * projection.scale + projection.offsetX}px`; //
+        miniMapViewport.style.top = `${top * projection.scale + projection.offsetY}px`; //
+        miniMapViewport.style.width = `${spatialView.clientWidth / zoom * projection.scale}px`; //
+        miniMapViewport.style.height = `${spatialView.clientHeight / zoom * projection.scale}px`; //
+    }
+
+    function centerViewOnMiniMapPoint(event) {
+        const projection = miniMapState.projection;
+        if (!projection) return;
 
-        // Update minimap viewport representation
-        const scaleX = miniMapElement.offsetWidth / directoryViewport.scrollWidth;
-        const scaleY = miniMapElement.offsetHeight / directoryViewport.scrollHeight;
-        miniMapViewport.style.width = `${spatialView.offsetWidth * scaleX}px`; //
-        miniMapViewport.style.height = `${spatialView.offsetHeight * scaleY}px`; //
-        miniMapViewport.style.left = `${directoryViewport.scrollLeft * scaleX}px`; //
-        miniMapViewport.style.top = `${directoryViewport.scrollTop * scaleY}px`; //
+        const rect = miniMapElement.getBoundingClientRect();
+        const layoutX = (event.clientX - rect.left - miniMapElement.clientLeft - projection.offsetX) / projection.scale;
+        const layoutY = (event.clientY - rect.top - miniMapElement.clientTop - projection.offsetY) / projection.scale;
+
+        appState.panOffset.x = spatialView.clientWidth / 2 - layoutX * appState.zoomLevel; //
+        appState.panOffset.y = spatialView.clientHeight / 2 - layoutY * appState.zoomLevel; //
+        updateTransform();
     }
 
 
@@ -2077,15 +2645,24 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function hideLoading() {
+        // While the tree streams in, the overlay stays as a small progress badge
+        if (streamingLoad) {
+            document.querySelector('.loading-text').textContent = 'Loading directory structure...'; //
+            const { percentage, text } = streamingLoad.progress || { percentage: null, text: '' };
+            updateLoadingProgress(percentage, text);
+            return;
+        }
         loadingOverlay.classList.add('hidden'); //
     }
 
     function updateLoadingProgress(percentage, text) {
-        loadingProgressBar.style.width = `${percentage}%`; //
+        // A null percentage means the total is unknown
+        loadingProgressBar.classList.toggle('indeterminate', percentage === null); //
+        loadingProgressBar.style.width = percentage === null ? '' : `${percentage}%`; //
         if (text) {
             loadingProgressText.textContent = text; //
         } else {
-            loadingProgressText.textContent = `${percentage}%`; //
+            loadingProgressText.textContent = percentage === null ? '' : `${percentage}%`; //
         }
     }
 
@@ -2108,14 +2685,26 @@ document.addEventListener('DOMContentLoaded', () => {
             resetZoomAndPan();
             hideContextPanel();
             hideContextMenu();
+            writeRoute(!isInitialLoad && addToHistory); // A new history entry when appState.history got one
+            announce(describeItem(targetData));
         } else if (targetData && targetData.type === 'file') { //
-            // If it's a file, display its details or preview
-            showItemDetails(targetData);
-            // Optionally, attempt to navigate to parent directory if file path was directly given
-            const parentPath = path.substring(0, path.lastIndexOf('/'));
-             if (appState.currentPath !== parentPath) {
+            // Open the file's directory, then select the file in it
+            const parentPath = getParentPath(path);
+            if (appState.currentPath !== parentPath) {
                 navigateToPath(parentPath, addToHistory, isInitialLoad);
             }
+            selectItem(targetData);
+        } else if (findPendingAncestor(path)) {
+            // Inside a sharded scan's directory that has not been opened yet
+            loadShardsForPath(path).then(found => {
+                if (found) {
+                    navigateToPath(path, addToHistory, isInitialLoad);
+                } else {
+                    showToast(`Path not found or is not a directory: ${path}`, 'error');
+                }
+            }).catch(error => {
+                showToast(`Could not load ${path}: ${error.message}`, 'error');
+            });
         } else {
             showToast(`Path not found or is not a directory: ${path}`, 'error');
             console.warn("Navigation failed for path:", path);
@@ -2123,13 +2712,17 @@ document.addEventListener('DOMContentLoaded', () => {
         hideLoading();
     }
 
-    function handleItemClick(item, element) {
-        if (appState.selectedItem && appState.selectedItem.element) {
-            appState.selectedItem.element.classList.remove('focused'); //
+    function handleItemClick(item, element, event) {
+        // Ctrl/Cmd-click adds or removes one item, Shift-click selects a run of siblings
+        if (event && (event.ctrlKey || event.metaKey)) {
+            toggleInSelection(item, element);
+            return;
         }
-        element.classList.add('focused'); //
-        appState.selectedItem = { data: item, element: element };
-        showItemDetails(item);
+        if (event && event.shiftKey && appState.selectedItem) {
+            selectRange(appState.selectedItem.data, item);
+            return;
+        }
+        selectItem(item, element);
     }
 
     function handleItemDblClick(item) {
@@ -2151,29 +2744,32 @@ document.addEventListener('DOMContentLoaded', () => {
         title.textContent = item.name;
         section.appendChild(title);
 
-        function addInfo(label, value) {
-            const infoItem = document.createElement('div');
-            infoItem.className = 'info-item'; //
-            const labelEl = document.createElement('span');
-            labelEl.className = 'info-label'; //
-            labelEl.textContent = label + ':';
-            const valueEl = document.createElement('span');
-            valueEl.className = 'info-value'; //
-            valueEl.textContent = value;
-            infoItem.appendChild(labelEl);
-            infoItem.appendChild(valueEl);
-            section.appendChild(infoItem);
-        }
+        const addInfo = (label, value) => section.appendChild(createInfoItem(label, value));
 
         addInfo('Type', item.type === 'directory' ? 'Directory' : `File (${item.extension || 'unknown'})`); //
         addInfo('Path', item.path);
-        addInfo('Size', formatBytes(item.size || (item.metadata ? item.metadata.size : 0))); //
+        addInfo('Size', formatBytes(getItemSize(item))); //
         if (item.modified) { //
             addInfo('Modified', new Date(item.modified * 1000).toLocaleString());
         }
         if (item.metadata && item.metadata.mime_type) { //
              addInfo('MIME Type', item.metadata.mime_type);
         }
+        if (item.diff) {
+            describeDiff(item).forEach(([label, value]) => addInfo(label, value));
+        }
+
+        const duplicateGroup = getDuplicateGroup(item);
+        if (duplicateGroup) {
+            const others = duplicateGroup.files.filter(file => file.path !== item.path);
+            addInfo('Duplicates', `${others.length} other ${others.length === 1 ? 'copy' : 'copies'}, ${formatBytes(duplicateGroup.wasted)} wasted`);
+            section.appendChild(createPathList(others.map(file => file.path), path => {
+                closeModal(duplicatesModal);
+                navigateToPath(path, true);
+            }));
+        }
+        markDuplicates(item, duplicateGroup);
+        updateRelatedLinks(item);
 
 
         // Actions
@@ -2198,15 +2794,57 @@ document.addEventListener('DOMContentLoaded', () => {
         section.appendChild(actionsContainer);
 
         contextPanelContent.appendChild(section);
+
+        if (item.related_files && item.related_files.length > 0) {
+            const relatedSection = document.createElement('div');
+            relatedSection.className = 'panel-section'; //
+            const relatedTitle = document.createElement('h3');
+            relatedTitle.textContent = 'Related Files';
+            relatedSection.appendChild(relatedTitle);
+            relatedSection.appendChild(createPathList(item.related_files, focusRelatedFile));
+            contextPanelContent.appendChild(relatedSection);
+        }
         contextPanel.classList.remove('hidden'); //
     }
 
+    function createInfoItem(label, value) {
+        const infoItem = document.createElement('div');
+        infoItem.className = 'info-item'; //
+        const labelEl = document.createElement('span');
+        labelEl.className = 'info-label'; //
+        labelEl.textContent = label + ':';
+        const valueEl = document.createElement('span');
+        valueEl.className = 'info-value'; //
+        valueEl.textContent = value;
+        infoItem.appendChild(labelEl);
+        infoItem.appendChild(valueEl);
+        return infoItem;
+    }
+
+    // List of paths, each a button calling onSelect(path)
+    function createPathList(paths, onSelect) {
+        const list = document.createElement('ul');
+        list.className = 'path-list';
+        paths.forEach(path => {
+            const entry = document.createElement('li');
+            const link = document.createElement('button');
+            link.className = 'path-link';
+            link.title = `Go to ${path}`;
+            link.innerHTML = `<i class="fas fa-arrow-right"></i> <span>${escapeHtml(path)}</span>`;
+            link.addEventListener('click', () => onSelect(path));
+            entry.appendChild(link);
+            list.appendChild(entry);
+        });
+        return list;
+    }
+
     function hideContextPanel() {
         contextPanel.classList.add('hidden'); //
-        if (appState.selectedItem && appState.selectedItem.element) {
-            appState.selectedItem.element.classList.remove('focused'); //
-        }
-        appState.selectedItem = null;
+        setFocusedItem(null);
+        setSelection([]);
+        markDuplicates(null, null);
+        updateRelatedLinks(null);
+        scheduleRouteUpdate();
     }
 
     function applyZoom(newZoom) {
@@ -2214,107 +2852,965 @@ document.addEventListener('DOMContentLoaded', () => {
         updateTransform();
     }
 
-    function updateTransform() {
-        // When using VirtualizedRenderer, it handles its own transform.
-        // We just need to tell it the new scale and pan.
+    // Zoom keeping a point of the view (default: its center) fixed on screen
+    function zoomAt(newZoom, anchor) {
+        if (semanticTransition) return;
+        const point = anchor || { x: spatialView.clientWidth / 2, y: spatialView.clientHeight / 2 };
+        const oldZoom = appState.zoomLevel;
+        const zoom = Math.max(CONFIG.MIN_ZOOM, Math.min(newZoom, CONFIG.MAX_ZOOM));
+
+        appState.panOffset.x = point.x - (point.x - appState.panOffset.x) * (zoom / oldZoom);
+        appState.panOffset.y = point.y - (point.y - appState.panOffset.y) * (zoom / oldZoom);
+        applyZoom(zoom);
+
+        checkSemanticZoom(point, newZoom > oldZoom, oldZoom <= CONFIG.MIN_ZOOM);
+    }
+
+    // --- Selection ---
+    // Replace the selected set; the focused item (appState.selectedItem) is kept separately
+    function setSelection(items) {
+        appState.selection = new Map(items.map(item => [item.path, item]));
+        updateSelectionMarks();
+    }
+
+    // A lone selection shows as the focused tile; only larger ones get the "selected" outline
+    function updateSelectionMarks() {
+        const paths = new Set(appState.selection.size > 1 ? appState.selection.keys() : []);
         if (virtualizer && appState.settings.enableVirtualization) {
-            virtualizer.setTransform({ //
-                scale: appState.zoomLevel,
-                translateX: appState.panOffset.x,
-                translateY: appState.panOffset.y
-            });
+            virtualizer.setMarkedItems(paths, 'selected');
         } else {
-            // Manual transform for non-virtualized view
-            directoryViewport.style.transform = `translate(${appState.panOffset.x}px, ${appState.panOffset.y}px) scale(${appState.zoomLevel})`; //
+            Array.from(directoryViewport.children).forEach(child => {
+                child.classList.toggle('selected', paths.has(child.dataset.path));
+                if (child.getAttribute('role') === 'treeitem') {
+                    child.setAttribute('aria-selected', String(appState.selection.has(child.dataset.path)));
+                }
+            });
         }
-        updateMiniMap();
     }
 
+    function getItemElement(path) {
+        return virtualizer && appState.settings.enableVirtualization
+            ? virtualizer.visibleItems.get(path) //
+            : Array.from(directoryViewport.children).find(child => child.dataset.path === path);
+    }
 
-    function resetZoomAndPan() {
-        appState.zoomLevel = CONFIG.INITIAL_ZOOM;
-        appState.panOffset = { x: 0, y: 0 };
-        updateTransform();
+    // The focused item is highlighted and is the one Tab stop among the tiles (roving focus)
+    function setFocusedItem(item, element = item ? getItemElement(item.path) : null) {
+        if (virtualizer && appState.settings.enableVirtualization) {
+            virtualizer.highlightItem(item ? item.path : null); // Kept by path while tiles are recycled
+        } else {
+            if (appState.selectedItem && appState.selectedItem.element) {
+                appState.selectedItem.element.classList.remove('focused'); //
+                appState.selectedItem.element.tabIndex = -1;
+                appState.selectedItem.element.setAttribute('aria-selected', 'false');
+            }
+            if (element) {
+                element.classList.add('focused'); //
+                element.tabIndex = 0;
+                element.setAttribute('aria-selected', 'true');
+            }
+        }
+        appState.selectedItem = item ? { data: item, element: element || null } : null;
     }
 
-    // --- Search ---
-    const debouncedSearch = perf ? perf.debounce(performSearch, CONFIG.SEARCH_DEBOUNCE_MS) : performSearch; //
+    function toggleInSelection(item, element) {
+        if (appState.selection.has(item.path)) {
+            appState.selection.delete(item.path);
+            if (appState.selectedItem && appState.selectedItem.data.path === item.path) {
+                setFocusedItem(Array.from(appState.selection.values()).pop() || null);
+            }
+        } else {
+            appState.selection.set(item.path, item);
+            setFocusedItem(item, element);
+        }
+        updateSelectionMarks();
+        showSelectionDetails();
+        scheduleRouteUpdate();
+    }
 
-    function performSearch(query) {
-        query = query.toLowerCase().trim();
-        if (!query) {
-            // If query is empty, restore current directory view
-            const currentDirData = findItemByPath(appState.currentPath);
-            renderDirectory(currentDirData);
-            searchInput.parentNode.classList.remove('has-value'); //
+    // Everything between the focused item and this one, in directory order
+    function selectRange(anchor, item) {
+        const siblings = appState.currentDirectoryData ? appState.currentDirectoryData.children || [] : [];
+        const from = siblings.findIndex(child => child.path === anchor.path);
+        const to = siblings.findIndex(child => child.path === item.path);
+        if (from === -1 || to === -1) {
+            toggleInSelection(item, getItemElement(item.path));
             return;
         }
-        searchInput.parentNode.classList.add('has-value'); //
+        setSelection(siblings.slice(Math.min(from, to), Math.max(from, to) + 1));
+        showSelectionDetails();
+        scheduleRouteUpdate();
+    }
 
-        showLoading(`Searching for "${query}"...`);
-        const results = [];
-        function findRecursively(node, currentPath) {
-            if (!node) return;
-            const nodeName = node.name ? node.name.toLowerCase() : '';
-            const nodePath = node.path || currentPath;
+    function showSelectionDetails() {
+        const items = Array.from(appState.selection.values());
+        if (items.length === 0) {
+            hideContextPanel();
+        } else if (items.length === 1) {
+            showItemDetails(items[0]);
+        } else {
+            showSelectionSummary(items);
+        }
+    }
 
-            if (nodeName.includes(query) || nodePath.toLowerCase().includes(query)) {
-                results.push({ ...node, path: nodePath }); // Ensure path is correctly set
-            }
+    // Aggregate details of a multi-selection
+    function showSelectionSummary(items) {
+        markDuplicates(null, null);
+        updateRelatedLinks(null);
+        contextPanelContent.innerHTML = '';
 
-            if (node.type === 'directory' && node.children) { //
-                node.children.forEach(child => findRecursively(child, nodePath ? `${nodePath}/${child.name}` : child.name));
-            }
+        const section = document.createElement('div');
+        section.className = 'panel-section';
+        const title = document.createElement('h3');
+        title.textContent = `${items.length} items selected`;
+        section.appendChild(title);
+        const addInfo = (label, value) => section.appendChild(createInfoItem(label, value));
+
+        const directories = items.filter(item => item.type === 'directory').length;
+        const files = items.length - directories;
+        addInfo('Contents', `${files} file${files === 1 ? '' : 's'}, ${directories} director${directories === 1 ? 'y' : 'ies'}`);
+        addInfo('Total Size', formatBytes(items.reduce((total, item) => total + getItemSize(item), 0)));
+
+        const dated = items.filter(item => item.modified).sort((a, b) => a.modified - b.modified);
+        if (dated.length > 0) {
+            const describe = item => `${new Date(item.modified * 1000).toLocaleString()} (${item.name})`;
+            addInfo('Oldest', describe(dated[0]));
+            addInfo('Newest', describe(dated[dated.length - 1]));
         }
 
-        findRecursively(appState.currentData, ''); // Search from root
-        renderSearchResults(results, query);
-        hideLoading();
-    }
+        // Count and bytes per file type group, directories on their own
+        const byType = new Map();
+        items.forEach(item => {
+            const group = item.type === 'directory' ? 'directory' : item.file_type_group || 'other';
+            const entry = byType.get(group) || { count: 0, bytes: 0 };
+            entry.count++;
+            entry.bytes += getItemSize(item);
+            byType.set(group, entry);
+        });
+        const breakdown = document.createElement('ul');
+        breakdown.className = 'selection-breakdown';
+        Array.from(byType)
+            .sort((a, b) => (b[1].bytes - a[1].bytes) || (b[1].count - a[1].count))
+            .forEach(([group, entry]) => {
+                const row = document.createElement('li');
+                row.innerHTML = `
+                    <span class="selection-swatch group-${escapeHtml(group)}"></span>
+                    <span class="selection-type">${group === 'directory' ? 'directories' : escapeHtml(group)}</span>
+                    <span class="selection-count">${entry.count} · ${formatBytes(entry.bytes)}</span>`;
+                breakdown.appendChild(row);
+            });
+        section.appendChild(breakdown);
 
-    function renderSearchResults(results, query) {
-        directoryViewport.innerHTML = ''; // Clear current view for search results
-        if (virtualizer) virtualizer.setItems([], appState.zoomLevel); // Clear virtualizer
+        const actionsContainer = document.createElement('div');
+        actionsContainer.className = 'actions-container';
+        [
+            ['fa-bookmark', 'Bookmark All', bookmarkSelection],
+            ['fa-copy', 'Copy Paths', copySelectionPaths],
+            ['fa-file-export', 'Export List', exportSelection],
+            ['fa-times', 'Clear', hideContextPanel],
+        ].forEach(([icon, label, action]) => {
+            const button = document.createElement('button');
+            button.className = 'action-btn';
+            button.innerHTML = `<i class="fas ${icon}"></i> ${label}`;
+            button.onclick = action;
+            actionsContainer.appendChild(button);
+        });
+        section.appendChild(actionsContainer);
 
-        const resultsContainer = document.createElement('div');
-        resultsContainer.className = 'search-results-container fade-in'; //
+        contextPanelContent.appendChild(section);
+        contextPanel.classList.remove('hidden');
+    }
+
+    function bookmarkSelection() {
+        const added = Array.from(appState.selection.values())
+            .filter(item => !appState.bookmarks.some(b => b.path === item.path));
+        if (added.length === 0) {
+            showToast('All selected items are already bookmarked.', 'info');
+            return;
+        }
+        added.forEach(item => appState.bookmarks.push({ name: item.name, path: item.path, type: item.type }));
+        saveBookmarks();
+        renderBookmarks();
+        showToast(`${added.length} item${added.length === 1 ? '' : 's'} added to bookmarks.`, 'success');
+    }
+
+    function copySelectionPaths() {
+        const paths = Array.from(appState.selection.keys());
+        if (!navigator.clipboard) {
+            showToast('Copying needs the page to be served over HTTPS or from localhost.', 'error');
+            return;
+        }
+        navigator.clipboard.writeText(paths.join('\n')).then(() => {
+            showToast(`Copied ${paths.length} path${paths.length === 1 ? '' : 's'}.`, 'success');
+        }).catch(error => {
+            showToast(`Could not copy the paths: ${error.message}`, 'error');
+        });
+    }
+
+    // Save the selection as CSV: path, type, size in bytes, modified time
+    function exportSelection() {
+        const field = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+        const rows = [['path', 'type', 'size', 'modified']];
+        appState.selection.forEach(item => {
+            rows.push([
+                item.path,
+                item.type,
+                String(getItemSize(item)),
+                item.modified ? new Date(item.modified * 1000).toISOString() : '',
+            ]);
+        });
+        const csv = rows.map(row => row.map(field).join(',')).join('\r\n');
+
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${(appState.currentData && appState.currentData.name) || 'selection'}-selection.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // A plain left-drag on empty space draws a selection rectangle; Ctrl/Cmd adds to the selection
+    function startLasso(event) {
+        if (event.button !== 0 || event.altKey || event.shiftKey) return; // Alt/Shift-drag pans
+        if (getActiveViewMode() !== 'spatial' || renderedSearchQuery) return;
+        if (event.target.closest('.spatial-item, .loading-container, .mini-map')) return;
+
+        lasso = {
+            start: { x: event.clientX, y: event.clientY },
+            base: event.ctrlKey || event.metaKey ? Array.from(appState.selection.values()) : [],
+            element: null,
+        };
+        event.preventDefault(); // No text selection while dragging
+        spatialView.focus({ preventScroll: true }); // Which preventDefault would stop; arrow keys work from here
+    }
+
+    function updateLasso(event) {
+        if (!lasso) return;
+        const { start } = lasso;
+        if (!lasso.element) {
+            if (Math.hypot(event.clientX - start.x, event.clientY - start.y) < CONFIG.LASSO_THRESHOLD) return;
+            lasso.element = document.createElement('div');
+            lasso.element.className = 'selection-lasso';
+            spatialView.appendChild(lasso.element);
+        }
+
+        const bounds = spatialView.getBoundingClientRect();
+        const rect = {
+            left: Math.min(start.x, event.clientX) - bounds.left,
+            top: Math.min(start.y, event.clientY) - bounds.top,
+            right: Math.max(start.x, event.clientX) - bounds.left,
+            bottom: Math.max(start.y, event.clientY) - bounds.top,
+        };
+        Object.assign(lasso.element.style, {
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.right - rect.left}px`,
+            height: `${rect.bottom - rect.top}px`,
+        });
+
+        const selected = new Map(lasso.base.map(item => [item.path, item]));
+        getItemsInViewRect(rect, bounds).forEach(item => selected.set(item.path, item));
+        setSelection(Array.from(selected.values()));
+    }
+
+    function endLasso() {
+        if (!lasso) return;
+        const dragged = Boolean(lasso.element);
+        if (dragged) lasso.element.remove();
+        lasso = null;
+        if (!dragged) return; // A click on empty space
+
+        const items = Array.from(appState.selection.values());
+        setFocusedItem(items.length > 0 ? items[items.length - 1] : null);
+        showSelectionDetails();
+        scheduleRouteUpdate();
+    }
+
+    // Items under a rectangle of the spatial view, in view pixels
+    function getItemsInViewRect(rect, bounds) {
+        if (virtualizer && appState.settings.enableVirtualization) {
+            const { zoomLevel: zoom, panOffset: pan } = appState;
+            return virtualizer.getItemsInRect({
+                left: (rect.left - pan.x) / zoom,
+                top: (rect.top - pan.y) / zoom,
+                right: (rect.right - pan.x) / zoom,
+                bottom: (rect.bottom - pan.y) / zoom,
+            });
+        }
+        // Tiles placed by CSS: compare their boxes on screen
+        return Array.from(directoryViewport.querySelectorAll('.spatial-item:not(.placeholder)'))
+            .filter(element => {
+                const box = element.getBoundingClientRect();
+                return box.left - bounds.left <= rect.right && box.right - bounds.left >= rect.left &&
+                    box.top - bounds.top <= rect.bottom && box.bottom - bounds.top >= rect.top;
+            })
+            .map(element => findItemByPath(element.dataset.path))
+            .filter(Boolean);
+    }
+
+    // --- Keyboard Navigation ---
+    // Arrows move between tiles by position, Enter opens, Space previews, letters jump by name
+    function handleNavigationKey(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return false;
+        if (getActiveViewMode() !== 'spatial' || renderedSearchQuery || (contextMenu && contextMenu.classList.contains('visible'))) return false;
+        // Buttons, fields and the panels keep their own keys
+        const active = document.activeElement;
+        if (active && active !== document.body && !spatialView.contains(active)) return false;
+
+        const points = getNavigableItems();
+        if (points.length === 0) return false;
+        const focusedPath = appState.selectedItem ? appState.selectedItem.data.path : virtualizer && virtualizer.focusedPath;
+        const current = points.find(point => point.path === focusedPath);
+        const Renderer = window.VirtualizedRenderer;
+        const key = event.key;
+        let target;
+
+        if (key.startsWith('Arrow')) {
+            target = current ? Renderer.findNeighbor(points, current, key.slice(5).toLowerCase()) || current : points[0];
+        } else if (key === 'Home' || key === 'End') {
+            target = key === 'Home' ? points[0] : points[points.length - 1];
+        } else if (key === 'PageUp' || key === 'PageDown') {
+            // About one screen up or down, in the same column where there is one
+            const step = (spatialView.clientHeight / appState.zoomLevel) * (key === 'PageUp' ? -1 : 1);
+            if (current) {
+                const ahead = points.filter(point => (point.y - current.y) * Math.sign(step) > 1);
+                target = Renderer.findNearest(ahead, { x: current.x, y: current.y + step }) || current;
+            } else {
+                target = points[0];
+            }
+        } else if (key === 'Enter' || (key === ' ' && !typeAhead.text)) {
+            if (!current) return false;
+            const item = findItemByPath(current.path) || current.item;
+            if (key === 'Enter') {
+                handleItemDblClick(item);
+            } else if (item.type === 'file') {
+                showFilePreview(item);
+            }
+            event.preventDefault();
+            return true;
+        } else if (key.length === 1) {
+            target = findByTypeAhead(points, current, key);
+        } else {
+            return false;
+        }
+
+        event.preventDefault();
+        if (target && target !== current) focusItemByKeyboard(target);
+        return true;
+    }
+
+    // Tiles on screen with their centers, in directory order
+    function getNavigableItems() {
+        let points;
+        if (virtualizer && appState.settings.enableVirtualization) {
+            points = virtualizer.getItemCenters();
+        } else {
+            points = Array.from(directoryViewport.querySelectorAll('.spatial-item:not(.placeholder)')).map(element => ({
+                path: element.dataset.path,
+                item: findItemByPath(element.dataset.path),
+                x: element.offsetLeft + element.offsetWidth / 2,
+                y: element.offsetTop + element.offsetHeight / 2,
+            })).filter(point => point.item);
+        }
+        const children = appState.currentDirectoryData ? appState.currentDirectoryData.children || [] : [];
+        const order = new Map(children.map((child, index) => [child.path, index]));
+        return points.sort((a, b) => (order.get(a.path) ?? order.size) - (order.get(b.path) ?? order.size));
+    }
+
+    // Next item whose name starts with what was typed; repeating one letter cycles through its items
+    function findByTypeAhead(points, current, key) {
+        clearTimeout(typeAhead.timer);
+        typeAhead.timer = setTimeout(() => { typeAhead.text = ''; }, CONFIG.TYPE_AHEAD_RESET_MS);
+        typeAhead.text += key.toLowerCase();
+
+        const text = typeAhead.text;
+        const repeated = Array.from(text).every(char => char === text[0]);
+        const prefix = repeated ? text[0] : text;
+        const start = current ? points.indexOf(current) + (repeated ? 1 : 0) : 0;
+        for (let i = 0; i < points.length; i++) {
+            const point = points[(start + i) % points.length];
+            if ((point.item.name || '').toLowerCase().startsWith(prefix)) return point;
+        }
+        return null;
+    }
+
+    function focusItemByKeyboard(point) {
+        selectItem(findItemByPath(point.path) || point.item);
+        revealItem(point);
+
+        // A tile scrolled into view is only created by the next render
+        const focusElement = () => {
+            const element = getItemElement(point.path);
+            if (element) element.focus({ preventScroll: true }); // The view pans itself; scrolling would shift it
+        };
+        focusElement();
+        requestAnimationFrame(focusElement);
+    }
+
+    // Bring a tile that is partly off screen to the middle of the view
+    function revealItem(point) {
+        const { width, height } = CONFIG.VIRTUALIZER_OPTIONS.itemSize;
+        const zoom = appState.zoomLevel;
+        const left = (point.x - width / 2) * zoom + appState.panOffset.x;
+        const top = (point.y - height / 2) * zoom + appState.panOffset.y;
+        if (left >= 0 && top >= 0 && left + width * zoom <= spatialView.clientWidth && top + height * zoom <= spatialView.clientHeight) return;
+
+        if (virtualizer && appState.settings.enableVirtualization) {
+            centerOnItem(point.path);
+        } else {
+            appState.panOffset = { x: spatialView.clientWidth / 2 - point.x * zoom, y: spatialView.clientHeight / 2 - point.y * zoom };
+            updateTransform();
+        }
+    }
+
+    // --- Touch Gestures ---
+    // One finger pans (and flings), two pinch around their midpoint and pan together,
+    // a double tap opens a tile and a long press opens its context menu.
+    // Mouse and pen keep the mouse handlers (see Event Listeners Setup).
+    function handleTouchDown(event) {
+        if (event.pointerType !== 'touch' || getActiveViewMode() !== 'spatial') return;
+        stopInertia();
+        if (event.isPrimary) touchGesture.pointers.clear(); // A new touch; drop fingers whose lift was never seen
+        touchGesture.pointers.set(event.pointerId, getViewPoint(event));
+
+        if (touchGesture.pointers.size === 1) {
+            const point = getViewPoint(event);
+            touchGesture.mode = null;
+            touchGesture.start = { ...point, time: performance.now(), element: event.target.closest('.spatial-item') };
+            touchGesture.centroid = point;
+            touchGesture.velocity = { x: 0, y: 0 };
+            touchGesture.lastMoveTime = performance.now();
+            if (touchGesture.start.element) {
+                touchGesture.longPressTimer = setTimeout(openTouchContextMenu, CONFIG.TOUCH_GESTURES.longPressMs);
+            }
+        } else if (touchGesture.pointers.size === 2) {
+            startPinch();
+        }
+    }
+
+    function handleTouchMove(event) {
+        if (!touchGesture.pointers.has(event.pointerId)) return;
+        touchGesture.pointers.set(event.pointerId, getViewPoint(event));
+        if (touchGesture.mode === 'longpress') return; // The menu is open; the finger only has to lift
+        const centroid = getTouchCentroid();
+
+        if (touchGesture.mode === null) {
+            const moved = Math.hypot(centroid.x - touchGesture.start.x, centroid.y - touchGesture.start.y);
+            if (moved < CONFIG.TOUCH_GESTURES.tapSlop) return;
+            cancelTap();
+            touchGesture.mode = 'pan';
+        }
+
+        // Both modes pan with the fingers' midpoint
+        const now = performance.now();
+        const dt = Math.max(1, now - touchGesture.lastMoveTime);
+        const dx = centroid.x - touchGesture.centroid.x;
+        const dy = centroid.y - touchGesture.centroid.y;
+        touchGesture.velocity = { // Smoothed, so one uneven frame does not decide the fling
+            x: 0.8 * (dx / dt) + 0.2 * touchGesture.velocity.x,
+            y: 0.8 * (dy / dt) + 0.2 * touchGesture.velocity.y,
+        };
+        touchGesture.lastMoveTime = now;
+        touchGesture.centroid = centroid;
+        appState.panOffset.x += dx;
+        appState.panOffset.y += dy;
+
+        if (touchGesture.mode === 'pinch' && touchGesture.pointers.size >= 2) {
+            // A directory entered or left by zooming starts a new scale; rebase on the current spread
+            if (semanticTransition || touchGesture.pinch.path !== appState.currentPath) {
+                startPinch();
+                updateTransform();
+                return;
+            }
+            const distance = getTouchDistance();
+            zoomAt(touchGesture.pinch.zoom * distance / touchGesture.pinch.distance, centroid);
+            return; // zoomAt redraws
+        }
+        updateTransform();
+    }
+
+    function handleTouchUp(event) {
+        if (!touchGesture.pointers.has(event.pointerId)) return;
+        touchGesture.pointers.delete(event.pointerId);
+        const isCancel = event.type === 'pointercancel';
+
+        if (touchGesture.pointers.size === 1) {
+            // Lifting one finger of a pinch carries on as a one-finger pan
+            if (touchGesture.mode === 'pinch') touchGesture.mode = 'pan';
+            touchGesture.centroid = getTouchCentroid();
+            return;
+        }
+        if (touchGesture.pointers.size > 0) return;
+
+        clearTimeout(touchGesture.longPressTimer);
+        if (touchGesture.mode === null && touchGesture.start && !isCancel) {
+            handleTap(touchGesture.start);
+        } else if (touchGesture.mode === 'pan' || touchGesture.mode === 'pinch') {
+            guardTouchClicks();
+            const resting = performance.now() - touchGesture.lastMoveTime > CONFIG.TOUCH_GESTURES.flingWindowMs;
+            if (!resting && !isCancel) startInertia();
+        } else if (touchGesture.mode === 'longpress') {
+            guardTouchClicks(); // Lifting after a long press is not a click on the tile
+        }
+        touchGesture.mode = null;
+        touchGesture.start = null;
+        touchGesture.pinch = null;
+    }
+
+    function startPinch() {
+        cancelTap();
+        touchGesture.mode = 'pinch';
+        touchGesture.centroid = getTouchCentroid();
+        touchGesture.pinch = {
+            distance: Math.max(1, getTouchDistance()),
+            zoom: appState.zoomLevel,
+            path: appState.currentPath,
+        };
+    }
+
+    // A tap selects through the browser's click; a second tap on the same tile soon after opens it
+    function handleTap(start) {
+        const path = start.element ? start.element.dataset.path : null;
+        const last = touchGesture.lastTap;
+        const isDoubleTap = last && path && last.path === path &&
+            start.time - last.time < CONFIG.TOUCH_GESTURES.doubleTapMs &&
+            Math.hypot(start.x - last.x, start.y - last.y) < CONFIG.TOUCH_GESTURES.tapSlop * 2;
+
+        if (isDoubleTap) {
+            touchGesture.lastTap = null;
+            const item = findItemByPath(path);
+            if (!item) return;
+            guardTouchClicks(); // The second tap's click would land in whatever replaces the tile
+            handleItemDblClick(item);
+            return;
+        }
+        touchGesture.lastTap = { time: start.time, path, x: start.x, y: start.y };
+    }
+
+    function openTouchContextMenu() {
+        const start = touchGesture.start;
+        touchGesture.longPressTimer = null;
+        if (!start || !start.element || !start.element.isConnected) return;
+        const item = findItemByPath(start.element.dataset.path);
+        if (!item) return;
+
+        touchGesture.mode = 'longpress'; // Lifting the finger is no tap now
+        touchGesture.start = null;
+        guardTouchClicks();
+        const rect = spatialView.getBoundingClientRect();
+        handleItemContextMenu({
+            preventDefault() {},
+            clientX: rect.left + start.x,
+            clientY: rect.top + start.y,
+        }, item, start.element);
+    }
+
+    function cancelTap() {
+        clearTimeout(touchGesture.longPressTimer);
+        touchGesture.longPressTimer = null;
+        touchGesture.start = null;
+        touchGesture.lastTap = null;
+    }
+
+    // Swallow the click, dblclick and contextmenu the browser makes up from the touches just handled
+    function guardTouchClicks() {
+        touchGesture.guardUntil = performance.now() + CONFIG.TOUCH_GESTURES.clickGuardMs;
+    }
+
+    function swallowGuardedClick(event) {
+        if (performance.now() > touchGesture.guardUntil && touchGesture.pointers.size === 0) return;
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
+    function startInertia() {
+        let last = performance.now();
+        const step = (now) => {
+            const dt = Math.max(1, now - last);
+            last = now;
+            const decay = Math.pow(CONFIG.TOUCH_GESTURES.inertiaFriction, dt / 16);
+            touchGesture.velocity.x *= decay;
+            touchGesture.velocity.y *= decay;
+            if (Math.hypot(touchGesture.velocity.x, touchGesture.velocity.y) < CONFIG.TOUCH_GESTURES.inertiaMinSpeed) {
+                touchGesture.inertiaFrame = null;
+                return;
+            }
+            appState.panOffset.x += touchGesture.velocity.x * dt;
+            appState.panOffset.y += touchGesture.velocity.y * dt;
+            updateTransform();
+            touchGesture.inertiaFrame = requestAnimationFrame(step);
+        };
+        touchGesture.inertiaFrame = requestAnimationFrame(step);
+    }
+
+    function stopInertia() {
+        if (touchGesture.inertiaFrame !== null) cancelAnimationFrame(touchGesture.inertiaFrame);
+        touchGesture.inertiaFrame = null;
+    }
+
+    function getViewPoint(event) {
+        const rect = spatialView.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    function getTouchCentroid() {
+        const points = Array.from(touchGesture.pointers.values());
+        return {
+            x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+            y: points.reduce((sum, point) => sum + point.y, 0) / points.length,
+        };
+    }
+
+    function getTouchDistance() {
+        const [a, b] = touchGesture.pointers.values();
+        return b ? Math.hypot(a.x - b.x, a.y - b.y) : 0;
+    }
+
+    // --- Semantic Zoom ---
+    function canZoomSemantically() {
+        return appState.settings.semanticZoom &&
+            !semanticTransition &&
+            getActiveViewMode() === 'spatial' &&
+            virtualizer && appState.settings.enableVirtualization &&
+            !searchInput.value.trim();
+    }
+
+    /**
+     * Enter the directory under the zoom point once its tile fills the view,
+     * or return to the parent once the whole directory has shrunk away
+     */
+    function checkSemanticZoom(anchor, zoomingIn, wasAtMinimum) {
+        if (!canZoomSemantically()) return;
+
+        const { itemSize } = CONFIG.VIRTUALIZER_OPTIONS;
+        const viewSize = Math.min(spatialView.clientWidth, spatialView.clientHeight);
+
+        if (zoomingIn) {
+            const tileSize = Math.max(itemSize.width, itemSize.height) * appState.zoomLevel;
+            if (tileSize < CONFIG.SEMANTIC_ZOOM.enterCoverage * viewSize) return;
+            const directory = findDirectoryAtPoint(anchor);
+            if (directory && ((directory.children && directory.children.length > 0) || isDirectoryPending(directory))) {
+                enterDirectoryByZoom(directory);
+            }
+            return;
+        }
+
+        if (!appState.currentPath) return; // Already at the root
+        const bounds = getLayoutBounds();
+        if (!bounds) return;
+        const shrunk = Math.max(bounds.width, bounds.height) * appState.zoomLevel < CONFIG.SEMANTIC_ZOOM.exitCoverage * viewSize;
+        // Huge directories never shrink enough, so zooming out at the minimum also leaves
+        if ((shrunk && appState.zoomLevel < CONFIG.INITIAL_ZOOM) || wasAtMinimum) {
+            exitDirectoryByZoom();
+        }
+    }
+
+    function findDirectoryAtPoint(point) {
+        const { width, height } = CONFIG.VIRTUALIZER_OPTIONS.itemSize;
+        const x = (point.x - appState.panOffset.x) / appState.zoomLevel;
+        const y = (point.y - appState.panOffset.y) / appState.zoomLevel;
+
+        for (const item of virtualizer.itemData.values()) { //
+            if (item.type === 'directory' &&
+                x >= item.position.x && x <= item.position.x + width &&
+                y >= item.position.y && y <= item.position.y + height) {
+                return item;
+            }
+        }
+        return null;
+    }
+
+    // Extent of the laid-out items, in layout coordinates
+    function getLayoutBounds() {
+        if (!virtualizer || virtualizer.itemData.size === 0) return null; //
+        const { width, height } = CONFIG.VIRTUALIZER_OPTIONS.itemSize;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        virtualizer.itemData.forEach(item => { //
+            minX = Math.min(minX, item.position.x);
+            minY = Math.min(minY, item.position.y);
+            maxX = Math.max(maxX, item.position.x + width);
+            maxY = Math.max(maxY, item.position.y + height);
+        });
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    function enterDirectoryByZoom(directory) {
+        const { width, height } = CONFIG.VIRTUALIZER_OPTIONS.itemSize;
+        const tile = {
+            x: appState.panOffset.x + directory.position.x * appState.zoomLevel,
+            y: appState.panOffset.y + directory.position.y * appState.zoomLevel,
+            width: width * appState.zoomLevel,
+            height: height * appState.zoomLevel
+        };
+
+        navigateToPath(directory.path, true);
+        const bounds = getLayoutBounds();
+        if (!bounds) return;
+
+        // Start with the children drawn inside the tile they came from, then settle
+        const startZoom = Math.min(tile.width / bounds.width, tile.height / bounds.height);
+        animateTransition({
+            zoom: startZoom,
+            x: tile.x + tile.width / 2 - (bounds.x + bounds.width / 2) * startZoom,
+            y: tile.y + tile.height / 2 - (bounds.y + bounds.height / 2) * startZoom
+        }, { zoom: CONFIG.INITIAL_ZOOM, x: 0, y: 0 });
+    }
+
+    function exitDirectoryByZoom() {
+        const childPath = appState.currentPath;
+        const bounds = getLayoutBounds();
+        const screen = {
+            x: appState.panOffset.x + bounds.x * appState.zoomLevel,
+            y: appState.panOffset.y + bounds.y * appState.zoomLevel,
+            width: bounds.width * appState.zoomLevel,
+            height: bounds.height * appState.zoomLevel
+        };
+
+        navigateToPath(getParentPath(childPath), true);
+        const tile = virtualizer.itemData.get(childPath); //
+        if (!tile) return;
+
+        // Start with the tile covering what the directory covered, then shrink it into place
+        const { width, height } = CONFIG.VIRTUALIZER_OPTIONS.itemSize;
+        const tileCenter = { x: tile.position.x + width / 2, y: tile.position.y + height / 2 };
+        const startZoom = Math.max(CONFIG.MIN_ZOOM, Math.min(screen.width / width, screen.height / height, CONFIG.MAX_ZOOM));
+        const endZoom = Math.min(CONFIG.INITIAL_ZOOM, startZoom);
+        animateTransition({
+            zoom: startZoom,
+            x: screen.x + screen.width / 2 - tileCenter.x * startZoom,
+            y: screen.y + screen.height / 2 - tileCenter.y * startZoom
+        }, {
+            zoom: endZoom,
+            x: spatialView.clientWidth / 2 - tileCenter.x * endZoom,
+            y: spatialView.clientHeight / 2 - tileCenter.y * endZoom
+        }, () => virtualizer.highlightItem(childPath)); //
+    }
+
+    function animateTransition(from, to, onDone) {
+        const duration = CONFIG.SEMANTIC_ZOOM.transitionMs * parseFloat(getAnimationSpeedValue(appState.settings.animationSpeed));
+        const setFrame = (t) => {
+            // Interpolate zoom geometrically so the motion feels even
+            appState.zoomLevel = from.zoom * Math.pow(to.zoom / from.zoom, t);
+            appState.panOffset = { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+            updateTransform();
+        };
+
+        if (duration <= 0) {
+            setFrame(1);
+            if (onDone) onDone();
+            return;
+        }
+
+        const start = performance.now();
+        const step = (now) => {
+            const t = Math.min(1, (now - start) / duration);
+            setFrame(1 - Math.pow(1 - t, 3)); // Ease out
+            if (t < 1) {
+                semanticTransition = requestAnimationFrame(step);
+            } else {
+                semanticTransition = null;
+                if (onDone) onDone();
+            }
+        };
+        setFrame(0);
+        semanticTransition = requestAnimationFrame(step);
+    }
+
+    function updateTransform() {
+        // When using VirtualizedRenderer, it handles its own transform.
+        // We just need to tell it the new scale and pan.
+        if (virtualizer && appState.settings.enableVirtualization) {
+            virtualizer.setTransform({ //
+                scale: appState.zoomLevel,
+                translateX: appState.panOffset.x,
+                translateY: appState.panOffset.y
+            });
+        } else {
+            // Manual transform for non-virtualized view
+            directoryViewport.style.transform = `translate(${appState.panOffset.x}px, ${appState.panOffset.y}px) scale(${appState.zoomLevel})`; //
+        }
+        updateMiniMap();
+        scheduleRouteUpdate();
+    }
+
+
+    // Center a tile with the virtualizer, keeping appState's pan in step
+    function centerOnItem(path) {
+        virtualizer.focusOnItem(path, appState.zoomLevel); //
+        appState.panOffset = { x: virtualizer.transform.translateX, y: virtualizer.transform.translateY };
+        updateMiniMap();
+        scheduleRouteUpdate();
+    }
+
+    function resetZoomAndPan() {
+        appState.zoomLevel = CONFIG.INITIAL_ZOOM;
+        appState.panOffset = { x: 0, y: 0 };
+        updateTransform();
+    }
+
+    // --- Search ---
+    const debouncedSearch = perf ? perf.debounce(performSearch, CONFIG.SEARCH_DEBOUNCE_MS) : performSearch; //
+
+    function performSearch(queryText) {
+        queryText = queryText.trim();
+        cancelSearch();
+        scheduleRouteUpdate();
+        if (!queryText) {
+            // If query is empty, restore current directory view
+            const currentDirData = findItemByPath(appState.currentPath);
+            renderDirectory(currentDirData);
+            searchInput.parentNode.classList.remove('has-value'); //
+            return;
+        }
+        searchInput.parentNode.classList.add('has-value'); //
+
+        // Words and filters such as ext:py size:>10MB in:src/ (see search-query.js)
+        const query = searchQuery.parse(queryText, { mode: appState.settings.searchMode });
+        if (query.isEmpty || query.errors.length > 0) {
+            // Searching without the bad part would list things the user did not ask for
+            renderSearchResults([], query);
+            return;
+        }
+
+        // The worker streams results in as it scores the tree
+        if (searchIndex && searchIndex.isAvailable && searchIndex.ready) {
+            renderSearchResults([], query, { total: 0, done: false });
+            searchIndex.search(queryText, query.mode, (progress) => {
+                if (progress.stalled) showToast('The search took too long and was stopped. Try a simpler pattern.', 'warning');
+                scheduleSearchRender(query, progress);
+            });
+            return;
+        }
+
+        searchOnMainThread(query);
+    }
+
+    // Fallback when the search worker is unavailable
+    function searchOnMainThread(query) {
+        const results = [];
+        function findRecursively(node, currentPath) {
+            if (!node) return;
+            const nodePath = node.path || currentPath;
+
+            // The root is where the search starts, not a result
+            if (nodePath) {
+                const item = node.path ? node : { ...node, path: nodePath }; // Ensure path is correctly set
+                const match = query.match(item);
+                if (match) results.push({ item, match });
+            }
+
+            if (node.type === 'directory' && node.children) { //
+                node.children.forEach(child => findRecursively(child, nodePath ? `${nodePath}/${child.name}` : child.name));
+            }
+        }
+
+        findRecursively(appState.currentData, ''); // Search from root
+        results.sort((a, b) => b.match.score - a.match.score); // Stable, so ties keep tree order
+        renderSearchResults(results.slice(0, CONFIG.SEARCH_RESULT_LIMIT), query, { total: results.length, done: true });
+    }
+
+    // Draw streamed results at most once per frame
+    function scheduleSearchRender(query, progress) {
+        pendingSearchRender = { query, progress };
+        if (searchRenderFrame !== null) return;
+        searchRenderFrame = requestAnimationFrame(() => {
+            searchRenderFrame = null;
+            const { query: latestQuery, progress: latest } = pendingSearchRender;
+            pendingSearchRender = null;
+            renderSearchResults(latest.results, latestQuery, latest);
+        });
+    }
+
+    function cancelSearch() {
+        if (searchIndex) searchIndex.cancel();
+        if (searchRenderFrame !== null) cancelAnimationFrame(searchRenderFrame);
+        searchRenderFrame = null;
+        pendingSearchRender = null;
+        renderedSearchQuery = null;
+    }
+
+    function setSearchMode(mode) {
+        appState.settings.searchMode = mode;
+        saveSettings(true);
+        updateSearchModeButtons();
+        if (searchInput.value.trim()) performSearch(searchInput.value);
+    }
+
+    function updateSearchModeButtons() {
+        searchModeButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.searchMode === appState.settings.searchMode);
+        });
+    }
+
+    function renderSearchResults(results, query, progress = { total: results.length, done: true }) {
+        // Streamed updates refill the list of the search already on screen
+        let resultsContainer = renderedSearchQuery === query ? directoryViewport.querySelector('.search-results-container') : null;
+        const isNewSearch = !resultsContainer;
+        if (isNewSearch) {
+            showViewSurface('spatial'); // Results are listed in the tile viewport
+            directoryViewport.innerHTML = ''; // Clear current view for search results
+            directoryViewport.removeAttribute('role'); // A list of results, not the directory tree
+            directoryViewport.setAttribute('aria-label', 'Search results');
+            if (virtualizer) virtualizer.setItems([], appState.zoomLevel); // Clear virtualizer
+
+            resultsContainer = document.createElement('div');
+            resultsContainer.className = 'search-results-container fade-in'; //
+            directoryViewport.appendChild(resultsContainer);
+            renderedSearchQuery = query;
+        }
+        resultsContainer.innerHTML = '';
 
         const header = document.createElement('div');
         header.className = 'search-results-header'; //
         const title = document.createElement('h2'); //
-        title.textContent = `Search Results for "${query}"`;
+        title.textContent = `Search Results for "${query.text}"`;
         const count = document.createElement('p'); //
-        count.textContent = `${results.length} item(s) found.`;
+        count.textContent = progress.done
+            ? `${progress.total} item(s) found.`
+            : `Searching... ${progress.total} item(s) so far.`;
+        if (progress.total > results.length) {
+            count.textContent += ` Showing the best ${results.length}.`;
+        }
+        if (progress.done) announce(`${progress.total} result${progress.total === 1 ? '' : 's'} for ${query.text}.`);
         header.appendChild(title);
         header.appendChild(count);
+        query.errors.forEach(message => {
+            const error = document.createElement('p');
+            error.className = 'search-query-error';
+            error.textContent = message;
+            header.appendChild(error);
+        });
         resultsContainer.appendChild(header);
 
         const itemsList = document.createElement('div');
         itemsList.className = 'search-results-items'; //
 
         if (results.length === 0) {
-            const noResultsMessage = document.createElement('p');
-            noResultsMessage.className = 'empty-state-message'; //
-            noResultsMessage.textContent = 'No items match your search.';
-            itemsList.appendChild(noResultsMessage);
+            if (progress.done) {
+                const noResultsMessage = document.createElement('p');
+                noResultsMessage.className = 'empty-state-message'; //
+                noResultsMessage.textContent = 'No items match your search.';
+                itemsList.appendChild(noResultsMessage);
+            }
         } else {
-            results.forEach(item => {
-                const itemElement = createSearchResultElement(item, query);
+            results.forEach(({ item, match }) => {
+                const itemElement = createSearchResultElement(item, match);
                 itemsList.appendChild(itemElement);
             });
         }
         resultsContainer.appendChild(itemsList);
-        directoryViewport.appendChild(resultsContainer);
+        if (isNewSearch) updateMiniMap(true);
     }
 
-    function createSearchResultElement(item, query) {
+    function createSearchResultElement(item, match) {
         const element = document.createElement('div');
         element.className = 'search-result-item'; //
         element.title = `Click to navigate to ${item.name}`;
         element.addEventListener('click', () => {
             // Navigate to parent directory and highlight/select the item
-             const parentPath = item.path.substring(0, item.path.lastIndexOf('/'));
-             navigateToPath(parentPath, true);
+             navigateToPath(getParentPath(item.path), true);
              // After navigation, attempt to focus on the item. This might need a slight delay
              // or a callback after renderDirectory completes.
              setTimeout(() => {
@@ -2338,10 +3834,10 @@ document.addEventListener('DOMContentLoaded', () => {
         details.className = 'result-details'; //
         const name = document.createElement('div');
         name.className = 'result-name'; //
-        name.innerHTML = highlightMatch(item.name, query);
+        name.innerHTML = highlightMatch(item.name, match.nameIndices);
         const path = document.createElement('div');
         path.className = 'result-path'; //
-        path.innerHTML = highlightMatch(item.path, query);
+        path.innerHTML = highlightMatch(item.path, match.pathIndices);
 
         details.appendChild(name);
         details.appendChild(path);
@@ -2350,10 +3846,31 @@ document.addEventListener('DOMContentLoaded', () => {
         return element;
     }
 
-    function highlightMatch(text, query) {
-        if (!text || !query) return text || '';
-        const regex = new RegExp(`(${query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-        return text.replace(regex, '<span class="match-highlight">$1</span>'); //
+    function highlightMatch(text, indices) {
+        if (!text) return '';
+        const matched = new Set(indices || []);
+        if (matched.size === 0) return escapeHtml(text);
+
+        // Wrap each run of matched characters in a single highlight
+        let html = '';
+        let run = '';
+        let inRun = false;
+        for (let i = 0; i <= text.length; i++) {
+            const isMatch = i < text.length && matched.has(i);
+            if (isMatch !== inRun || i === text.length) {
+                html += inRun ? `<span class="match-highlight">${escapeHtml(run)}</span>` : escapeHtml(run);
+                run = '';
+                inRun = isMatch;
+            }
+            if (i < text.length) run += text[i];
+        }
+        return html;
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
     }
 
 
@@ -2382,20 +3899,68 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         // Update settings modal selection
         if (themeSelect) themeSelect.value = theme; //
+        updateMiniMap(true); // Mini-map colors follow the theme
     }
 
 
     // --- Modals & Panels ---
     function openModal(modalElement) {
+        // Switching from one modal to another still returns to where the first was opened from
+        if (!allModals.some(m => m.classList.contains('active'))) modalReturnFocus = document.activeElement;
         allModals.forEach(m => m.classList.remove('active')); //
         modalElement.classList.add('active'); //
         // Add event listener for ESC key to close modal
         document.addEventListener('keydown', closeModalOnEsc);
+
+        // Move focus into the dialog: its first control, or the dialog itself
+        const dialog = modalElement.querySelector('.modal-content');
+        const first = getFocusableElements(dialog).find(element => !element.classList.contains('modal-close'));
+        (first || dialog).focus();
     }
 
     function closeModal(modalElement) {
+        const wasOpen = modalElement.classList.contains('active');
         modalElement.classList.remove('active'); //
+        if (modalElement === previewModal) {
+            cancelPreviewRequest();
+            previewItem = null;
+        }
         document.removeEventListener('keydown', closeModalOnEsc);
+
+        if (wasOpen && !allModals.some(m => m.classList.contains('active'))) {
+            if (modalReturnFocus && modalReturnFocus.isConnected) modalReturnFocus.focus({ preventScroll: true });
+            modalReturnFocus = null;
+        }
+    }
+
+    // Keep Tab and Shift+Tab inside the open modal
+    function trapModalFocus(event) {
+        if (event.key !== 'Tab') return;
+        const modal = allModals.find(m => m.classList.contains('active'));
+        if (!modal) return;
+
+        const focusable = getFocusableElements(modal.querySelector('.modal-content'));
+        if (focusable.length === 0) {
+            event.preventDefault();
+            return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        if (event.shiftKey && (active === first || !modal.contains(active))) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (active === last || !modal.contains(active))) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    function getFocusableElements(container) {
+        const selector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+            'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+        return Array.from(container.querySelectorAll(selector))
+            .filter(element => element.getClientRects().length > 0); // Skip hidden ones
     }
     function closeModalOnEsc(event) {
         if (event.key === 'Escape') {
@@ -2411,34 +3976,192 @@ document.addEventListener('DOMContentLoaded', () => {
             showToast('Cannot preview a directory.', 'info');
             return;
         }
+        cancelPreviewRequest();
+        previewItem = item;
+
         const previewContent = previewModal.querySelector('#preview-content'); //
         const previewTitle = previewModal.querySelector('#preview-title'); //
         previewTitle.textContent = `Preview: ${item.name}`;
         previewContent.innerHTML = ''; // Clear previous
+        updatePreviewNavigation(item);
+
+        const ext = (item.extension || '').toLowerCase(); //
+        const kind = getPreviewKind(item);
+        if (!kind || !contentProvider) {
+            previewContent.innerHTML = `<p>No preview available for this file type: .${ext}</p><div class="preview-placeholder"><i class="fas fa-file-alt"></i><p>File: ${item.name}</p></div>`; //
+            openModal(previewModal); //
+            return;
+        }
+
+        // Media streams straight from the server instead of being read into memory
+        if (kind === 'audio' || kind === 'video' || kind === 'pdf') {
+            openModal(previewModal); //
+            renderMediaPreview(previewContent, item, kind);
+            return;
+        }
+
+        const status = document.createElement('p');
+        status.className = 'preview-status';
+        status.textContent = 'Loading preview...';
+        previewContent.appendChild(status);
+        openModal(previewModal); //
+
+        // Track the request so closing the modal or opening another preview cancels it
+        const request = { controller: new AbortController(), objectUrls: [] };
+        previewRequest = request;
+        const readOptions = {
+            signal: request.controller.signal,
+            onProgress: ({ loaded, total }) => {
+                status.textContent = total
+                    ? `Loading preview... ${Math.round((loaded / total) * 100)}%`
+                    : `Loading preview... ${formatBytes(loaded)}`;
+            }
+        };
+
+        const loading = kind === 'image'
+            ? contentProvider.readObjectUrl(item, readOptions).then(({ url }) => {
+                if (previewRequest !== request) {
+                    URL.revokeObjectURL(url);
+                    return;
+                }
+                request.objectUrls.push(url);
+                renderImagePreview(previewContent, item, url);
+            })
+            : contentProvider.readText(item, readOptions).then(result => {
+                if (previewRequest !== request) return;
+                renderTextPreview(previewContent, item, result);
+            });
+
+        loading.catch(error => {
+            if (previewRequest !== request || error.code === 'aborted') return;
+            console.warn(`Preview failed for ${item.path}:`, error);
+            renderPreviewError(previewContent, item, error);
+        });
+    }
+
+    function getPreviewKind(item) {
+        const type = fileExtensionTypes[(item.extension || '').toLowerCase()];
+        const mimeType = (item.metadata && item.metadata.mime_type) || ''; //
+        if (type === 'image' || mimeType.startsWith('image/')) return 'image';
+        if (type === 'text' || type === 'code' || mimeType.startsWith('text/')) return 'text';
+        if (window.MediaViewer && (type === 'audio' || mimeType.startsWith('audio/'))) return 'audio';
+        if (window.MediaViewer && (type === 'video' || mimeType.startsWith('video/'))) return 'video';
+        if (window.PdfViewer && (type === 'pdf' || mimeType === 'application/pdf')) return 'pdf';
+        return null;
+    }
+
+    function renderMediaPreview(previewContent, item, kind) {
+        const request = { controller: new AbortController(), objectUrls: [] };
+        previewRequest = request;
+
+        const options = {
+            url: contentProvider.getUrl(item),
+            name: item.name,
+            mimeType: item.metadata && item.metadata.mime_type, //
+            onError: (error) => {
+                // <source> and the media element can both report the same failure
+                if (previewRequest !== request || !request.viewer) return;
+                request.viewer.dispose();
+                request.viewer = null;
+                renderPreviewError(previewContent, item, error);
+            }
+        };
+
+        if (kind === 'pdf') {
+            request.viewer = new window.PdfViewer(previewContent, options);
+            request.viewer.focus();
+        } else {
+            // Media elements own the arrow keys once focused, so leave focus on the modal
+            request.viewer = new window.MediaViewer(previewContent, { ...options, kind });
+        }
+    }
+
+    // Files in the same folder and type group, in tree order, for stepping with the arrow keys
+    function getPreviewSiblings(item) {
+        const parent = pathIndex.getParent(item.path);
+        const group = item.file_type_group || getPreviewKind(item); //
+        if (!parent || !parent.children) return [item];
+        return parent.children.filter(child =>
+            child.type === 'file' && (child.file_type_group || getPreviewKind(child)) === group); //
+    }
+
+    function updatePreviewNavigation(item) {
+        const siblings = getPreviewSiblings(item);
+        const index = siblings.findIndex(sibling => sibling.path === item.path);
+        previewPosition.textContent = siblings.length > 1 ? `${index + 1} / ${siblings.length}` : '';
+        previewPrevBtn.disabled = index <= 0;
+        previewNextBtn.disabled = index === -1 || index >= siblings.length - 1;
+    }
+
+    function stepPreview(direction) {
+        if (!previewItem) return;
+        const siblings = getPreviewSiblings(previewItem);
+        const index = siblings.findIndex(sibling => sibling.path === previewItem.path);
+        const next = siblings[index + direction];
+        if (index !== -1 && next) {
+            showFilePreview(next);
+        }
+    }
+
+    function renderImagePreview(previewContent, item, url) {
+        const img = document.createElement('img');
+        img.className = 'preview-image'; //
+        img.alt = item.name;
+        img.onload = () => previewContent.replaceChildren(img);
+        img.onerror = () => renderPreviewError(previewContent, item, new Error('The file could not be decoded as an image.'));
+        img.src = url;
+    }
+
+    function renderTextPreview(previewContent, item, result) {
+        previewContent.innerHTML = '';
+        if (result.truncated) {
+            const notice = document.createElement('p');
+            notice.className = 'preview-notice';
+            notice.textContent = `Showing the first ${formatBytes(result.bytesRead)} of ${formatBytes(item.size || 0)}.`;
+            previewContent.appendChild(notice);
+        }
+        if (window.CodeViewer && previewRequest) {
+            // Highlighted, virtualized view with line numbers and find-in-file
+            previewRequest.viewer = new window.CodeViewer(previewContent, {
+                text: result.text,
+                extension: item.extension
+            });
+            previewRequest.viewer.focus();
+            return;
+        }
+        const pre = document.createElement('pre');
+        pre.className = 'preview-text'; //
+        pre.textContent = result.text;
+        previewContent.appendChild(pre);
+    }
 
-        // Simple preview based on type (more advanced previews would require more logic)
-        const ext = (item.extension || '').toLowerCase(); //
-        if (['png', 'jpg', 'jpeg', 'gif', 'bmp', 'webp', 'svg'].includes(ext)) {
-            const img = document.createElement('img');
-            img.className = 'preview-image'; //
-            // For security, in a real app, source from a trusted endpoint or internal data URI
-            // img.src = `path/to/files/${item.path}`; // This needs actual file serving
-            img.alt = item.name;
-            img.onerror = () => { previewContent.innerHTML = '<p>Image preview not available or file not found.</p>';};
-            // Placeholder if no actual image source is available for the demo
-            previewContent.innerHTML = `<p>Image preview for <strong>${item.name}</strong> (actual image source not implemented in this demo).</p><div class="preview-placeholder"><i class="fas fa-image"></i></div>`; //
-
-        } else if (['txt', 'md', 'js', 'css', 'html', 'json', 'xml', 'py', 'java', 'c', 'cpp'].includes(ext)) { //
-            const pre = document.createElement('pre');
-            pre.className = 'preview-text'; //
-            // Fetch content (placeholder for actual file fetching)
-            // For demonstration:
-            pre.textContent = `Text content for ${item.name} would appear here.\n\n(Actual file content fetching is not implemented in this demo.)`;
-             previewContent.appendChild(pre);
-        } else {
-            previewContent.innerHTML = `<p>No preview available for this file type: .${ext}</p><div class="preview-placeholder"><i class="fas fa-file-alt"></i><p>File: ${item.name}</p></div>`; //
+    function renderPreviewError(previewContent, item, error) {
+        previewContent.innerHTML = '';
+        const container = document.createElement('div');
+        container.className = 'preview-error';
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-exclamation-triangle';
+        const message = document.createElement('p');
+        message.textContent = `Could not load ${item.name}: ${error.message}`;
+        container.appendChild(icon);
+        container.appendChild(message);
+
+        // A 404 almost always means the scanned directory is not being served
+        if (error.code === 'http' || error.code === 'network') {
+            const hint = document.createElement('p');
+            hint.className = 'preview-hint';
+            hint.textContent = `Previews read files from "${contentProvider.getSettings().root}". Make sure the scanned directory is served there.`;
+            container.appendChild(hint);
         }
-        openModal(previewModal); //
+        previewContent.appendChild(container);
+    }
+
+    function cancelPreviewRequest() {
+        if (!previewRequest) return;
+        previewRequest.controller.abort();
+        previewRequest.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        if (previewRequest.viewer) previewRequest.viewer.dispose();
+        previewRequest = null;
     }
 
     // --- Context Menu ---
@@ -2448,49 +4171,109 @@ document.addEventListener('DOMContentLoaded', () => {
 
         contextMenu.innerHTML = ''; // Clear previous items
 
-        // Common actions
-        addContextMenuItem('Open', 'fa-folder-open', () => handleItemDblClick(item));
-        if (item.type === 'file') { //
-            addContextMenuItem('Preview', 'fa-eye', () => showFilePreview(item)); //
-        }
-        addContextMenuItem('Details', 'fa-info-circle', () => showItemDetails(item));
+        if (appState.selection.size > 1 && appState.selection.has(item.path)) {
+            // Right-clicking part of a multi-selection acts on all of it
+            addContextMenuItem('Details', 'fa-info-circle', () => showSelectionDetails());
+            contextMenu.appendChild(createContextMenuSeparator());
+            addContextMenuItem('Bookmark All', 'fa-bookmark', bookmarkSelection);
+            addContextMenuItem('Copy Paths', 'fa-copy', copySelectionPaths);
+            addContextMenuItem('Export List', 'fa-file-export', exportSelection);
+            contextMenu.appendChild(createContextMenuSeparator());
+            addContextMenuItem('Clear Selection', 'fa-times', hideContextPanel);
+        } else {
+            // Common actions
+            addContextMenuItem('Open', 'fa-folder-open', () => handleItemDblClick(item));
+            if (item.type === 'file') { //
+                addContextMenuItem('Preview', 'fa-eye', () => showFilePreview(item)); //
+            }
+            addContextMenuItem('Details', 'fa-info-circle', () => showItemDetails(item));
 
-        contextMenu.appendChild(createContextMenuSeparator()); //
+            contextMenu.appendChild(createContextMenuSeparator()); //
 
-        const isBookmarked = appState.bookmarks.some(b => b.path === item.path);
-        addContextMenuItem(isBookmarked ? 'Remove Bookmark' : 'Add Bookmark', 'fa-bookmark', () => toggleBookmark(item));
+            const isBookmarked = appState.bookmarks.some(b => b.path === item.path);
+            addContextMenuItem(isBookmarked ? 'Remove Bookmark' : 'Add Bookmark', 'fa-bookmark', () => toggleBookmark(item));
+        }
 
         // More actions (e.g., Download, Rename, Delete - would require backend)
         // addContextMenuItem('Download', 'fa-download', () => console.log('Download:', item.path));
 
-        contextMenu.style.top = `${Math.min(event.clientY, window.innerHeight - contextMenu.offsetHeight - CONFIG.CONTEXT_MENU_OFFSET)}px`;
-        contextMenu.style.left = `${Math.min(event.clientX, window.innerWidth - contextMenu.offsetWidth - CONFIG.CONTEXT_MENU_OFFSET)}px`;
+        // The menu key and Shift+F10 report no pointer position; open by the tile instead
+        let { clientX, clientY } = event;
+        if (clientX === 0 && clientY === 0 && element) {
+            const rect = element.getBoundingClientRect();
+            clientX = rect.left + rect.width / 2;
+            clientY = rect.top + rect.height / 2;
+        }
+        contextMenu.style.top = `${Math.min(clientY, window.innerHeight - contextMenu.offsetHeight - CONFIG.CONTEXT_MENU_OFFSET)}px`;
+        contextMenu.style.left = `${Math.min(clientX, window.innerWidth - contextMenu.offsetWidth - CONFIG.CONTEXT_MENU_OFFSET)}px`;
         contextMenu.classList.add('visible'); //
+        contextMenuReturnFocus = element || document.activeElement;
+        const firstItem = contextMenu.querySelector('.context-menu-item');
+        if (firstItem) firstItem.focus();
 
         // Clicking outside hides the menu
         document.addEventListener('click', hideContextMenuOnClickOutside, { once: true });
     }
 
+    // Arrows move between menu items, Enter and Space run one, Escape and Tab close the menu
+    function handleContextMenuKey(event) {
+        const items = Array.from(contextMenu.querySelectorAll('.context-menu-item'));
+        const index = items.indexOf(document.activeElement);
+        switch (event.key) {
+            case 'ArrowDown':
+                items[(index + 1) % items.length].focus();
+                break;
+            case 'ArrowUp':
+                items[(index - 1 + items.length) % items.length].focus();
+                break;
+            case 'Home':
+                items[0].focus();
+                break;
+            case 'End':
+                items[items.length - 1].focus();
+                break;
+            case 'Enter':
+            case ' ':
+                if (index !== -1) items[index].click();
+                break;
+            case 'Escape':
+            case 'Tab':
+                hideContextMenu(true);
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+        event.stopPropagation(); // The menu's keys do not reach the view or the modals
+    }
+
     function addContextMenuItem(label, iconClass, action) {
         const itemEl = document.createElement('div');
         itemEl.className = 'context-menu-item'; //
-        itemEl.innerHTML = `<i class="fas ${iconClass}"></i><span>${label}</span>`;
+        itemEl.setAttribute('role', 'menuitem');
+        itemEl.tabIndex = -1;
+        itemEl.innerHTML = `<i class="fas ${iconClass}" aria-hidden="true"></i><span>${label}</span>`;
         itemEl.addEventListener('click', (e) => {
             e.stopPropagation(); // Prevent click outside handler
+            hideContextMenu(true); // Return focus first, so actions that open a modal remember the tile
             action();
-            hideContextMenu();
         });
         contextMenu.appendChild(itemEl);
     }
     function createContextMenuSeparator() {
         const separator = document.createElement('div');
         separator.className = 'context-menu-separator'; //
+        separator.setAttribute('role', 'separator');
         return separator;
     }
 
-    function hideContextMenu() {
+    function hideContextMenu(restoreFocus = false) {
         if (contextMenu) contextMenu.classList.remove('visible'); //
         document.removeEventListener('click', hideContextMenuOnClickOutside);
+        if (restoreFocus && contextMenuReturnFocus && contextMenuReturnFocus.isConnected) {
+            contextMenuReturnFocus.focus({ preventScroll: true });
+        }
+        contextMenuReturnFocus = null;
     }
     function hideContextMenuOnClickOutside(event) {
         if (contextMenu && !contextMenu.contains(event.target)) {
@@ -2502,6 +4285,424 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
 
+    // --- Commands ---
+    // Every action by id, shared by the command palette, the shortcut map and the help modal
+    function registerCommands() {
+        const hasTree = () => Boolean(appState.currentData);
+        const hasSelection = () => Boolean(appState.selectedItem);
+        const hasFileSelected = () => hasSelection() && appState.selectedItem.data.type === 'file';
+        const selected = () => appState.selectedItem.data;
+        [
+            // Anywhere, even while typing in a field or a modal is open
+            { id: 'palette.open', category: 'Help', title: 'Command Palette', icon: 'fa-terminal', global: true,
+                when: () => Boolean(commandPalette), run: () => openCommandPalette() },
+            { id: 'help.show', category: 'Help', title: 'Keyboard Shortcuts', icon: 'fa-keyboard', when: () => Boolean(helpModal),
+                run: openHelp },
+
+            // Navigation
+            { id: 'navigate.goToPath', category: 'Go', title: 'Go to Path...', icon: 'fa-location-arrow', keywords: 'open find jump file folder',
+                when: () => Boolean(commandPalette), run: () => openCommandPalette('/') },
+            { id: 'navigate.root', category: 'Go', title: 'Root Directory', icon: 'fa-home', when: hasTree,
+                run: () => navigateToPath('', true) },
+            { id: 'navigate.up', category: 'Go', title: 'Parent Directory', icon: 'fa-level-up-alt',
+                when: () => appState.currentPath !== '', run: () => navigateToPath(getParentPath(appState.currentPath), true) },
+            { id: 'navigate.back', category: 'Go', title: 'Back', icon: 'fa-arrow-left',
+                when: () => appState.historyIndex > 0, run: () => navigateHistory(-1) },
+            { id: 'navigate.forward', category: 'Go', title: 'Forward', icon: 'fa-arrow-right',
+                when: () => appState.historyIndex < appState.history.length - 1, run: () => navigateHistory(1) },
+
+            // View
+            { id: 'view.spatial', category: 'View', title: 'Spatial Tiles', icon: 'fa-th', run: () => setViewMode('spatial') },
+            { id: 'view.treemap', category: 'View', title: 'Treemap', icon: 'fa-th-large', keywords: 'size disk usage',
+                when: () => Boolean(treemapView), run: () => setViewMode('treemap') },
+            { id: 'view.sunburst', category: 'View', title: 'Sunburst', icon: 'fa-chart-pie', keywords: 'rings levels',
+                when: () => Boolean(sunburstView), run: () => setViewMode('sunburst') },
+            { id: 'view.zoomIn', category: 'View', title: 'Zoom In', icon: 'fa-plus',
+                run: () => zoomAt(appState.zoomLevel + CONFIG.ZOOM_STEP) },
+            { id: 'view.zoomOut', category: 'View', title: 'Zoom Out', icon: 'fa-minus',
+                run: () => zoomAt(appState.zoomLevel - CONFIG.ZOOM_STEP) },
+            { id: 'view.reset', category: 'View', title: 'Reset Zoom and Pan', icon: 'fa-compress',
+                run: resetZoomAndPan },
+            { id: 'view.toggleTheme', category: 'View', title: 'Toggle Light/Dark Theme', icon: 'fa-moon', keywords: 'dark mode colors',
+                run: toggleTheme },
+            ...layoutEngine.listLayouts().map(({ name, label }) => ({
+                id: `layout.${name}`, category: 'Layout', title: label, icon: 'fa-shapes', keywords: 'arrange',
+                when: () => appState.settings.layout !== name, run: () => setLayout(name),
+            })),
+
+            // Search
+            { id: 'search.focus', category: 'Search', title: 'Search Files and Directories', icon: 'fa-search',
+                run: () => { searchInput.focus(); searchInput.select(); } },
+            ...searchQuery.modes.map(mode => ({
+                id: `search.mode.${mode}`, category: 'Search', title: `${mode[0].toUpperCase()}${mode.slice(1)} Matching`, icon: 'fa-sliders-h',
+                when: () => appState.settings.searchMode !== mode, run: () => setSearchMode(mode),
+            })),
+
+            // Selected item
+            { id: 'item.open', category: 'Item', title: 'Open Selected', icon: 'fa-folder-open', shortcut: 'Enter', when: hasSelection,
+                run: () => handleItemDblClick(selected()) },
+            { id: 'item.preview', category: 'Item', title: 'Preview Selected File', icon: 'fa-eye', shortcut: 'Space', when: hasFileSelected,
+                run: () => showFilePreview(selected()) },
+            { id: 'item.details', category: 'Item', title: 'Show Details', icon: 'fa-info-circle', when: hasSelection,
+                run: () => (appState.selection.size > 1 ? showSelectionDetails() : showItemDetails(selected())) },
+            { id: 'item.bookmark', category: 'Bookmarks', title: 'Toggle Bookmark on Selected', icon: 'fa-bookmark', when: hasSelection,
+                run: () => (appState.selection.size > 1 ? bookmarkSelection() : toggleBookmark(selected())) },
+            { id: 'selection.copyPaths', category: 'Selection', title: 'Copy Paths', icon: 'fa-copy', when: hasSelection,
+                run: copySelectionPaths },
+            { id: 'selection.export', category: 'Selection', title: 'Export List as CSV', icon: 'fa-file-export', when: hasSelection,
+                run: exportSelection },
+            { id: 'selection.clear', category: 'Selection', title: 'Clear Selection', icon: 'fa-times', when: hasSelection,
+                run: hideContextPanel },
+
+            // Bookmarks
+            { id: 'bookmarks.current', category: 'Bookmarks', title: 'Toggle Bookmark on Current Directory', icon: 'fa-bookmark',
+                when: () => Boolean(appState.currentDirectoryData), run: () => toggleBookmark(appState.currentDirectoryData) },
+            { id: 'bookmarks.show', category: 'Bookmarks', title: 'Show All Bookmarks', icon: 'fa-list',
+                run: () => { openModal(bookmarksModal); renderBookmarks(); } },
+
+            // Tools
+            { id: 'tools.compare', category: 'Tools', title: 'Compare Two Scans...', icon: 'fa-code-compare', keywords: 'diff changes',
+                when: () => Boolean(diffModal), run: () => openModal(diffModal) },
+            { id: 'tools.exitCompare', category: 'Tools', title: 'Exit Scan Comparison', icon: 'fa-times-circle',
+                when: () => Boolean(diffState), run: exitDiff },
+            { id: 'tools.duplicates', category: 'Tools', title: 'Find Duplicate Files', icon: 'fa-clone', keywords: 'copies wasted space',
+                when: () => Boolean(duplicatesModal), run: () => { openModal(duplicatesModal); renderDuplicates(); } },
+            { id: 'tools.settings', category: 'Tools', title: 'Open Settings', icon: 'fa-cog', keywords: 'preferences options shortcuts',
+                run: openSettings },
+        ].forEach(command => commands.set(command.id, command));
+    }
+
+    // Run a command if it applies right now
+    function runCommand(id) {
+        const command = commands.get(id);
+        if (!command || (command.when && !command.when())) return false;
+        command.run();
+        return true;
+    }
+
+    // --- Command Palette ---
+    // Every command in one searchable list (Ctrl+K); "/" turns it into a go-to-path box
+    function setupCommandPalette() {
+        const container = document.getElementById('command-palette');
+        if (!window.CommandPalette || !container) return;
+        commandPalette = new window.CommandPalette(container, {
+            getNode: findItemByPath,
+            getIcon: node => (node.type === 'directory' ? 'fas fa-folder' : getFileIconClass(node.extension, node.file_type_group)),
+            getShortcut: command => formatShortcut(command.id, true) || command.shortcut,
+            isToggleKey: event => Boolean(keyBindings) && keyBindings.get('palette.open').includes(window.KeyBindings.eventToKey(event)),
+            onPath: node => navigateToPath(node.path || '', true),
+        });
+        commands.forEach(command => commandPalette.register(command));
+
+        // Bookmarks and recent directories change as the app is used
+        commandPalette.registerSource(() => appState.bookmarks.map(bookmark => ({
+            id: `bookmark:${bookmark.path}`,
+            category: 'Bookmark',
+            title: bookmark.name || 'Root',
+            detail: bookmark.path || '/',
+            icon: bookmark.type === 'directory' ? 'fa-folder' : 'fa-file',
+            run: () => navigateToPath(bookmark.path, true),
+        })));
+        commandPalette.registerSource(() => getRecentDirectories().map(path => {
+            const directory = findItemByPath(path);
+            return {
+                id: `recent:${path}`,
+                category: 'Recent',
+                title: directory ? directory.name || 'Root' : path,
+                detail: path || '/',
+                icon: 'fa-history',
+                run: () => navigateToPath(path, true),
+            };
+        }));
+    }
+
+    function openCommandPalette(text = '') {
+        if (!commandPalette) return;
+        hideContextMenu();
+        commandPalette.open(text);
+    }
+
+    // Directories visited before the current one, most recent first
+    function getRecentDirectories() {
+        const seen = new Set([appState.currentPath]);
+        const recent = [];
+        for (let i = appState.history.length - 1; i >= 0 && recent.length < CONFIG.PALETTE_RECENT_DIRECTORIES; i--) {
+            const path = appState.history[i];
+            if (seen.has(path) || !findItemByPath(path)) continue;
+            seen.add(path);
+            recent.push(path);
+        }
+        return recent;
+    }
+
+    function openSettings() {
+        updateTreeCacheInfo();
+        renderKeyBindingSettings();
+        openModal(settingsModal);
+    }
+
+    function setLayout(name) {
+        appState.settings.layout = name;
+        applySettings(appState.settings); // Redraws the current directory with the new layout
+        saveSettings(true);
+    }
+
+    // --- Keyboard Shortcuts ---
+    // Tile keys handled by handleNavigationKey; listed in the help and kept free of shortcuts
+    const NAVIGATION_KEYS = [
+        { keys: ['arrowup', 'arrowdown', 'arrowleft', 'arrowright'], title: 'Move to the nearest tile in that direction' },
+        { keys: ['home', 'end'], title: 'First and last tile' },
+        { keys: ['pageup', 'pagedown'], title: 'Move a screen at a time' },
+        { keys: ['enter'], title: 'Open the focused tile' },
+        { keys: ['space'], title: 'Preview the focused file' },
+        { keys: ['escape'], title: 'Close dialogs and clear the selection' },
+    ];
+    const RESERVED_KEYS = new Set([...NAVIGATION_KEYS.flatMap(entry => entry.keys), 'tab', 'shift+tab']);
+
+    // A lone character (Shift aside) is a letter typed to jump to a tile by name
+    function isTypeAheadKey(key) {
+        const { modifiers, name } = window.KeyBindings.parseKey(key);
+        return name.length === 1 && !['ctrl', 'alt', 'meta'].some(modifier => modifiers.has(modifier));
+    }
+
+    function setupKeyBindings() {
+        if (!window.KeyBindings) return;
+        keyBindings = new window.KeyBindings(CONFIG.DEFAULT_KEYBINDINGS, { chordTimeout: CONFIG.CHORD_TIMEOUT_MS });
+        try {
+            const stored = localStorage.getItem('spatialExplorerKeyBindings');
+            if (stored) keyBindings.setOverrides(JSON.parse(stored));
+        } catch (e) {
+            console.warn("Could not load keyboard shortcuts from localStorage:", e);
+        }
+    }
+
+    function saveKeyBindings() {
+        try {
+            localStorage.setItem('spatialExplorerKeyBindings', JSON.stringify(keyBindings.getOverrides()));
+        } catch (e) {
+            console.warn("Could not save keyboard shortcuts to localStorage:", e);
+            showToast("Could not save keyboard shortcuts. LocalStorage might be full or disabled.", "warning");
+        }
+    }
+
+    // Shortcut text of a command: all of its sequences, or just the first
+    function formatShortcut(id, firstOnly = false) {
+        if (!keyBindings) return '';
+        const sequences = keyBindings.get(id).map(window.KeyBindings.format);
+        return firstOnly ? sequences[0] || '' : sequences.join(' / ');
+    }
+
+    function getCommandLabel(command) {
+        return command.category ? `${command.category}: ${command.title}` : command.title;
+    }
+
+    // Run the command bound to a key; while typing in a field or a modal only global commands count
+    function handleShortcutKey(event) {
+        if (!keyBindings || event.defaultPrevented) return false;
+        const isTyping = Boolean(event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"], .modal'));
+        const allow = isTyping ? (id => Boolean(commands.get(id) && commands.get(id).global)) : null;
+        const result = keyBindings.handle(event, allow);
+
+        if (result.status === 'pending') {
+            event.preventDefault(); // The first key of a chord does nothing else
+            return true;
+        }
+        if (result.status === 'matched' && runCommand(result.id)) {
+            event.preventDefault();
+            return true;
+        }
+        return false;
+    }
+
+    // One row per command in the settings modal: its shortcut (click to record a new one) and a clear button
+    function renderKeyBindingSettings() {
+        const container = document.getElementById('keybinding-list');
+        if (!container || !keyBindings) return;
+        container.innerHTML = '';
+
+        commands.forEach(command => {
+            const row = document.createElement('div');
+            row.className = 'keybinding-item';
+
+            const label = document.createElement('span');
+            label.className = 'keybinding-label';
+            label.textContent = getCommandLabel(command);
+
+            const keysButton = document.createElement('button');
+            keysButton.className = 'keybinding-keys';
+            keysButton.title = 'Click, then press the new shortcut';
+            keysButton.setAttribute('aria-label', `Shortcut for ${getCommandLabel(command)}: ${formatShortcut(command.id) || 'none'}. Press to change.`);
+            fillShortcutKeys(keysButton, keyBindings.get(command.id));
+            keysButton.addEventListener('click', () => recordKeyBinding(command.id, keysButton));
+
+            const clearButton = document.createElement('button');
+            clearButton.className = 'keybinding-clear';
+            clearButton.title = keyBindings.isCustomized(command.id) ? 'Clear (reset restores the default)' : 'Clear';
+            clearButton.setAttribute('aria-label', `Clear shortcut for ${getCommandLabel(command)}`);
+            clearButton.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+            clearButton.disabled = keyBindings.get(command.id).length === 0;
+            clearButton.addEventListener('click', () => {
+                keyBindings.set(command.id, []);
+                saveKeyBindings();
+                renderKeyBindingSettings();
+            });
+
+            row.append(label, keysButton, clearButton);
+            container.appendChild(row);
+        });
+    }
+
+    function fillShortcutKeys(element, sequences) {
+        element.innerHTML = '';
+        if (sequences.length === 0) {
+            element.textContent = 'None';
+            element.classList.add('unbound');
+            return;
+        }
+        element.classList.remove('unbound');
+        sequences.forEach(sequence => {
+            const kbd = document.createElement('kbd');
+            kbd.textContent = window.KeyBindings.format(sequence);
+            element.appendChild(kbd);
+        });
+    }
+
+    // Collect keys pressed on the button; a pause ends the sequence, Escape cancels
+    function recordKeyBinding(id, button) {
+        const keys = [];
+        let timer = null;
+        button.classList.add('recording');
+        button.textContent = 'Press keys...';
+
+        const stop = () => {
+            clearTimeout(timer);
+            button.classList.remove('recording');
+            button.removeEventListener('keydown', onKey);
+            button.removeEventListener('blur', cancel);
+        };
+        const cancel = () => {
+            stop();
+            fillShortcutKeys(button, keyBindings.get(id));
+        };
+        const finish = () => {
+            stop();
+            applyKeyBinding(id, keys.join(' '));
+        };
+        const onKey = (event) => {
+            const key = window.KeyBindings.eventToKey(event);
+            if (!key) return;
+            if (key === 'tab' || key === 'shift+tab') {
+                cancel(); // Let focus move on
+                return;
+            }
+            event.preventDefault();
+            event.stopPropagation(); // Not a shortcut, nor Escape closing the modal
+            if (key === 'escape') {
+                cancel();
+                return;
+            }
+            keys.push(key);
+            button.textContent = `${window.KeyBindings.format(keys.join(' '))} ...`;
+            clearTimeout(timer);
+            if (keys.length >= CONFIG.MAX_CHORD_LENGTH) {
+                finish();
+            } else {
+                timer = setTimeout(finish, CONFIG.KEYBINDING_RECORD_MS);
+            }
+        };
+        button.addEventListener('keydown', onKey);
+        button.addEventListener('blur', cancel);
+    }
+
+    // Store a recorded shortcut; one whose first key is a character needs confirming, as it takes over type-ahead
+    function applyKeyBinding(id, sequence, shadowTypeAhead = false) {
+        const formatted = window.KeyBindings.format(sequence);
+        const reservedKey = sequence.split(' ').find(key => RESERVED_KEYS.has(key));
+        if (reservedKey) {
+            showToast(`${window.KeyBindings.format(reservedKey)} moves between tiles and cannot be a shortcut.`, 'warning');
+            renderKeyBindingSettings();
+            return;
+        }
+        const firstKey = sequence.split(' ')[0];
+        if (!shadowTypeAhead && isTypeAheadKey(firstKey)) {
+            showToast(`With ${formatted}, typing ${window.KeyBindings.format(firstKey)} would no longer jump to tiles by name.`, 'warning',
+                CONFIG.TOAST_DURATION_MS * 2, { label: 'Use anyway', onClick: () => applyKeyBinding(id, sequence, true) });
+            renderKeyBindingSettings();
+            return;
+        }
+
+        const assign = (conflicts = []) => {
+            conflicts.forEach(({ id: otherId, sequence: other }) => {
+                keyBindings.set(otherId, keyBindings.get(otherId).filter(existing => existing !== other));
+            });
+            keyBindings.set(id, [sequence]);
+            saveKeyBindings();
+            renderKeyBindingSettings();
+        };
+
+        const conflicts = keyBindings.findConflicts(sequence, id);
+        if (conflicts.length === 0) {
+            assign();
+            return;
+        }
+        const names = conflicts.map(conflict => `${getCommandLabel(commands.get(conflict.id) || { title: conflict.id })} (${window.KeyBindings.format(conflict.sequence)})`);
+        showToast(`${formatted} clashes with ${names.join(', ')}.`, 'warning', CONFIG.TOAST_DURATION_MS * 2,
+            { label: 'Reassign', onClick: () => assign(conflicts) });
+        renderKeyBindingSettings();
+    }
+
+    function resetKeyBindings() {
+        if (!keyBindings) return;
+        keyBindings.reset();
+        saveKeyBindings();
+        renderKeyBindingSettings();
+        showToast('Keyboard shortcuts reset to default.', 'info');
+    }
+
+    // The help modal lists the live shortcut map, grouped like the commands
+    function renderHelp() {
+        const container = document.getElementById('help-container');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const groups = new Map(); // category -> [{ sequences, title }]
+        commands.forEach(command => {
+            const sequences = keyBindings ? keyBindings.get(command.id) : [];
+            if (sequences.length === 0) return;
+            if (!groups.has(command.category)) groups.set(command.category, []);
+            groups.get(command.category).push({ sequences, title: command.title });
+        });
+        groups.set('Tiles', NAVIGATION_KEYS.map(entry => ({ sequences: entry.keys, title: entry.title })));
+
+        groups.forEach((entries, category) => {
+            const section = document.createElement('section');
+            section.className = 'help-section';
+            const heading = document.createElement('h3');
+            heading.textContent = category;
+            const list = document.createElement('dl');
+            list.className = 'shortcut-list';
+            entries.forEach(({ sequences, title }) => {
+                const keys = document.createElement('dt');
+                fillShortcutKeys(keys, sequences);
+                const description = document.createElement('dd');
+                description.textContent = title;
+                list.append(keys, description);
+            });
+            section.append(heading, list);
+            container.appendChild(section);
+        });
+
+        const hint = document.createElement('p');
+        hint.className = 'setting-hint';
+        hint.textContent = 'Change any of these under Settings → Keyboard Shortcuts.';
+        container.appendChild(hint);
+    }
+
+    function openHelp() {
+        renderHelp();
+        openModal(helpModal);
+    }
+
     // --- Bookmarks ---
     function toggleBookmark(item) {
         const existingIndex = appState.bookmarks.findIndex(b => b.path === item.path);
@@ -2533,18 +4734,28 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         appState.bookmarks.forEach(bookmark => {
+            // The live node has the current name and type; a missing one was deleted since it was saved
+            // (unless it is in a shard of a sharded scan that has not been fetched yet)
+            const node = findItemByPath(bookmark.path);
+            const isMissing = pathIndex.size > 0 && !node && !findPendingAncestor(bookmark.path);
+            const name = node ? node.name || 'Root' : bookmark.name;
+            const type = node ? node.type : bookmark.type;
+            const iconClass = type === 'directory' ? 'fas fa-folder' //
+                : node ? getFileIconClass(node.extension, node.file_type_group) //
+                : getFileIconClass(bookmark.path.split('.').pop());
+
             const itemEl = document.createElement('div');
-            itemEl.className = 'bookmark-item'; //
+            itemEl.className = `bookmark-item${isMissing ? ' missing' : ''}`; //
             itemEl.innerHTML = `
                 <div class="bookmark-info">
-                    <i class="bookmark-icon fas ${bookmark.type === 'directory' ? 'fa-folder' : getFileIconClass(bookmark.path.split('.').pop())}"></i>
+                    <i class="bookmark-icon ${iconClass}"></i>
                     <div class="bookmark-details">
-                        <div class="bookmark-name" title="${bookmark.name}">${bookmark.name}</div>
-                        <div class="bookmark-path" title="${bookmark.path}">${bookmark.path}</div>
+                        <div class="bookmark-name" title="${escapeHtml(name)}">${escapeHtml(name)}</div>
+                        <div class="bookmark-path" title="${escapeHtml(bookmark.path)}">${escapeHtml(bookmark.path || '/')}${isMissing ? ' (no longer in this scan)' : ''}</div>
                     </div>
                 </div>
                 <div class="bookmark-actions">
-                    <button class="bookmark-action go-to" title="Go to item"><i class="fas fa-arrow-right"></i></button>
+                    <button class="bookmark-action go-to" title="Go to item"${isMissing ? ' disabled' : ''}><i class="fas fa-arrow-right"></i></button>
                     <button class="bookmark-action remove" title="Remove bookmark"><i class="fas fa-times"></i></button>
                 </div>
             `; //
@@ -2586,8 +4797,14 @@ document.addEventListener('DOMContentLoaded', () => {
             theme: CONFIG.DEFAULT_THEME, //
             animationSpeed: 'normal', //
             zoomBehavior: 'smooth', //
+            layout: 'grid', // Name of a LayoutEngine layout
+            viewMode: 'spatial', // 'spatial' tiles, 'treemap' or 'sunburst'
+            sunburstDepth: 3, // Rings drawn by the sunburst view
+            searchMode: 'text', // How search words match: 'text', 'fuzzy' or 'regex'
             showMinimap: true, //
-            enableLazyLoading: true, // (Currently conceptual, not fully tied in)
+            semanticZoom: true, // Zoom into directory tiles to enter them
+            showAllRelatedLinks: false, // Draw related-file edges for every tile, not just the selected one
+            enableLazyLoading: true, // Stream the tree in and show it before it has fully loaded
             detailLevel: 'medium', // (Conceptual for LOD)
             enableVirtualization: true, //
             enablePerformanceMonitoring: false, // User can enable this
@@ -2601,10 +4818,10 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    function saveSettings() {
+    function saveSettings(quiet = false) {
         try {
             localStorage.setItem('spatialExplorerSettings', JSON.stringify(appState.settings));
-            showToast('Settings saved!', 'success');
+            if (!quiet) showToast('Settings saved!', 'success');
         } catch (e) {
             console.warn("Could not save settings to localStorage:", e);
             showToast("Could not save settings. LocalStorage might be full or disabled.", "warning");
@@ -2625,9 +4842,27 @@ document.addEventListener('DOMContentLoaded', () => {
         // Zoom Behavior (conceptual)
         if (zoomBehaviorSelect) zoomBehaviorSelect.value = settings.zoomBehavior;
 
+        // Layout and view mode: redraw the current directory when either changes
+        if (layoutSelect) layoutSelect.value = settings.layout;
+        updateViewModeButtons();
+        const layoutChanged = renderedLayout && renderedLayout !== settings.layout;
+        const viewModeChanged = spatialView.dataset.viewMode && spatialView.dataset.viewMode !== getActiveViewMode();
+        if ((layoutChanged || viewModeChanged) && appState.currentDirectoryData) {
+            renderDirectory(appState.currentDirectoryData);
+        }
+
+        updateSearchModeButtons();
+
         // Show Mini-map
         if (showMinimapCheckbox) showMinimapCheckbox.checked = settings.showMinimap;
-        miniMapElement.style.display = settings.showMinimap ? '' : 'none'; //
+        updateMiniMap();
+
+        // Semantic Zoom
+        if (semanticZoomCheckbox) semanticZoomCheckbox.checked = settings.semanticZoom;
+
+        // Related-file edges
+        if (showRelatedLinksCheckbox) showRelatedLinksCheckbox.checked = settings.showAllRelatedLinks;
+        updateRelatedLinks(appState.selectedItem ? appState.selectedItem.data : null);
 
         // Lazy Loading (conceptual)
         if (enableLazyLoadingCheckbox) enableLazyLoadingCheckbox.checked = settings.enableLazyLoading;
@@ -2635,6 +4870,10 @@ document.addEventListener('DOMContentLoaded', () => {
         // Detail Level (conceptual for Virtualizer LOD)
         if (detailLevelSelect) detailLevelSelect.value = settings.detailLevel;
         if (virtualizer) virtualizer.options.lodThresholds = getLodThresholds(settings.detailLevel); //
+        if (sunburstView) {
+            sunburstView.setLimits(getSunburstLimits(settings.detailLevel));
+            if (settings.sunburstDepth !== sunburstView.options.depth) sunburstView.setDepth(settings.sunburstDepth);
+        }
 
         // Enable Virtualization
         if (enableVirtualizationCheckbox) enableVirtualizationCheckbox.checked = settings.enableVirtualization;
@@ -2673,10 +4912,20 @@ document.addEventListener('DOMContentLoaded', () => {
             default: return [1.0, 0.5, 0.2]; // Default
         }
     }
+    function getSunburstLimits(detailLevelSetting) {
+        // Same idea as the LOD thresholds: fewer, bigger arcs at lower detail
+        switch(detailLevelSetting) {
+            case 'high': return { maxArcs: 4000, minArcLength: 1.5 };
+            case 'low': return { maxArcs: 800, minArcLength: 6 };
+            case 'medium':
+            default: return { maxArcs: 2000, minArcLength: 3 };
+        }
+    }
 
 
     // --- Toasts ---
-    function showToast(message, type = 'info', duration = CONFIG.TOAST_DURATION_MS) { //
+    // action is an optional { label, onClick } button that also dismisses the toast
+    function showToast(message, type = 'info', duration = CONFIG.TOAST_DURATION_MS, action = null) { //
         const toast = document.createElement('div');
         toast.className = `toast ${type}`; //
         const iconClass = {
@@ -2689,10 +4938,22 @@ document.addEventListener('DOMContentLoaded', () => {
         toast.innerHTML = `
             <div class="toast-icon"><i class="fas ${iconClass}"></i></div>
             <div class="toast-content">
-                <span class="toast-message">${message}</span>
+                <span class="toast-message"></span>
             </div>
             <button class="toast-close"><i class="fas fa-times"></i></button>
         `; //
+        toast.querySelector('.toast-message').textContent = message; // Messages carry paths and error text; never markup
+
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'toast-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                action.onClick();
+                toast.querySelector('.toast-close').click();
+            });
+            toast.querySelector('.toast-content').appendChild(actionBtn);
+        }
 
         toast.querySelector('.toast-close').addEventListener('click', () => {
             toast.classList.add('exiting'); //
@@ -2700,6 +4961,7 @@ document.addEventListener('DOMContentLoaded', () => {
         });
 
         toastContainer.appendChild(toast);
+        announce(toast.querySelector('.toast-message').textContent, type === 'error');
 
         setTimeout(() => {
             toast.classList.add('exiting'); //
@@ -2708,6 +4970,14 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
 
+    // Read a message to screen reader users; urgent ones interrupt what is being read
+    function announce(message, urgent = false) {
+        const region = urgent ? liveRegionAlert : liveRegion;
+        if (!region) return;
+        region.textContent = '';
+        setTimeout(() => { region.textContent = message; }, CONFIG.ANNOUNCE_DELAY_MS);
+    }
+
     // --- Event Listeners Setup ---
     function setupEventListeners() {
         // Header Controls
@@ -2718,14 +4988,39 @@ document.addEventListener('DOMContentLoaded', () => {
             searchInput.parentNode.classList.remove('has-value'); //
             searchInput.focus();
         });
-        zoomInBtn.addEventListener('click', () => applyZoom(appState.zoomLevel + CONFIG.ZOOM_STEP)); //
-        zoomOutBtn.addEventListener('click', () => applyZoom(appState.zoomLevel - CONFIG.ZOOM_STEP)); //
+        zoomInBtn.addEventListener('click', () => zoomAt(appState.zoomLevel + CONFIG.ZOOM_STEP)); //
+        zoomOutBtn.addEventListener('click', () => zoomAt(appState.zoomLevel - CONFIG.ZOOM_STEP)); //
         resetViewBtn.addEventListener('click', resetZoomAndPan); //
+        viewModeButtons.forEach(button => {
+            button.addEventListener('click', () => setViewMode(button.dataset.viewMode));
+        });
+        searchModeButtons.forEach(button => {
+            button.addEventListener('click', () => setSearchMode(button.dataset.searchMode));
+        });
         themeToggleBtn.addEventListener('click', toggleTheme); //
 
         // Context Panel
         if(contextPanelCloseBtn) contextPanelCloseBtn.addEventListener('click', hideContextPanel); //
 
+        // Mini-map: click to jump, drag to pan
+        miniMapElement.addEventListener('pointerdown', (event) => {
+            if (event.button !== 0 || !miniMapState.projection) return;
+            event.preventDefault();
+            miniMapState.dragging = true;
+            miniMapElement.setPointerCapture(event.pointerId);
+            miniMapElement.classList.add('dragging');
+            centerViewOnMiniMapPoint(event);
+        });
+        miniMapElement.addEventListener('pointermove', (event) => {
+            if (miniMapState.dragging) centerViewOnMiniMapPoint(event);
+        });
+        const endMiniMapDrag = () => {
+            miniMapState.dragging = false;
+            miniMapElement.classList.remove('dragging');
+        };
+        miniMapElement.addEventListener('pointerup', endMiniMapDrag);
+        miniMapElement.addEventListener('pointercancel', endMiniMapDrag);
+
         // Mouse wheel zoom on spatial view
         spatialView.addEventListener('wheel', (event) => { //
             if (event.ctrlKey) { // Require Ctrl key for zooming with wheel, common UX
@@ -2736,13 +5031,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 const mouseX = event.clientX - rect.left;
                 const mouseY = event.clientY - rect.top;
 
-                const newZoom = appState.zoomLevel * zoomFactor;
-
-                // Calculate pan offset to keep point under cursor fixed
-                appState.panOffset.x = mouseX - (mouseX - appState.panOffset.x) * (newZoom / appState.zoomLevel);
-                appState.panOffset.y = mouseY - (mouseY - appState.panOffset.y) * (newZoom / appState.zoomLevel);
-
-                applyZoom(newZoom);
+                // Keep the point under the cursor fixed; may enter or leave a directory
+                zoomAt(appState.zoomLevel * zoomFactor, { x: mouseX, y: mouseY });
             } else {
                  // Allow default scroll or implement panning without Ctrl if desired
                  // For now, normal scroll behavior if Ctrl not pressed
@@ -2777,6 +5067,20 @@ document.addEventListener('DOMContentLoaded', () => {
                 spatialView.classList.remove('grabbing');
             }
         });
+        // Touch: pinch, pan, double-tap and long-press (see Touch Gestures)
+        // Moves and lifts are followed on the document: the touched tile may be recycled mid-gesture
+        spatialView.addEventListener('pointerdown', handleTouchDown);
+        document.addEventListener('pointermove', handleTouchMove);
+        document.addEventListener('pointerup', handleTouchUp);
+        document.addEventListener('pointercancel', handleTouchUp);
+        ['click', 'dblclick', 'contextmenu'].forEach(type => {
+            spatialView.addEventListener(type, swallowGuardedClick, true); // Capture, ahead of the tiles' own handlers
+        });
+
+        // Rubber-band selection on empty space
+        spatialView.addEventListener('mousedown', startLasso);
+        document.addEventListener('mousemove', updateLasso);
+        document.addEventListener('mouseup', endLasso);
          // Prevent context menu on spatial view drag/middle click
         spatialView.addEventListener('contextmenu', (event) => { //
             if (appState.isDragging || event.button === 1) {
@@ -2786,9 +5090,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
         // Modal Openers
-        document.getElementById('show-settings')?.addEventListener('click', (e) => { e.preventDefault(); openModal(settingsModal); }); //
+        document.getElementById('show-settings')?.addEventListener('click', (e) => { e.preventDefault(); openSettings(); }); //
         document.getElementById('show-bookmarks')?.addEventListener('click', (e) => { e.preventDefault(); openModal(bookmarksModal); renderBookmarks(); }); //
-        document.getElementById('show-help')?.addEventListener('click', (e) => { e.preventDefault(); openModal(helpModal); }); //
+        document.getElementById('show-duplicates')?.addEventListener('click', (e) => { e.preventDefault(); openModal(duplicatesModal); renderDuplicates(); });
+        document.getElementById('show-help')?.addEventListener('click', (e) => { e.preventDefault(); openHelp(); }); //
 
         // Modal Closers
         allModals.forEach(modal => {
@@ -2801,14 +5106,45 @@ document.addEventListener('DOMContentLoaded', () => {
             });
         });
         document.addEventListener('keydown', closeModalOnEsc);
+        document.addEventListener('keydown', trapModalFocus);
+        if (contextMenu) contextMenu.addEventListener('keydown', handleContextMenuKey);
+
+        // Preview: step through sibling files of the same type without closing
+        previewPrevBtn.addEventListener('click', () => stepPreview(-1));
+        previewNextBtn.addEventListener('click', () => stepPreview(1));
+        document.addEventListener('keydown', (event) => {
+            if (!previewModal.classList.contains('active')) return;
+            if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return;
+            if (event.altKey || event.ctrlKey || event.metaKey) return;
+            // Leave arrows alone where they already mean something (text fields, media seeking,
+            // scrolling code and PDF pages sideways)
+            if (event.target.closest('input, select, textarea, audio, video, .code-viewer, .pdf-viewer')) return;
+            event.preventDefault();
+            stepPreview(event.key === 'ArrowLeft' ? -1 : 1);
+        });
 
 
+        // Scan comparison
+        document.getElementById('compare-scans')?.addEventListener('click', () => openModal(diffModal));
+        document.getElementById('diff-start')?.addEventListener('click', compareScans);
+        document.getElementById('diff-exit')?.addEventListener('click', exitDiff);
+        diffOnlyChangesCheckbox?.addEventListener('change', () => {
+            if (!diffState) return;
+            diffState.onlyChanges = diffOnlyChangesCheckbox.checked;
+            showDiffTree();
+        });
+
         // Settings Modal Actions
+        if (purgeTreeCacheBtn) purgeTreeCacheBtn.addEventListener('click', purgeTreeCache);
+        document.getElementById('reset-keybindings')?.addEventListener('click', resetKeyBindings);
         if (saveSettingsBtn) saveSettingsBtn.addEventListener('click', () => { //
             appState.settings.theme = themeSelect.value; //
             appState.settings.animationSpeed = animationSpeedSelect.value; //
             appState.settings.zoomBehavior = zoomBehaviorSelect.value; //
+            if (layoutSelect) appState.settings.layout = layoutSelect.value;
             appState.settings.showMinimap = showMinimapCheckbox.checked; //
+            if (semanticZoomCheckbox) appState.settings.semanticZoom = semanticZoomCheckbox.checked;
+            if (showRelatedLinksCheckbox) appState.settings.showAllRelatedLinks = showRelatedLinksCheckbox.checked;
             appState.settings.enableLazyLoading = enableLazyLoadingCheckbox.checked; //
             appState.settings.detailLevel = detailLevelSelect.value; //
             appState.settings.enableVirtualization = enableVirtualizationCheckbox.checked; //
@@ -2823,8 +5159,8 @@ document.addEventListener('DOMContentLoaded', () => {
             const defaultSettings = loadSettings(); // This effectively gets defaults if localstorage is cleared or item is missing
             // Or more explicitly reset to CONFIG values if available
             const explicitDefaults = {
-                theme: CONFIG.DEFAULT_THEME, animationSpeed: 'normal', zoomBehavior: 'smooth',
-                showMinimap: true, enableLazyLoading: true, detailLevel: 'medium', enableVirtualization: true,
+                theme: CONFIG.DEFAULT_THEME, animationSpeed: 'normal', zoomBehavior: 'smooth', layout: 'grid', viewMode: 'spatial', sunburstDepth: 3,
+                searchMode: 'text', showMinimap: true, semanticZoom: true, showAllRelatedLinks: false, enableLazyLoading: true, detailLevel: 'medium', enableVirtualization: true,
                 enablePerformanceMonitoring: false
             };
             applySettings(explicitDefaults); // Apply the fresh defaults
@@ -2833,7 +5169,10 @@ document.addEventListener('DOMContentLoaded', () => {
             if (themeSelect) themeSelect.value = appState.settings.theme;
             if (animationSpeedSelect) animationSpeedSelect.value = appState.settings.animationSpeed;
             if (zoomBehaviorSelect) zoomBehaviorSelect.value = appState.settings.zoomBehavior;
+            if (layoutSelect) layoutSelect.value = appState.settings.layout;
             if (showMinimapCheckbox) showMinimapCheckbox.checked = appState.settings.showMinimap;
+            if (semanticZoomCheckbox) semanticZoomCheckbox.checked = appState.settings.semanticZoom;
+            if (showRelatedLinksCheckbox) showRelatedLinksCheckbox.checked = appState.settings.showAllRelatedLinks;
             if (enableLazyLoadingCheckbox) enableLazyLoadingCheckbox.checked = appState.settings.enableLazyLoading;
             if (detailLevelSelect) detailLevelSelect.value = appState.settings.detailLevel;
             if (enableVirtualizationCheckbox) enableVirtualizationCheckbox.checked = appState.settings.enableVirtualization;
@@ -2842,52 +5181,26 @@ document.addEventListener('DOMContentLoaded', () => {
         });
 
 
-        // Keyboard shortcuts
+        // Command palette button; its shortcut is in the shortcut map like every other
+        document.getElementById('open-command-palette')?.addEventListener('click', () => openCommandPalette());
+
+        // Keyboard shortcuts (see Keyboard Shortcuts), then moving between tiles
         document.addEventListener('keydown', (event) => {
+            if (handleShortcutKey(event)) return;
             if (event.target === searchInput || event.target.closest('.modal')) return; // Ignore if typing in search or modal
-
-            // Navigation
-            if (event.key === 'Backspace' && appState.currentPath !== '') { //
-                event.preventDefault();
-                const parentPath = appState.currentPath.substring(0, appState.currentPath.lastIndexOf('/'));
-                navigateToPath(parentPath, true);
-            }
-            if (event.altKey && event.key === 'ArrowLeft') { //
-                event.preventDefault();
-                navigateHistory(-1);
-            }
-            if (event.altKey && event.key === 'ArrowRight') { //
-                event.preventDefault();
-                navigateHistory(1);
-            }
-
-            // Zoom
-            if (event.ctrlKey && (event.key === '+' || event.key === '=')) { //
-                event.preventDefault();
-                applyZoom(appState.zoomLevel + CONFIG.ZOOM_STEP);
-            }
-            if (event.ctrlKey && event.key === '-') { //
-                event.preventDefault();
-                applyZoom(appState.zoomLevel - CONFIG.ZOOM_STEP);
-            }
-            if (event.ctrlKey && event.key === '0') { //
-                event.preventDefault();
-                resetZoomAndPan();
-            }
-            // Search focus
-            if (event.ctrlKey && event.key === 'f') { //
-                event.preventDefault();
-                searchInput.focus();
-                searchInput.select();
-            }
+            handleNavigationKey(event);
         });
 
+        // Browser back/forward and edited links (see URL Routing)
+        window.addEventListener('popstate', handlePopState);
+
         // Window resize
         window.addEventListener('resize', perf ? perf.debounce(() => { //
             if(virtualizer) virtualizer.updateRects(); //
-            updateMiniMap(); // Minimap might depend on viewport size
-            // If not using virtualizer, might need to re-layout/re-render items
-            if (!virtualizer || !appState.settings.enableVirtualization) {
+            updateMiniMap(true); // Minimap might depend on viewport size
+            // If not using virtualizer, might need to re-layout/re-render items.
+            // The grid also wraps to the view width, so it needs a fresh layout too.
+            if (!virtualizer || !appState.settings.enableVirtualization || renderedLayout === 'grid') {
                  const currentDirData = findItemByPath(appState.currentPath);
                  renderDirectory(currentDirData);
             }
@@ -2897,8 +5210,8 @@ document.addEventListener('DOMContentLoaded', () => {
         // Listener for item clicks from VirtualizedRenderer
         if (virtualizer) {
             spatialView.addEventListener('item:click', (e) => { //
-                const { item, element } = e.detail;
-                handleItemClick(item, element);
+                const { item, element, originalEvent } = e.detail;
+                handleItemClick(item, element, originalEvent);
             });
             spatialView.addEventListener('item:dblclick', (e) => { //
                 handleItemDblClick(e.detail.item);
@@ -2915,12 +5228,334 @@ document.addEventListener('DOMContentLoaded', () => {
     function navigateHistory(direction) { // direction is -1 for back, 1 for forward
         const newIndex = appState.historyIndex + direction;
         if (newIndex >= 0 && newIndex < appState.history.length) {
+            if (urlRouting) {
+                window.history.go(direction); // handlePopState moves appState.historyIndex along
+                return;
+            }
             appState.historyIndex = newIndex;
             // Navigate without adding to history again
             navigateToPath(appState.history[appState.historyIndex], false);
         }
     }
 
+    // --- URL Routing ---
+    // The hash mirrors the directory, selection, zoom, pan and search (see url-state.js)
+    function getCurrentRoute() {
+        return {
+            path: appState.currentPath,
+            selected: appState.selectedItem ? appState.selectedItem.data.path : null,
+            zoom: appState.zoomLevel,
+            pan: appState.panOffset,
+            query: searchInput.value.trim(),
+            mode: appState.settings.searchMode,
+        };
+    }
+
+    function writeRoute(push = false) {
+        if (!urlRouting) return;
+        clearTimeout(routeUpdateTimer);
+        routeUpdateTimer = null;
+        if (!urlState.write(getCurrentRoute(), { push, historyIndex: appState.historyIndex })) {
+            urlRouting = false; // History is off limits here (some file:// pages); keep in-app history only
+        }
+    }
+
+    // Zooming, panning, selecting and typing rewrite the current entry instead of adding ones
+    function scheduleRouteUpdate() {
+        if (!urlRouting || routeUpdateTimer !== null) return;
+        routeUpdateTimer = setTimeout(() => writeRoute(false), CONFIG.ROUTE_UPDATE_MS);
+    }
+
+    // Go where a route points: directory (fetching shards on the way), view, selection, then search
+    async function applyRoute(route) {
+        if (findPendingAncestor(route.path)) {
+            try {
+                await loadShardsForPath(route.path);
+            } catch (error) {
+                console.warn('Could not load the linked directory:', error);
+            }
+        }
+        // A hand-edited or stale link may name a path this scan lacks; stay where we are
+        if (route.path !== appState.currentPath && findItemByPath(route.path)) {
+            navigateToPath(route.path, false, true);
+        } else if (route.path !== appState.currentPath) {
+            console.warn('Linked path is not in this scan:', route.path);
+        }
+
+        appState.zoomLevel = Math.max(CONFIG.MIN_ZOOM, Math.min(route.zoom || CONFIG.INITIAL_ZOOM, CONFIG.MAX_ZOOM));
+        appState.panOffset = route.pan ? { x: route.pan.x, y: route.pan.y } : { x: 0, y: 0 };
+        updateTransform();
+
+        const selected = route.selected ? findItemByPath(route.selected) : null;
+        if (selected) {
+            selectItem(selected);
+        } else if (appState.selectedItem) {
+            hideContextPanel();
+        }
+
+        const modeChanged = route.mode && route.mode !== appState.settings.searchMode && searchQuery.modes.includes(route.mode);
+        if (modeChanged) {
+            appState.settings.searchMode = route.mode; // For this link only; the saved setting stays
+            updateSearchModeButtons();
+        }
+        if (modeChanged || route.query !== searchInput.value.trim()) {
+            searchInput.value = route.query;
+            performSearch(route.query);
+        }
+    }
+
+    // Select an item that may not have an element on screen yet
+    function selectItem(item, element = getItemElement(item.path)) {
+        setFocusedItem(item, element);
+        setSelection([item]);
+        showItemDetails(item);
+        scheduleRouteUpdate();
+    }
+
+    // Browser back/forward, or a hash edited in the address bar
+    async function handlePopState(event) {
+        if (!urlRouting) return;
+        const route = urlState.read();
+        const index = event.state ? event.state.historyIndex : undefined;
+        if (typeof index === 'number' && (index === -1 || appState.history[index] === route.path)) {
+            appState.historyIndex = index;
+        } else {
+            // Not an entry of this session: continue the in-app history from it
+            appState.history = appState.history.slice(0, appState.historyIndex + 1);
+            appState.history.push(route.path);
+            appState.historyIndex = appState.history.length - 1;
+        }
+
+        urlRouting = false; // Restoring must not rewrite the entry half-way
+        try {
+            await applyRoute(route);
+        } finally {
+            urlRouting = true;
+            writeRoute(false);
+        }
+    }
+
+    // --- Scan Comparison ---
+    // Two scans merge into one tree whose nodes carry a diff (see tree-diff.js)
+    async function compareScans() {
+        const oldFile = diffOldInput.files[0];
+        const newFile = diffNewInput.files[0];
+        if (!oldFile && !newFile) {
+            showToast('Choose at least one scan to compare.', 'warning');
+            return;
+        }
+        if ((!oldFile || !newFile) && shardLoader) {
+            showToast('The loaded scan is sharded and only partly loaded, so choose both files.', 'warning');
+            return;
+        }
+
+        try {
+            const loadedTree = diffState ? diffState.savedData : appState.currentData;
+            const [oldTree, newTree] = await Promise.all([
+                oldFile ? readScanFile(oldFile) : loadedTree,
+                newFile ? readScanFile(newFile) : loadedTree,
+            ]);
+            closeModal(diffModal);
+            startDiff(oldTree, newTree, {
+                old: oldFile ? oldFile.name : 'loaded scan',
+                new: newFile ? newFile.name : 'loaded scan',
+            });
+        } catch (error) {
+            console.error('Scan comparison failed:', error);
+            showToast(`Could not compare the scans: ${error.message}`, 'error');
+        }
+    }
+
+    async function readScanFile(file) {
+        const tree = JSON.parse(await file.text());
+        if (!tree || tree.type !== 'directory') {
+            throw new Error(`${file.name} is not a directory scan from smart_tree.py.`);
+        }
+        return tree;
+    }
+
+    function startDiff(oldTree, newTree, labels) {
+        const result = window.TreeDiff.compare(oldTree, newTree);
+        diffState = {
+            savedData: diffState ? diffState.savedData : appState.currentData,
+            result,
+            labels,
+            onlyChanges: diffOnlyChangesCheckbox.checked,
+        };
+        updateDiffBar();
+        showDiffTree();
+    }
+
+    function showDiffTree() {
+        showTree(diffState.onlyChanges ? diffState.result.changesOnly : diffState.result.root);
+    }
+
+    function exitDiff() {
+        const savedData = diffState.savedData;
+        diffState = null;
+        updateDiffBar();
+        showTree(savedData);
+    }
+
+    function updateDiffBar() {
+        diffBar.classList.toggle('hidden', !diffState); //
+        document.body.classList.toggle('diff-mode', Boolean(diffState));
+        if (!diffState) return;
+
+        diffBarLabels.textContent = `${diffState.labels.old} → ${diffState.labels.new}`;
+        const { counts } = diffState.result;
+        diffLegend.innerHTML = ['added', 'removed', 'modified', 'moved']
+            .map(status => `<span class="diff-chip" data-diff="${status}">${counts[status]} ${status}</span>`)
+            .join('');
+        diffOnlyChangesCheckbox.checked = diffState.onlyChanges;
+    }
+
+    // Size change and what changed below a directory, for the context panel
+    function describeDiff(item) {
+        const { diff } = item;
+        const lines = [['Change', {
+            added: 'Added', removed: 'Removed', modified: 'Modified', moved: 'Moved',
+            changed: 'Contents changed', unchanged: 'Unchanged',
+        }[diff.status] || diff.status]];
+
+        if (diff.from !== undefined) lines.push(['Moved From', diff.from || '/']);
+        if (diff.to !== undefined) lines.push(['Moved To', diff.to || '/']);
+        if (diff.sizeDelta) {
+            lines.push(['Size Change', `${diff.sizeDelta > 0 ? '+' : '−'}${formatBytes(Math.abs(diff.sizeDelta))}`]);
+        }
+        if (diff.previous) {
+            lines.push(['Previous Size', formatBytes(diff.previous.size || 0)]);
+            if (diff.previous.modified) lines.push(['Previously Modified', new Date(diff.previous.modified * 1000).toLocaleString()]);
+        }
+        if (item.type === 'directory' && diff.status !== 'unchanged') {
+            const parts = ['added', 'removed', 'modified', 'moved']
+                .filter(status => diff.counts[status] > 0)
+                .map(status => `${diff.counts[status]} ${status}`);
+            if (parts.length > 0) lines.push(['Changes Below', parts.join(', ')]);
+        }
+        return lines;
+    }
+
+    // --- Duplicates ---
+    // Files with the same size and scanner hash (see duplicate-finder.js)
+    function getDuplicates() {
+        const root = appState.currentData;
+        // Streamed nodes and fetched shards grow the index, which makes the result stale
+        if (!duplicates || duplicates.root !== root || duplicates.size !== pathIndex.size) {
+            const groups = root && duplicateFinder ? duplicateFinder.find(root, { include: isPresentFile }) : [];
+            duplicates = { root, size: pathIndex.size, groups, byPath: duplicateFinder ? duplicateFinder.indexByPath(groups) : new Map() };
+        }
+        return duplicates;
+    }
+
+    // Files a comparison shows as removed or moved away are not on disk any more
+    function isPresentFile(file) {
+        return !file.diff || (file.diff.status !== 'removed' && file.diff.to === undefined);
+    }
+
+    function getDuplicateGroup(item) {
+        if (!item || item.type !== 'file' || !item.hash) return null;
+        return getDuplicates().byPath.get(item.path) || null;
+    }
+
+    // Highlight the other copies of the selected file wherever they are on screen
+    function markDuplicates(item, group) {
+        const paths = new Set(group ? group.files.map(file => file.path).filter(path => path !== item.path) : []);
+        if (virtualizer && appState.settings.enableVirtualization) {
+            virtualizer.setMarkedItems(paths);
+        } else {
+            Array.from(directoryViewport.children).forEach(child => {
+                child.classList.toggle('marked', paths.has(child.dataset.path));
+            });
+        }
+    }
+
+    function renderDuplicates() {
+        const container = document.getElementById('duplicates-container');
+        container.innerHTML = '';
+        const { groups } = getDuplicates();
+        if (groups.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-clone"></i>
+                    <p>No duplicate files found. Files of 1 KB or less are not hashed by the scanner, so they are not compared.</p>
+                </div>`;
+            return;
+        }
+
+        const summary = duplicateFinder.summarize(groups);
+        const summaryEl = document.createElement('p');
+        summaryEl.className = 'duplicates-summary';
+        summaryEl.innerHTML = `<strong>${summary.groups}</strong> set${summary.groups === 1 ? '' : 's'} of duplicates, ` +
+            `<strong>${formatBytes(summary.wasted)}</strong> wasted. Copies share a size and the hash of their first 8 KB.` +
+            (shardLoader ? ' Only opened directories of this sharded scan are included.' : '');
+        container.appendChild(summaryEl);
+
+        groups.slice(0, CONFIG.DUPLICATE_GROUP_LIMIT).forEach(group => {
+            const first = group.files[0];
+            const groupEl = document.createElement('div');
+            groupEl.className = 'duplicate-group';
+            groupEl.innerHTML = `
+                <div class="duplicate-group-header">
+                    <i class="${getFileIconClass(first.extension, first.file_type_group)}"></i>
+                    <span class="duplicate-group-name" title="${escapeHtml(first.name)}">${escapeHtml(first.name)}</span>
+                    <span class="duplicate-group-stats">${group.files.length} × ${formatBytes(group.size)}, <strong>${formatBytes(group.wasted)}</strong> wasted</span>
+                </div>`;
+            groupEl.appendChild(createPathList(group.files.map(file => file.path), path => {
+                closeModal(duplicatesModal);
+                navigateToPath(path, true);
+            }));
+            container.appendChild(groupEl);
+        });
+
+        if (groups.length > CONFIG.DUPLICATE_GROUP_LIMIT) {
+            const more = document.createElement('p');
+            more.className = 'duplicates-summary';
+            more.textContent = `${groups.length - CONFIG.DUPLICATE_GROUP_LIMIT} smaller sets are not listed.`;
+            container.appendChild(more);
+        }
+    }
+
+    // --- Related Files ---
+    // Edges between files the scanner found related (same stem, numbered sequences)
+    function updateRelatedLinks(selected) {
+        if (!virtualizer) return;
+        const links = [];
+        if (appState.settings.enableVirtualization && getActiveViewMode() === 'spatial' && !renderedSearchQuery) {
+            const seen = new Set();
+            const addLinks = (item, active) => {
+                (item.related_files || []).forEach(path => {
+                    const key = item.path < path ? `${item.path}\n${path}` : `${path}\n${item.path}`;
+                    if (seen.has(key)) return;
+                    seen.add(key);
+                    links.push({ from: item.path, to: path, active });
+                });
+            };
+            // The selection's edges first, so they win over the same pair drawn faintly
+            if (selected && selected.type === 'file') addLinks(selected, true);
+            if (appState.settings.showAllRelatedLinks && appState.currentDirectoryData) {
+                (appState.currentDirectoryData.children || []).forEach(item => addLinks(item, false));
+            }
+        }
+        virtualizer.setLinks(links);
+    }
+
+    // Select a related file and bring it to the middle of the view, opening its directory first
+    function focusRelatedFile(path) {
+        const item = findItemByPath(path);
+        if (!item) {
+            showToast(`${path} is not in this scan.`, 'warning');
+            return;
+        }
+        const parentPath = getParentPath(path);
+        if (appState.currentPath !== parentPath) navigateToPath(parentPath, true);
+
+        if (virtualizer && appState.settings.enableVirtualization && getActiveViewMode() === 'spatial') {
+            centerOnItem(path);
+        }
+        selectItem(item);
+    }
+
     // --- Performance ---
     function updatePerformanceStats(stats) { //
         // This is where you would display FPS or other metrics if you have a UI element for it.
@@ -2934,6 +5569,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
     // --- Utility Functions ---
+    function getItemSize(item) {
+        return item.size || (item.metadata ? item.metadata.size || 0 : 0);
+    }
+
     function formatBytes(bytes, decimals = 2) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
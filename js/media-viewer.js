@@ -0,0 +1,353 @@
+/**
+ * js/media-viewer.js - Audio, Video and PDF Viewers for File Previews
+ *
+ * This module renders media files inside the preview modal:
+ * - MediaViewer wraps native <audio>/<video> players with seek and playback rate controls
+ * - PdfViewer renders PDFs one page at a time with pdf.js, falling back to the
+ *   browser's built-in viewer when pdf.js cannot be loaded
+ */
+
+// pdf.js 3.11.174 (pdfjs-dist build/) ships in js/vendor, so previews never reach out to another host.
+// It is only loaded the first time a PDF is previewed.
+const PDFJS_URL = 'js/vendor/pdfjs/pdf.min.js';
+const PDFJS_WORKER_URL = 'js/vendor/pdfjs/pdf.worker.min.js';
+
+class MediaViewer {
+    /**
+     * Create a new media player
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} options - Configuration options
+     */
+    constructor(container, options = {}) {
+        this.options = {
+            url: '',                                  // Media source URL
+            kind: 'video',                            // 'audio' or 'video'
+            name: '',                                 // File name, used for labels
+            mimeType: '',                             // Optional MIME type hint
+            playbackRates: [0.5, 0.75, 1, 1.25, 1.5, 2],
+            skipSeconds: 10,                          // Seek step for the skip buttons
+            onError: null,                            // Called with an Error if playback fails
+            ...options
+        };
+
+        this.container = container;
+        this.buildDom();
+    }
+
+    /**
+     * Build the player and its controls
+     */
+    buildDom() {
+        const { kind, url, name, mimeType, playbackRates, skipSeconds } = this.options;
+
+        this.root = document.createElement('div');
+        this.root.className = `media-viewer ${kind}`;
+
+        this.media = document.createElement(kind === 'audio' ? 'audio' : 'video');
+        this.media.className = 'preview-media';
+        this.media.controls = true;
+        this.media.preload = 'metadata';
+        this.media.setAttribute('aria-label', name);
+
+        const source = document.createElement('source');
+        source.src = url;
+        if (mimeType) source.type = mimeType;
+        this.media.appendChild(source);
+
+        // Errors on <source> do not reach the media element's error handler
+        this.handleError = () => {
+            if (this.options.onError) {
+                this.options.onError(new Error('The browser could not play this file.'));
+            }
+        };
+        source.addEventListener('error', this.handleError);
+        this.media.addEventListener('error', this.handleError);
+
+        if (kind === 'audio') {
+            const art = document.createElement('div');
+            art.className = 'media-art';
+            art.innerHTML = '<i class="fas fa-music"></i>';
+            this.root.appendChild(art);
+        }
+        this.root.appendChild(this.media);
+
+        // Extra controls: skip buttons and playback rate
+        const controls = document.createElement('div');
+        controls.className = 'media-controls';
+        controls.innerHTML = `
+            <button class="media-skip" data-skip="-${skipSeconds}" title="Back ${skipSeconds} seconds"><i class="fas fa-undo"></i> ${skipSeconds}s</button>
+            <button class="media-skip" data-skip="${skipSeconds}" title="Forward ${skipSeconds} seconds">${skipSeconds}s <i class="fas fa-redo"></i></button>
+            <label class="media-rate">
+                Speed
+                <select>
+                    ${playbackRates.map(rate => `<option value="${rate}"${rate === 1 ? ' selected' : ''}>${rate}×</option>`).join('')}
+                </select>
+            </label>
+        `;
+        controls.querySelectorAll('.media-skip').forEach(button => {
+            button.addEventListener('click', () => this.seekBy(parseFloat(button.dataset.skip)));
+        });
+        this.rateSelect = controls.querySelector('select');
+        this.rateSelect.addEventListener('change', () => {
+            this.media.playbackRate = parseFloat(this.rateSelect.value);
+        });
+        this.root.appendChild(controls);
+
+        this.container.appendChild(this.root);
+    }
+
+    /**
+     * Seek relative to the current position
+     * @param {number} seconds - Seconds to move (negative to go back)
+     */
+    seekBy(seconds) {
+        const duration = isFinite(this.media.duration) ? this.media.duration : Infinity;
+        this.media.currentTime = Math.max(0, Math.min(this.media.currentTime + seconds, duration));
+    }
+
+    /**
+     * Focus the player so its native keyboard controls work
+     */
+    focus() {
+        this.media.focus({ preventScroll: true });
+    }
+
+    /**
+     * Stop playback and clean up
+     */
+    dispose() {
+        this.media.removeEventListener('error', this.handleError);
+        this.media.pause();
+
+        // Dropping the source stops any in-flight download
+        this.media.removeAttribute('src');
+        this.media.querySelectorAll('source').forEach(source => source.remove());
+        this.media.load();
+
+        if (this.root.parentNode) {
+            this.root.parentNode.removeChild(this.root);
+        }
+    }
+}
+
+class PdfViewer {
+    /**
+     * Create a new paged PDF viewer
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} options - Configuration options
+     */
+    constructor(container, options = {}) {
+        this.options = {
+            url: '',            // PDF URL
+            name: '',           // File name, used for labels
+            onError: null,      // Called with an Error if the document cannot be shown
+            ...options
+        };
+
+        this.container = container;
+        this.pdf = null;
+        this.pageNumber = 1;
+        this.renderTask = null;
+        this.renderSequence = 0; // Bumped by every goToPage; an older call that sees a newer number stops
+        this.disposed = false;
+
+        this.buildDom();
+        this.load();
+    }
+
+    /**
+     * Load pdf.js once per page session
+     * @returns {Promise<Object>} The pdfjsLib namespace
+     */
+    static loadLibrary() {
+        if (!PdfViewer.libraryPromise) {
+            PdfViewer.libraryPromise = new Promise((resolve, reject) => {
+                if (window.pdfjsLib) {
+                    resolve(window.pdfjsLib);
+                    return;
+                }
+
+                const script = document.createElement('script');
+                script.src = PDFJS_URL;
+                script.onload = () => {
+                    if (!window.pdfjsLib) {
+                        reject(new Error('pdf.js did not initialize'));
+                        return;
+                    }
+                    window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+                    resolve(window.pdfjsLib);
+                };
+                script.onerror = () => reject(new Error('pdf.js could not be downloaded'));
+                document.head.appendChild(script);
+            }).catch(error => {
+                // Allow a later preview to try again
+                PdfViewer.libraryPromise = null;
+                throw error;
+            });
+        }
+
+        return PdfViewer.libraryPromise;
+    }
+
+    /**
+     * Build the page canvas and paging controls
+     */
+    buildDom() {
+        this.root = document.createElement('div');
+        this.root.className = 'pdf-viewer';
+        this.root.tabIndex = 0;
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'pdf-toolbar';
+        toolbar.innerHTML = `
+            <button class="pdf-prev" title="Previous page (Page Up)"><i class="fas fa-chevron-left"></i></button>
+            <span class="pdf-page-label">Page <input type="number" class="pdf-page-input" min="1" value="1"> of <span class="pdf-page-count">…</span></span>
+            <button class="pdf-next" title="Next page (Page Down)"><i class="fas fa-chevron-right"></i></button>
+        `;
+        this.root.appendChild(toolbar);
+
+        this.pageInput = toolbar.querySelector('.pdf-page-input');
+        this.pageCount = toolbar.querySelector('.pdf-page-count');
+        this.prevButton = toolbar.querySelector('.pdf-prev');
+        this.nextButton = toolbar.querySelector('.pdf-next');
+
+        this.stage = document.createElement('div');
+        this.stage.className = 'pdf-stage';
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'pdf-page';
+        this.canvas.setAttribute('aria-label', this.options.name);
+        this.stage.appendChild(this.canvas);
+        this.root.appendChild(this.stage);
+
+        this.prevButton.addEventListener('click', () => this.goToPage(this.pageNumber - 1));
+        this.nextButton.addEventListener('click', () => this.goToPage(this.pageNumber + 1));
+        this.pageInput.addEventListener('change', () => this.goToPage(parseInt(this.pageInput.value, 10) || 1));
+        this.root.addEventListener('keydown', (e) => {
+            if (e.key === 'PageDown') {
+                e.preventDefault();
+                this.goToPage(this.pageNumber + 1);
+            } else if (e.key === 'PageUp') {
+                e.preventDefault();
+                this.goToPage(this.pageNumber - 1);
+            }
+        });
+
+        this.container.appendChild(this.root);
+    }
+
+    /**
+     * Load the document, falling back to the native viewer without pdf.js
+     */
+    async load() {
+        let pdfjsLib;
+        try {
+            pdfjsLib = await PdfViewer.loadLibrary();
+        } catch (error) {
+            console.warn('PdfViewer: falling back to the browser viewer:', error);
+            if (!this.disposed) this.showNativeViewer();
+            return;
+        }
+
+        try {
+            this.loadingTask = pdfjsLib.getDocument(this.options.url);
+            this.pdf = await this.loadingTask.promise;
+        } catch (error) {
+            if (this.disposed) return;
+            if (this.options.onError) {
+                this.options.onError(new Error(error.name === 'MissingPDFException'
+                    ? 'The file could not be found on the server.'
+                    : `The PDF could not be opened (${error.message}).`));
+            }
+            return;
+        }
+
+        if (this.disposed) {
+            this.pdf.destroy();
+            return;
+        }
+
+        this.pageCount.textContent = this.pdf.numPages;
+        this.pageInput.max = this.pdf.numPages;
+        this.goToPage(1);
+    }
+
+    /**
+     * Replace the canvas with the browser's own PDF viewer
+     */
+    showNativeViewer() {
+        this.root.innerHTML = '';
+        const frame = document.createElement('iframe');
+        frame.className = 'pdf-frame';
+        frame.src = this.options.url;
+        frame.title = this.options.name;
+        this.root.appendChild(frame);
+    }
+
+    /**
+     * Render a page, fitting it to the stage width
+     * Errors are logged rather than thrown, so callers need not await it.
+     * @param {number} pageNumber - 1-based page number
+     */
+    async goToPage(pageNumber) {
+        if (!this.pdf) return;
+
+        this.pageNumber = Math.max(1, Math.min(pageNumber, this.pdf.numPages));
+        this.pageInput.value = this.pageNumber;
+        this.prevButton.disabled = this.pageNumber <= 1;
+        this.nextButton.disabled = this.pageNumber >= this.pdf.numPages;
+
+        // Only one render may draw to the canvas at a time: the newest call
+        const sequence = ++this.renderSequence;
+        if (this.renderTask) {
+            this.renderTask.cancel();
+            this.renderTask = null;
+        }
+
+        try {
+            const page = await this.pdf.getPage(this.pageNumber);
+            // Another page was asked for while this one was fetched
+            if (this.disposed || sequence !== this.renderSequence) return;
+
+            const unscaled = page.getViewport({ scale: 1 });
+            const fitScale = (this.stage.clientWidth || unscaled.width) / unscaled.width;
+            const pixelRatio = window.devicePixelRatio || 1;
+            const viewport = page.getViewport({ scale: fitScale * pixelRatio });
+
+            this.canvas.width = viewport.width;
+            this.canvas.height = viewport.height;
+            this.canvas.style.width = `${viewport.width / pixelRatio}px`;
+            this.canvas.style.height = `${viewport.height / pixelRatio}px`;
+
+            this.renderTask = page.render({ canvasContext: this.canvas.getContext('2d'), viewport });
+            await this.renderTask.promise;
+            this.stage.scrollTop = 0;
+        } catch (error) {
+            if (this.disposed || sequence !== this.renderSequence || error.name === 'RenderingCancelledException') return;
+            console.error('PdfViewer: failed to render page', error);
+        }
+    }
+
+    /**
+     * Focus the viewer so its keyboard shortcuts work
+     */
+    focus() {
+        this.root.focus({ preventScroll: true });
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.disposed = true;
+        if (this.renderTask) this.renderTask.cancel();
+        if (this.loadingTask) this.loadingTask.destroy();
+        if (this.pdf) this.pdf.destroy();
+        if (this.root.parentNode) {
+            this.root.parentNode.removeChild(this.root);
+        }
+    }
+}
+
+// Export to window
+window.MediaViewer = MediaViewer;
+window.PdfViewer = PdfViewer;
@@ -0,0 +1,120 @@
+/**
+ * js/path-index.js - Path Lookup Index for the Directory Tree
+ *
+ * This module maps every path in the loaded tree to its node and parent:
+ * - Built once when the tree loads, so lookups no longer walk the whole tree
+ * - Subtrees can be added or removed as data arrives or changes
+ * - Parent pointers are kept beside the tree rather than on the nodes,
+ *   so the tree stays plain JSON that can be cloned and cached
+ */
+
+class PathIndex {
+    /**
+     * Create an empty index
+     */
+    constructor() {
+        this.entries = new Map(); // path -> { node, parent }
+    }
+
+    /**
+     * Index a whole tree, replacing anything indexed before
+     * @param {Object} root - Root directory node
+     */
+    build(root) {
+        this.entries.clear();
+        if (root) this.add(root, null);
+    }
+
+    /**
+     * Index a node and everything below it
+     * @param {Object} node - Node to add
+     * @param {Object|null} parent - Its parent directory, or null for the root
+     */
+    add(node, parent) {
+        // Iterative so very deep trees cannot overflow the stack
+        const stack = [{ node, parent }];
+        while (stack.length > 0) {
+            const entry = stack.pop();
+            const path = entry.node.path || '';
+            this.entries.set(path, entry);
+
+            const children = entry.node.children;
+            if (entry.node.type === 'directory' && children) {
+                for (let i = children.length - 1; i >= 0; i--) {
+                    stack.push({ node: children[i], parent: entry.node });
+                }
+            }
+        }
+    }
+
+    /**
+     * Drop a node and everything below it from the index
+     * @param {Object} node - Node to remove
+     */
+    remove(node) {
+        const stack = [node];
+        while (stack.length > 0) {
+            const current = stack.pop();
+            this.entries.delete(current.path || '');
+            if (current.type === 'directory' && current.children) {
+                // One push per child: spreading a huge directory would exceed the argument limit
+                for (const child of current.children) stack.push(child);
+            }
+        }
+    }
+
+    /**
+     * Look up a node
+     * @param {string} path - Node path ('' for the root)
+     * @returns {Object|null} The node, or null if the path is not in the tree
+     */
+    get(path) {
+        const entry = this.entries.get(path || '');
+        return entry ? entry.node : null;
+    }
+
+    /**
+     * Look up a node's parent directory
+     * @param {string} path - Node path
+     * @returns {Object|null} The parent, or null for the root and unknown paths
+     */
+    getParent(path) {
+        const entry = this.entries.get(path || '');
+        return entry ? entry.parent : null;
+    }
+
+    /**
+     * Directories from the root down to a node's parent
+     * @param {string} path - Node path
+     * @returns {Array} Ancestor nodes, root first
+     */
+    getAncestors(path) {
+        const ancestors = [];
+        let parent = this.getParent(path);
+        while (parent) {
+            ancestors.unshift(parent);
+            parent = this.getParent(parent.path);
+        }
+        return ancestors;
+    }
+
+    /**
+     * Whether a path is in the tree
+     * @param {string} path - Node path
+     * @returns {boolean} True if indexed
+     */
+    has(path) {
+        return this.entries.has(path || '');
+    }
+
+    /**
+     * Number of indexed nodes
+     * @returns {number} Node count
+     */
+    get size() {
+        return this.entries.size;
+    }
+}
+
+// Export to window
+window.PathIndex = PathIndex;
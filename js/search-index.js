@@ -0,0 +1,260 @@
+/**
+ * js/search-index.js - Client for the Background Search Index
+ *
+ * This module owns the search worker (search-worker.js):
+ * - Sends the tree to be indexed once it is loaded
+ * - Starts searches and cancels the previous one, so only the latest query runs
+ * - Merges the results the worker streams back into a ranked, capped list
+ * - Replaces the worker when it stops answering, which a regular expression with
+ *   catastrophic backtracking can do inside a single slice where no cancel reaches it
+ *
+ * When workers are unavailable (for example when the page is opened from file://),
+ * isAvailable turns false and callers search on the main thread instead.
+ */
+
+class SearchIndex {
+    /**
+     * Start the search worker
+     * @param {Object} options - Configuration options
+     */
+    constructor(options = {}) {
+        this.options = {
+            workerUrl: 'js/search-worker.js',
+            resultLimit: 500,       // Best results kept per search
+            sliceSize: 5000,        // Records the worker scores between progress messages
+            onReady: null,          // Called with the record count once the tree is indexed
+            onError: null,          // Called with an Error if the worker fails
+            stallTimeout: 3000,     // ms a search or cancel may go unanswered before the worker is replaced
+            ...options
+        };
+
+        this.worker = null;
+        this.ready = false;
+        this.nextSearchId = 1;
+        this.activeSearch = null;
+        this.tree = null;             // Last tree indexed, to index again in a new worker
+        this.indexing = false;        // The worker is indexing, which is not timed
+        this.cancelPending = false;   // A cancel the worker has not confirmed yet
+        this.lastHeard = 0;           // When the worker last answered, or was handed work while idle
+        this.watchdog = null;         // Timer that replaces a worker that stopped answering
+
+        this.startWorker();
+    }
+
+    /**
+     * Create the worker; without worker support it stays null
+     */
+    startWorker() {
+        try {
+            this.worker = new Worker(this.options.workerUrl);
+        } catch (error) {
+            console.warn('SearchIndex: workers are unavailable, searching on the main thread:', error);
+            return;
+        }
+
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.handleFailure(new Error(event.message || 'The search worker failed to start.'));
+        };
+    }
+
+    /**
+     * Whether searches can run in the worker
+     * @returns {boolean} True while the worker is alive
+     */
+    get isAvailable() {
+        return this.worker !== null;
+    }
+
+    /**
+     * Index a tree, replacing any previous index
+     * @param {Object} tree - Root directory node
+     */
+    build(tree) {
+        if (!this.worker || !tree) return;
+        this.cancel();
+        this.tree = tree;
+        this.ready = false;
+        this.indexing = true;
+        this.worker.postMessage({ type: 'index', tree });
+    }
+
+    /**
+     * Start a search, cancelling the one before it
+     * Results arrive through onUpdate as { results, total, done }, where results is the
+     * best-first list so far ({ item, match }) and total counts every match found.
+     * A search the worker gets stuck in ends early with { done: true, stalled: true }.
+     * @param {string} text - Query text
+     * @param {string} mode - Search mode: 'text', 'fuzzy' or 'regex'
+     * @param {Function} onUpdate - Called after each batch from the worker
+     * @returns {number|null} Search id, or null when the worker could not be replaced
+     */
+    search(text, mode, onUpdate) {
+        const busy = Boolean(this.activeSearch || this.cancelPending);
+        // A search still in a slice it should have finished long ago would never see the cancel
+        if (busy && !this.indexing && Date.now() - this.lastHeard > this.options.stallTimeout) {
+            this.activeSearch = null;
+            this.restartWorker();
+            if (!this.worker) return null;
+        }
+        this.cancel();
+        if (!busy) this.lastHeard = Date.now(); // The clock starts when an idle worker gets work
+        const id = this.nextSearchId++;
+        const request = {
+            type: 'search',
+            id,
+            text,
+            mode,
+            now: Date.now() / 1000, // Relative dates are measured from when the user searched
+            limit: this.options.resultLimit,
+            sliceSize: this.options.sliceSize
+        };
+        this.activeSearch = { id, onUpdate, request, results: [], total: 0 };
+        this.worker.postMessage(request);
+        this.armWatchdog();
+        return id;
+    }
+
+    /**
+     * Stop the running search, if any
+     */
+    cancel() {
+        if (!this.activeSearch) return;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'cancel', id: this.activeSearch.id });
+            this.cancelPending = true;
+            this.armWatchdog();
+        }
+        this.activeSearch = null;
+    }
+
+    /**
+     * Start counting down to replacing the worker, unless it has nothing left to answer
+     */
+    armWatchdog() {
+        clearTimeout(this.watchdog);
+        this.watchdog = null;
+        if (!this.worker || this.indexing || (!this.activeSearch && !this.cancelPending)) return;
+        // Time runs from the last answer, so a search queued behind a stuck one gets no extra
+        const remaining = this.lastHeard + this.options.stallTimeout - Date.now();
+        this.watchdog = setTimeout(() => this.handleStall(), Math.max(0, remaining));
+    }
+
+    /**
+     * The worker stopped answering: replace it, and either give up on the search it was stuck in
+     * or, when it was stuck in one already cancelled, send the current search to the new worker
+     */
+    handleStall() {
+        this.watchdog = null;
+        if (this.indexing) return; // Indexing takes as long as it takes; 'indexed' starts the clock again
+        if (Date.now() - this.lastHeard < this.options.stallTimeout) {
+            this.armWatchdog(); // It answered, for searches no longer wanted
+            return;
+        }
+        const search = this.activeSearch;
+        const stuckInCancelled = this.cancelPending;
+        console.warn('SearchIndex: the search worker stopped answering; starting a new one.');
+        this.restartWorker();
+        if (!search || !this.worker) return;
+
+        if (stuckInCancelled) {
+            this.activeSearch = search;
+            this.worker.postMessage(search.request);
+            this.armWatchdog();
+            return;
+        }
+        search.onUpdate({ results: search.results, total: search.total, done: true, stalled: true });
+    }
+
+    /**
+     * Throw the worker away and index the last tree in a new one
+     * Searches can still be sent meanwhile; the new worker runs them once it has indexed.
+     */
+    restartWorker() {
+        clearTimeout(this.watchdog);
+        this.watchdog = null;
+        this.cancelPending = false;
+        this.lastHeard = 0;
+        this.indexing = true;
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.startWorker();
+        if (!this.worker) {
+            this.handleFailure(new Error('The search worker could not be restarted.'));
+            return;
+        }
+        if (this.tree) this.worker.postMessage({ type: 'index', tree: this.tree });
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {Object} message - Worker message
+     */
+    handleMessage(message) {
+        this.lastHeard = Date.now();
+        if (message.type === 'indexed') {
+            this.ready = true;
+            this.indexing = false;
+            if (this.options.onReady) this.options.onReady(message.count);
+            this.armWatchdog(); // A search sent after the index now has a clock
+            return;
+        }
+        if (message.type === 'cancelled') {
+            this.cancelPending = false;
+            this.armWatchdog();
+            return;
+        }
+
+        if (message.type !== 'results') return;
+        const search = this.activeSearch;
+        if (!search || search.id !== message.id) return; // Stale search
+
+        if (message.results.length > 0) {
+            message.results.forEach(result => {
+                search.results.push({
+                    item: result.item,
+                    match: { score: result.score, nameIndices: result.nameIndices, pathIndices: result.pathIndices },
+                    order: result.order
+                });
+            });
+            // Best first; ties keep tree order
+            search.results.sort((a, b) => (b.match.score - a.match.score) || (a.order - b.order));
+            search.results.length = Math.min(search.results.length, this.options.resultLimit);
+        }
+        search.total = message.total;
+
+        if (message.done) this.activeSearch = null;
+        this.armWatchdog();
+        search.onUpdate({ results: search.results, total: search.total, done: message.done });
+    }
+
+    /**
+     * Give up on the worker after an error
+     * @param {Error} error - What went wrong
+     */
+    handleFailure(error) {
+        console.error('SearchIndex: worker error:', error);
+        this.dispose();
+        if (this.options.onError) this.options.onError(error);
+    }
+
+    /**
+     * Stop the worker
+     */
+    dispose() {
+        clearTimeout(this.watchdog);
+        this.watchdog = null;
+        this.activeSearch = null;
+        this.cancelPending = false;
+        this.ready = false;
+        this.indexing = false;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+// Export to window
+window.SearchIndex = SearchIndex;
@@ -0,0 +1,627 @@
+/**
+ * js/search-query.js - Search Query Language
+ *
+ * This module turns a search box query into a scored matcher over tree nodes:
+ * - Plain words match the name or path as substrings, fuzzy subsequences or regular
+ *   expressions, depending on the search mode
+ * - key:value filters narrow by extension, type group, size, modification date and location
+ * - A leading "-" negates a word or filter, and "quoted values" may contain spaces
+ *
+ * Matches carry a score for ranking and the character positions that matched.
+ *
+ * Example: ext:py size:>10MB modified:<2024-01-01 group:images in:src/ -name:test
+ */
+
+const SearchQuery = (function() {
+    'use strict';
+
+    // Byte multipliers for size values (binary, like the sizes shown in the UI)
+    const SIZE_UNITS = {
+        b: 1,
+        k: 1024, kb: 1024,
+        m: 1024 ** 2, mb: 1024 ** 2,
+        g: 1024 ** 3, gb: 1024 ** 3,
+        t: 1024 ** 4, tb: 1024 ** 4
+    };
+
+    // Seconds per unit for relative dates such as modified:<7d
+    const DURATION_UNITS = {
+        h: 3600,
+        d: 86400,
+        w: 7 * 86400,
+        mo: 30 * 86400,
+        y: 365 * 86400
+    };
+
+    // Comparisons on a duration talk about age, so they point the other way in time
+    const FLIPPED_OPERATORS = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '=': '>=' };
+
+    // How plain words are matched
+    const MODES = ['text', 'fuzzy', 'regex'];
+
+    // Ranking weights. Name matches beat path matches, and shallow paths beat deep ones.
+    const SCORES = {
+        nameMatch: 100,
+        namePrefix: 50,
+        nameExact: 100,
+        pathMatch: 40,
+        pathWeight: 0.5,        // Fuzzy and regex matches found only in the path count this much
+        depthPenalty: 3,        // Per directory level below the root
+        lengthPenalty: 0.1,     // Per character of the name, so shorter names win ties
+        fuzzyChar: 16,          // Each matched character
+        fuzzyConsecutive: 12,   // Character right after the previous match
+        fuzzyBoundary: 10,      // Character starting a word: after / _ - . space, or a camelCase hump
+        fuzzyFirst: 8,          // Match on the very first character
+        fuzzyGap: 2,            // Per skipped character between matches
+        fuzzyLeading: 1,        // Per character skipped before the first match
+        fuzzyMaxLeading: 10     // Cap on the leading penalty
+    };
+
+    /**
+     * Size of a node in bytes
+     * @param {Object} node - Tree node
+     * @returns {number} Size in bytes
+     */
+    function getSize(node) {
+        if (node.type === 'directory') {
+            return (node.metadata && node.metadata.size) || 0;
+        }
+        return node.size || 0;
+    }
+
+    /**
+     * Modification time of a node in seconds since the epoch
+     * @param {Object} node - Tree node
+     * @returns {number|null} Timestamp, or null when the scanner did not record one
+     */
+    function getModified(node) {
+        if (node.type === 'directory') {
+            return node.metadata ? node.metadata.last_modified : null;
+        }
+        return node.modified != null ? node.modified : null;
+    }
+
+    /**
+     * Parse a size such as 512, 10MB or 1.5g
+     * @param {string} text - Size text
+     * @returns {number} Bytes, or NaN if the text is not a size
+     */
+    function parseSize(text) {
+        const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(text.trim());
+        if (!match) return NaN;
+        const unit = match[2].toLowerCase() || 'b';
+        if (!(unit in SIZE_UNITS)) return NaN;
+        return parseFloat(match[1]) * SIZE_UNITS[unit];
+    }
+
+    /**
+     * Parse a date into the span of time it names
+     * Accepts YYYY, YYYY-MM, YYYY-MM-DD (local time), today, yesterday,
+     * and ages such as 12h, 7d, 2w, 3mo or 1y.
+     * @param {string} text - Date text
+     * @param {number} now - Current time in seconds
+     * @returns {Object|null} { start, end } in seconds and whether it is an age, or null if invalid
+     */
+    function parseDate(text, now) {
+        const value = text.trim().toLowerCase();
+
+        const age = /^(\d+(?:\.\d+)?)(h|d|w|mo|y)$/.exec(value);
+        if (age) {
+            const point = now - parseFloat(age[1]) * DURATION_UNITS[age[2]];
+            return { start: point, end: point, isAge: true };
+        }
+
+        if (value === 'today' || value === 'yesterday') {
+            const day = new Date(now * 1000);
+            day.setHours(0, 0, 0, 0);
+            if (value === 'yesterday') day.setDate(day.getDate() - 1);
+            const start = day.getTime() / 1000;
+            day.setDate(day.getDate() + 1);
+            return { start, end: day.getTime() / 1000, isAge: false };
+        }
+
+        const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+        if (!match) return null;
+        const year = parseInt(match[1], 10);
+        const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+        const day = match[3] ? parseInt(match[3], 10) : null;
+        if (month !== null && (month < 0 || month > 11)) return null;
+
+        const start = new Date(year, month || 0, day || 1);
+        if (day !== null && start.getDate() !== day) return null; // e.g. 2024-02-31
+        const end = day !== null ? new Date(year, month, day + 1)
+            : month !== null ? new Date(year, month + 1, 1)
+            : new Date(year + 1, 0, 1);
+        return { start: start.getTime() / 1000, end: end.getTime() / 1000, isAge: false };
+    }
+
+    /**
+     * Split a comparison such as >=10MB or 1MB..5MB into operator and operands
+     * @param {string} value - Filter value
+     * @returns {Object} { op, operand, upper } where upper is set for ranges
+     */
+    function splitComparison(value) {
+        const range = value.indexOf('..');
+        if (range !== -1) {
+            return { op: '..', operand: value.slice(0, range), upper: value.slice(range + 2) };
+        }
+        const match = /^(<=|>=|<|>|=)?(.*)$/.exec(value);
+        return { op: match[1] || '=', operand: match[2] };
+    }
+
+    /**
+     * Test a number against a span using a comparison operator
+     * @param {number} value - Value to test
+     * @param {string} op - Operator
+     * @param {Object} span - { start, end } the operand covers
+     * @returns {boolean} Whether the value satisfies the comparison
+     */
+    function compareToSpan(value, op, span) {
+        switch (op) {
+            case '<': return value < span.start;
+            case '<=': return value < span.end;
+            case '>': return value >= span.end;
+            case '>=': return value >= span.start;
+            default: return value >= span.start && value < span.end;
+        }
+    }
+
+    /**
+     * Split a comma-separated filter value into lowercase options
+     * @param {string} value - Filter value
+     * @returns {Array} Non-empty options
+     */
+    function splitOptions(value) {
+        return value.toLowerCase().split(',').map(option => option.trim()).filter(Boolean);
+    }
+
+    /**
+     * Normalize a path prefix so "src/", "/src" and "src" all mean the same directory
+     * @param {string} value - Path text
+     * @returns {string} Lowercase path without surrounding slashes
+     */
+    function normalizePath(value) {
+        return value.toLowerCase().replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+    }
+
+    /**
+     * Positions covered by every occurrence of a substring
+     * @param {string} text - Lowercase text to search
+     * @param {string} needle - Lowercase substring
+     * @returns {Array} Character indices, in order
+     */
+    function findOccurrences(text, needle) {
+        const indices = [];
+        if (!needle) return indices;
+        let start = text.indexOf(needle);
+        while (start !== -1) {
+            for (let i = start; i < start + needle.length; i++) indices.push(i);
+            start = text.indexOf(needle, start + needle.length);
+        }
+        return indices;
+    }
+
+    /**
+     * Whether a character starts a word
+     * @param {string} text - Original text
+     * @param {number} index - Character index
+     * @returns {boolean} True after a separator or at a lower-to-upper case change
+     */
+    function isWordStart(text, index) {
+        if (index === 0) return true;
+        const previous = text[index - 1];
+        if ('/\\_-. '.includes(previous)) return true;
+        const current = text[index];
+        return previous === previous.toLowerCase() && current !== current.toLowerCase();
+    }
+
+    /**
+     * Best fuzzy alignment of a pattern as a subsequence of a text
+     * Dynamic programming over (pattern char, text char), rewarding consecutive
+     * runs and word starts and penalizing gaps.
+     * @param {string} pattern - Characters to find, in order
+     * @param {string} text - Text to search
+     * @returns {Object|null} { score, indices } or null if the pattern is not a subsequence
+     */
+    function fuzzyMatch(pattern, text) {
+        const needle = pattern.toLowerCase();
+        const haystack = text.toLowerCase();
+        const m = needle.length;
+        const n = haystack.length;
+        if (m === 0 || m > n) return null;
+
+        // Quick rejection before allocating the tables
+        let probe = 0;
+        for (let j = 0; j < n && probe < m; j++) {
+            if (haystack[j] === needle[probe]) probe++;
+        }
+        if (probe < m) return null;
+
+        const scores = new Float64Array(m * n).fill(-Infinity);
+        const from = new Int32Array(m * n).fill(-1);
+
+        for (let i = 0; i < m; i++) {
+            // Best earlier match of the previous pattern char, already charged for the gap to j
+            let carry = -Infinity;
+            let carryFrom = -1;
+
+            for (let j = i; j < n; j++) {
+                if (i > 0 && j >= 2) {
+                    const candidate = scores[(i - 1) * n + j - 2] - SCORES.fuzzyGap;
+                    carry -= SCORES.fuzzyGap;
+                    if (candidate > carry) {
+                        carry = candidate;
+                        carryFrom = j - 2;
+                    }
+                }
+                if (haystack[j] !== needle[i]) continue;
+
+                let bonus = SCORES.fuzzyChar;
+                if (isWordStart(text, j)) bonus += SCORES.fuzzyBoundary;
+                if (j === 0) bonus += SCORES.fuzzyFirst;
+
+                const index = i * n + j;
+                if (i === 0) {
+                    scores[index] = bonus - Math.min(j * SCORES.fuzzyLeading, SCORES.fuzzyMaxLeading);
+                    continue;
+                }
+
+                const consecutive = scores[(i - 1) * n + j - 1] + SCORES.fuzzyConsecutive;
+                if (consecutive >= carry && consecutive > -Infinity) {
+                    scores[index] = consecutive + bonus;
+                    from[index] = j - 1;
+                } else if (carry > -Infinity) {
+                    scores[index] = carry + bonus;
+                    from[index] = carryFrom;
+                }
+            }
+        }
+
+        let bestScore = -Infinity;
+        let bestEnd = -1;
+        for (let j = m - 1; j < n; j++) {
+            if (scores[(m - 1) * n + j] > bestScore) {
+                bestScore = scores[(m - 1) * n + j];
+                bestEnd = j;
+            }
+        }
+        if (bestEnd === -1) return null;
+
+        const indices = new Array(m);
+        for (let i = m - 1, j = bestEnd; i >= 0; i--) {
+            indices[i] = j;
+            j = from[i * n + j];
+        }
+        return { score: bestScore, indices };
+    }
+
+    /**
+     * Matcher for a plain word in text mode
+     * @param {string} word - Search word
+     * @returns {Function} node => match or null
+     */
+    function createTextMatcher(word) {
+        const needle = word.toLowerCase();
+        return node => {
+            const name = (node.name || '').toLowerCase();
+            const path = (node.path || '').toLowerCase();
+            const nameIndices = findOccurrences(name, needle);
+            const pathIndices = findOccurrences(path, needle);
+            if (nameIndices.length > 0) {
+                let score = SCORES.nameMatch;
+                if (name.startsWith(needle)) score += SCORES.namePrefix;
+                if (name === needle) score += SCORES.nameExact;
+                return { score, name: nameIndices, path: pathIndices };
+            }
+            if (pathIndices.length === 0) return null;
+            return { score: SCORES.pathMatch, name: [], path: pathIndices };
+        };
+    }
+
+    /**
+     * Matcher for a plain word in fuzzy mode
+     * @param {string} word - Characters to find in order
+     * @returns {Function} node => match or null
+     */
+    function createFuzzyMatcher(word) {
+        return node => {
+            const nameMatch = fuzzyMatch(word, node.name || '');
+            if (nameMatch) {
+                const exact = (node.name || '').toLowerCase() === word.toLowerCase();
+                return { score: nameMatch.score + (exact ? SCORES.nameExact : 0), name: nameMatch.indices, path: [] };
+            }
+            const pathMatch = fuzzyMatch(word, node.path || '');
+            if (!pathMatch) return null;
+            return { score: pathMatch.score * SCORES.pathWeight, name: [], path: pathMatch.indices };
+        };
+    }
+
+    /**
+     * Matcher for a plain word in regex mode
+     * @param {string} word - Regular expression source, matched case-insensitively
+     * @returns {Function} node => match or null
+     * @throws {Error} If the pattern is not a valid regular expression
+     */
+    function createRegexMatcher(word) {
+        // An invalid pattern throws a SyntaxError that names the pattern and the problem
+        const regex = new RegExp(word, 'i');
+
+        const find = (text) => {
+            const match = regex.exec(text);
+            if (!match) return null;
+            const indices = [];
+            for (let i = match.index; i < match.index + match[0].length; i++) indices.push(i);
+            return { indices, length: match[0].length };
+        };
+
+        return node => {
+            const name = node.name || '';
+            const nameMatch = find(name);
+            if (nameMatch) {
+                // Matches covering more of the name rank higher
+                const coverage = name.length ? nameMatch.length / name.length : 0;
+                return { score: SCORES.nameMatch + coverage * SCORES.nameExact, name: nameMatch.indices, path: [] };
+            }
+            const pathMatch = find(node.path || '');
+            if (!pathMatch) return null;
+            return { score: SCORES.pathMatch, name: [], path: pathMatch.indices };
+        };
+    }
+
+    const MATCHER_FACTORIES = {
+        text: createTextMatcher,
+        fuzzy: createFuzzyMatcher,
+        regex: createRegexMatcher
+    };
+
+    // Filter builders by key. Each returns a predicate over nodes or throws on a bad value.
+    const FILTERS = {
+        ext(value) {
+            const extensions = splitOptions(value).map(ext => ext.replace(/^\./, ''));
+            return node => node.type === 'file' && extensions.includes((node.extension || '').toLowerCase());
+        },
+
+        group(value) {
+            // Accept singular names too: group:image finds the "images" group
+            const groups = splitOptions(value);
+            return node => {
+                if (node.type !== 'file') return false;
+                const group = (node.file_type_group || 'other').toLowerCase();
+                return groups.some(option => group === option || group === `${option}s`);
+            };
+        },
+
+        type(value) {
+            const types = splitOptions(value).map(type => (type === 'dir' || type === 'folder') ? 'directory' : type);
+            types.forEach(type => {
+                if (type !== 'file' && type !== 'directory') {
+                    throw new Error(`type: expects "file" or "dir", not "${type}"`);
+                }
+            });
+            return node => types.includes(node.type);
+        },
+
+        size(value) {
+            const { op, operand, upper } = splitComparison(value);
+            const low = parseSize(operand);
+            const high = op === '..' ? parseSize(upper) : low;
+            if (isNaN(low) || isNaN(high)) {
+                throw new Error(`size: could not read "${value}" (try size:>10MB or size:1KB..2MB)`);
+            }
+            if (op === '..') return node => getSize(node) >= low && getSize(node) <= high;
+            return node => compareToSpan(getSize(node), op, { start: low, end: low + 1 });
+        },
+
+        modified(value, now) {
+            const { op, operand, upper } = splitComparison(value);
+            const first = parseDate(operand, now);
+            const last = op === '..' ? parseDate(upper, now) : first;
+            if (!first || !last) {
+                throw new Error(`modified: could not read "${value}" (try modified:<2024-01-01 or modified:<7d)`);
+            }
+
+            if (op === '..') {
+                const start = Math.min(first.start, last.start);
+                const end = Math.max(first.end, last.end);
+                return node => {
+                    const modified = getModified(node);
+                    return modified != null && modified >= start && modified < end;
+                };
+            }
+
+            const effectiveOp = first.isAge ? FLIPPED_OPERATORS[op] : op;
+            return node => {
+                const modified = getModified(node);
+                return modified != null && compareToSpan(modified, effectiveOp, first);
+            };
+        },
+
+        in(value) {
+            const prefix = normalizePath(value);
+            return node => {
+                const path = (node.path || '').toLowerCase();
+                return !prefix || path.startsWith(`${prefix}/`);
+            };
+        },
+
+        name(value) {
+            const text = value.toLowerCase();
+            return node => (node.name || '').toLowerCase().includes(text);
+        },
+
+        path(value) {
+            const text = value.toLowerCase();
+            return node => (node.path || '').toLowerCase().includes(text);
+        }
+    };
+
+    /**
+     * Split a query into words and key:value filters
+     * @param {string} query - Raw query
+     * @returns {Array} Tokens with negated, key (or null) and value
+     */
+    function tokenize(query) {
+        const tokens = [];
+        let index = 0;
+
+        while (index < query.length) {
+            if (/\s/.test(query[index])) {
+                index++;
+                continue;
+            }
+
+            let negated = false;
+            if (query[index] === '-' && index + 1 < query.length && !/\s/.test(query[index + 1])) {
+                negated = true;
+                index++;
+            }
+
+            let key = null;
+            const keyMatch = /^([a-z]+):/i.exec(query.slice(index));
+            if (keyMatch && Object.prototype.hasOwnProperty.call(FILTERS, keyMatch[1].toLowerCase())) {
+                key = keyMatch[1].toLowerCase();
+                index += keyMatch[0].length;
+            }
+
+            let value;
+            if (query[index] === '"') {
+                const close = query.indexOf('"', index + 1);
+                const end = close === -1 ? query.length : close;
+                value = query.slice(index + 1, end);
+                index = end + 1;
+            } else {
+                const start = index;
+                while (index < query.length && !/\s/.test(query[index])) index++;
+                value = query.slice(start, index);
+            }
+
+            tokens.push({ negated, key, value });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse a query into a scored node matcher
+     * @param {string} query - Raw query text
+     * @param {Object} options - { mode } for plain words ('text', 'fuzzy' or 'regex'),
+     *                           { now } current time in seconds, for relative dates
+     * @returns {Object} Parsed query with match(node), test(node) and any errors
+     */
+    function parse(query, options = {}) {
+        const mode = MODES.includes(options.mode) ? options.mode : 'text';
+        const now = options.now != null ? options.now : Date.now() / 1000;
+        const predicates = [];
+        const matchers = [];
+        const highlighters = [];
+        const errors = [];
+        const words = [];
+        const scopes = [];
+
+        tokenize(query || '').forEach(({ negated, key, value }) => {
+            if (!value) {
+                if (key) errors.push(`${key}: needs a value`);
+                return;
+            }
+
+            if (!key) {
+                let matcher;
+                try {
+                    matcher = MATCHER_FACTORIES[mode](value);
+                } catch (error) {
+                    errors.push(error.message);
+                    return;
+                }
+                if (negated) {
+                    predicates.push(node => !matcher(node));
+                } else {
+                    matchers.push(matcher);
+                    words.push(value);
+                }
+                return;
+            }
+
+            let predicate;
+            try {
+                predicate = FILTERS[key](value, now);
+            } catch (error) {
+                errors.push(error.message);
+                return;
+            }
+            predicates.push(negated ? node => !predicate(node) : predicate);
+
+            // Text filters also show where they matched
+            if (negated) return;
+            const text = value.toLowerCase();
+            if (key === 'name') {
+                highlighters.push(node => ({ name: findOccurrences((node.name || '').toLowerCase(), text), path: [] }));
+            } else if (key === 'path') {
+                highlighters.push(node => ({ name: [], path: findOccurrences((node.path || '').toLowerCase(), text) }));
+            } else if (key === 'in') {
+                const prefix = normalizePath(value);
+                scopes.push(prefix);
+                highlighters.push(() => ({ name: [], path: Array.from({ length: prefix.length }, (_, i) => i) }));
+            }
+        });
+
+        /**
+         * Match a node against the whole query
+         * @param {Object} node - Tree node with its full path
+         * @returns {Object|null} { score, nameIndices, pathIndices } or null if it does not match
+         */
+        const match = (node) => {
+            for (const predicate of predicates) {
+                if (!predicate(node)) return null;
+            }
+
+            const nameIndices = new Set();
+            const pathIndices = new Set();
+            let score = 0;
+            for (const matcher of matchers) {
+                const result = matcher(node);
+                if (!result) return null;
+                score += result.score;
+                result.name.forEach(index => nameIndices.add(index));
+                result.path.forEach(index => pathIndices.add(index));
+            }
+            highlighters.forEach(highlighter => {
+                const result = highlighter(node);
+                result.name.forEach(index => nameIndices.add(index));
+                result.path.forEach(index => pathIndices.add(index));
+            });
+
+            const depth = node.path ? node.path.split('/').length - 1 : 0;
+            score -= depth * SCORES.depthPenalty + (node.name || '').length * SCORES.lengthPenalty;
+
+            return {
+                score,
+                nameIndices: Array.from(nameIndices).sort((a, b) => a - b),
+                pathIndices: Array.from(pathIndices).sort((a, b) => a - b)
+            };
+        };
+
+        return {
+            text: query || '',
+            mode,
+            isEmpty: predicates.length === 0 && matchers.length === 0,
+            errors,
+            words,      // Plain words every match must contain, for index lookups
+            scopes,     // Directories (lowercase, from in:) every match must be under
+            match,
+            test: node => match(node) !== null
+        };
+    }
+
+    // Public API
+    return {
+        parse,
+        fuzzyMatch,
+        parseSize,
+        parseDate,
+        filterKeys: Object.keys(FILTERS),
+        modes: MODES.slice()
+    };
+})();
+
+// Export to window (self is the worker scope when search-worker.js loads this file)
+self.SearchQuery = SearchQuery;
@@ -0,0 +1,317 @@
+/**
+ * js/search-worker.js - Background Search Index
+ *
+ * Runs in a Web Worker so whole-tree searches never block the page:
+ * - The tree is flattened once into records in depth-first order, so every
+ *   directory's subtree is a contiguous range of record ids
+ * - Name trigrams and directory-path trigrams narrow plain-word searches to candidates
+ * - Candidates are scored with SearchQuery in slices, and each slice's best
+ *   results are posted back while the search keeps going
+ * - A newer search or a cancel message stops a running search between slices
+ *
+ * Messages in:  { type: 'index', tree }
+ *               { type: 'search', id, text, mode, now, limit, sliceSize }
+ *               { type: 'cancel', id }
+ * Messages out: { type: 'indexed', count }
+ *               { type: 'results', id, results, total, done }
+ *               { type: 'cancelled', id }
+ */
+
+importScripts('search-query.js');
+
+// Flattened tree, indexed by record id
+let records = [];
+let subtreeEnds = new Int32Array(0);  // For directories: one past the id of the last descendant
+let charMasks = new Int32Array(0);    // Letters and digits present in each path, for fuzzy pre-filtering
+
+// Trigram -> ascending record ids
+let nameTrigrams = new Map();
+let directoryTrigrams = new Map();
+
+// Lowercase directory path -> record ids (several when paths differ only by case)
+let directoriesByPath = new Map();
+
+// Id of the search allowed to keep running
+let activeSearchId = null;
+
+/**
+ * Distinct trigrams of a lowercase string
+ * @param {string} text - Lowercase text
+ * @returns {Set} Trigrams
+ */
+function getTrigrams(text) {
+    const trigrams = new Set();
+    for (let i = 0; i + 3 <= text.length; i++) {
+        trigrams.add(text.slice(i, i + 3));
+    }
+    return trigrams;
+}
+
+/**
+ * Bit mask of the letters and digits in a string
+ * Letters use bits 0-25; digits share the remaining six bits.
+ * @param {string} text - Lowercase text
+ * @returns {number} Mask
+ */
+function getCharMask(text) {
+    let mask = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        if (code >= 97 && code <= 122) {
+            mask |= 1 << (code - 97);
+        } else if (code >= 48 && code <= 57) {
+            mask |= 1 << (26 + (code - 48) % 6);
+        }
+    }
+    return mask;
+}
+
+/**
+ * Add a record id to the posting list of each trigram
+ * @param {Map} index - Trigram index
+ * @param {string} text - Lowercase text
+ * @param {number} id - Record id
+ */
+function addTrigrams(index, text, id) {
+    getTrigrams(text).forEach(trigram => {
+        let postings = index.get(trigram);
+        if (!postings) {
+            postings = [];
+            index.set(trigram, postings);
+        }
+        postings.push(id);
+    });
+}
+
+/**
+ * Flatten a tree and build the indexes
+ * @param {Object} tree - Root directory node
+ */
+function buildIndex(tree) {
+    records = [];
+    nameTrigrams = new Map();
+    directoryTrigrams = new Map();
+    directoriesByPath = new Map();
+    const ends = [];
+
+    // Iterative depth-first walk; deep trees would overflow the stack otherwise
+    const stack = [{ node: tree, path: tree.path || '' }];
+    while (stack.length > 0) {
+        const entry = stack.pop();
+        if (entry.close !== undefined) {
+            ends[entry.close] = records.length;
+            continue;
+        }
+
+        const { node, path } = entry;
+        const id = records.length;
+        records.push({
+            name: node.name || '',
+            path,
+            type: node.type,
+            extension: node.extension,
+            file_type_group: node.file_type_group,
+            size: node.size,
+            modified: node.modified,
+            metadata: node.metadata
+                ? { size: node.metadata.size, last_modified: node.metadata.last_modified }
+                : undefined
+        });
+        ends[id] = id + 1;
+
+        const lowerPath = path.toLowerCase();
+        addTrigrams(nameTrigrams, (node.name || '').toLowerCase(), id);
+
+        if (node.type === 'directory') {
+            addTrigrams(directoryTrigrams, lowerPath, id);
+            const sameName = directoriesByPath.get(lowerPath);
+            if (sameName) {
+                sameName.push(id);
+            } else {
+                directoriesByPath.set(lowerPath, [id]);
+            }
+
+            if (node.children && node.children.length > 0) {
+                stack.push({ close: id });
+                for (let i = node.children.length - 1; i >= 0; i--) {
+                    const child = node.children[i];
+                    stack.push({ node: child, path: child.path || (path ? `${path}/${child.name}` : child.name) });
+                }
+            }
+        }
+    }
+
+    subtreeEnds = Int32Array.from(ends);
+    charMasks = new Int32Array(records.length);
+    records.forEach((record, id) => {
+        charMasks[id] = getCharMask(record.path.toLowerCase());
+    });
+}
+
+/**
+ * Intersect ascending id lists
+ * @param {Array} lists - Ascending id arrays
+ * @returns {Array} Ids present in every list
+ */
+function intersectSorted(lists) {
+    if (lists.length === 0) return [];
+    const ordered = lists.slice().sort((a, b) => a.length - b.length);
+    let result = ordered[0];
+    for (let l = 1; l < ordered.length && result.length > 0; l++) {
+        const other = ordered[l];
+        const next = [];
+        let j = 0;
+        for (let i = 0; i < result.length; i++) {
+            while (j < other.length && other[j] < result[i]) j++;
+            if (j < other.length && other[j] === result[i]) next.push(result[i]);
+        }
+        result = next;
+    }
+    return result;
+}
+
+/**
+ * Ids that might contain a word in their name or path (text mode)
+ * @param {string} word - Search word
+ * @returns {Array|null} Ascending candidate ids, or null if every record is a candidate
+ */
+function getWordCandidates(word) {
+    const needle = word.toLowerCase();
+    // Too short for trigrams, or able to span a directory boundary: scan everything
+    if (needle.length < 3 || needle.includes('/')) return null;
+
+    const trigrams = Array.from(getTrigrams(needle));
+    const names = intersectSorted(trigrams.map(trigram => nameTrigrams.get(trigram) || []));
+    const directories = intersectSorted(trigrams.map(trigram => directoryTrigrams.get(trigram) || []));
+
+    // A directory whose path contains the word puts it in the path of its whole subtree
+    const inRange = new Uint8Array(records.length);
+    names.forEach(id => { inRange[id] = 1; });
+    directories.forEach(id => {
+        if (!records[id].path.toLowerCase().includes(needle)) return;
+        inRange.fill(1, id, subtreeEnds[id]);
+    });
+
+    const candidates = [];
+    for (let id = 0; id < inRange.length; id++) {
+        if (inRange[id]) candidates.push(id);
+    }
+    return candidates;
+}
+
+/**
+ * Ids under every in: scope
+ * @param {Array} scopes - Lowercase directory paths
+ * @returns {Array|null} Ascending candidate ids, or null if there is no scope
+ */
+function getScopeCandidates(scopes) {
+    const lists = scopes.filter(Boolean).map(scope => {
+        const ids = [];
+        (directoriesByPath.get(scope) || []).forEach(directoryId => {
+            for (let id = directoryId + 1; id < subtreeEnds[directoryId]; id++) ids.push(id);
+        });
+        return ids.sort((a, b) => a - b);
+    });
+    return lists.length > 0 ? intersectSorted(lists) : null;
+}
+
+/**
+ * Run a search in slices, posting the best new results after each one
+ * @param {Object} request - Search message
+ */
+function runSearch(request) {
+    const { id, text, mode, now, limit = 500, sliceSize = 5000 } = request;
+    activeSearchId = id;
+
+    const query = SearchQuery.parse(text, { mode, now });
+    if (query.isEmpty || query.errors.length > 0) {
+        self.postMessage({ type: 'results', id, results: [], total: 0, done: true });
+        return;
+    }
+
+    // Narrow with the indexes, then let the query decide on each candidate
+    const lists = [];
+    const scoped = getScopeCandidates(query.scopes);
+    if (scoped) lists.push(scoped);
+    if (mode === 'text' || !mode) {
+        query.words.forEach(word => {
+            const candidates = getWordCandidates(word);
+            if (candidates) lists.push(candidates);
+        });
+    }
+    const candidates = lists.length > 0 ? intersectSorted(lists) : null;
+    const count = candidates ? candidates.length : records.length;
+
+    // Fuzzy words need all their letters somewhere in the path
+    const requiredMask = mode === 'fuzzy'
+        ? query.words.reduce((mask, word) => mask | getCharMask(word.toLowerCase()), 0)
+        : 0;
+
+    let position = 0;
+    let total = 0;
+    let threshold = -Infinity; // Score a result must beat to make the current best `limit`
+    const best = [];
+
+    const step = () => {
+        if (activeSearchId !== id) return; // Superseded or cancelled
+
+        const sliceEnd = Math.min(position + sliceSize, count);
+        const found = [];
+        for (; position < sliceEnd; position++) {
+            const recordId = candidates ? candidates[position] : position;
+            if (recordId === 0) continue; // The root is where the search starts, not a result
+            if (requiredMask && (charMasks[recordId] & requiredMask) !== requiredMask) continue;
+
+            const record = records[recordId];
+            const match = query.match(record);
+            if (!match) continue;
+
+            total++;
+            if (best.length >= limit && match.score <= threshold) continue;
+            found.push({
+                order: recordId,
+                score: match.score,
+                nameIndices: match.nameIndices,
+                pathIndices: match.pathIndices,
+                item: {
+                    name: record.name,
+                    path: record.path,
+                    type: record.type,
+                    extension: record.extension,
+                    file_type_group: record.file_type_group
+                }
+            });
+        }
+
+        if (found.length > 0) {
+            best.push(...found.map(result => result.score));
+            best.sort((a, b) => b - a);
+            best.length = Math.min(best.length, limit);
+            if (best.length >= limit) threshold = best[best.length - 1];
+        }
+
+        const done = position >= count;
+        self.postMessage({ type: 'results', id, results: found, total, done });
+        if (!done) setTimeout(step, 0); // Let newer messages in before the next slice
+    };
+
+    step();
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    switch (message.type) {
+        case 'index':
+            activeSearchId = null;
+            buildIndex(message.tree);
+            self.postMessage({ type: 'indexed', count: records.length });
+            break;
+        case 'search':
+            runSearch(message);
+            break;
+        case 'cancel':
+            if (activeSearchId === message.id) activeSearchId = null;
+            self.postMessage({ type: 'cancelled', id: message.id }); // Tells the client this worker is not stuck
+            break;
+    }
+};
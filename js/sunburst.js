@@ -0,0 +1,410 @@
+/**
+ * js/sunburst.js - Sunburst View
+ *
+ * This module draws several levels of the tree around the current directory
+ * as concentric rings:
+ * - Each ring is one level deeper, arcs span an angle proportional to bytes
+ * - A depth slider chooses how many rings are drawn
+ * - Arcs too thin to see are merged per parent and drawing stops at an arc
+ *   budget, so huge trees stay at a few thousand SVG elements
+ */
+
+const SUNBURST_SVG_NS = 'http://www.w3.org/2000/svg';
+
+class SunburstView {
+    /**
+     * Create a new sunburst view
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} options - Configuration options
+     */
+    constructor(container, options = {}) {
+        this.options = {
+            depth: 3,                 // Rings drawn around the center
+            maxDepth: 8,              // Upper end of the depth slider
+            maxArcs: 2000,            // Arc budget; deeper rings are dropped beyond it
+            minArcLength: 3,          // Arcs shorter than this (px, outer edge) are merged
+            centerRatio: 0.18,        // Center circle radius as a share of the full radius
+            formatSize: (bytes) => `${bytes} B`,
+            onNavigate: null,         // Called with a directory item to re-root on
+            onNavigateUp: null,       // Called when the center is clicked
+            onSelect: null,           // Called with (item, element) when a file is clicked
+            onOpen: null,             // Called with a file item on double-click
+            onContextMenu: null,      // Called with (event, item, element)
+            onDepthChange: null,      // Called with the new depth from the slider
+            ...options
+        };
+
+        this.container = container;
+        this.directory = null;
+        this.arcItems = new Map();    // Arc element -> { item, size }
+        this.visible = false;
+
+        this.buildDom();
+    }
+
+    /**
+     * Build the toolbar, SVG surface and tooltip
+     */
+    buildDom() {
+        this.root = document.createElement('div');
+        this.root.className = 'sunburst-view';
+        this.root.hidden = true;
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'sunburst-toolbar';
+        toolbar.innerHTML = `
+            <label class="sunburst-depth">
+                Depth
+                <input type="range" min="1" max="${this.options.maxDepth}" step="1" value="${this.options.depth}">
+                <span class="sunburst-depth-value">${this.options.depth}</span>
+            </label>
+            <span class="sunburst-info"></span>
+        `;
+        this.depthInput = toolbar.querySelector('input');
+        this.depthValue = toolbar.querySelector('.sunburst-depth-value');
+        this.info = toolbar.querySelector('.sunburst-info');
+
+        this.stage = document.createElement('div');
+        this.stage.className = 'sunburst-stage';
+        this.svg = document.createElementNS(SUNBURST_SVG_NS, 'svg');
+        this.svg.setAttribute('class', 'sunburst-svg');
+        this.stage.appendChild(this.svg);
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'sunburst-tooltip';
+        this.tooltip.hidden = true;
+        this.stage.appendChild(this.tooltip);
+
+        this.root.appendChild(toolbar);
+        this.root.appendChild(this.stage);
+        this.container.appendChild(this.root);
+
+        this.depthInput.addEventListener('input', () => {
+            this.setDepth(parseInt(this.depthInput.value, 10));
+            if (this.options.onDepthChange) this.options.onDepthChange(this.options.depth);
+        });
+
+        // One set of listeners for every arc
+        this.svg.addEventListener('click', (e) => {
+            if (e.target.closest('.sunburst-center')) {
+                if (this.options.onNavigateUp) this.options.onNavigateUp();
+                return;
+            }
+            const { item, element } = this.getArcFromEvent(e);
+            if (!item) return;
+            if (item.type === 'directory' && this.options.onNavigate) {
+                this.options.onNavigate(item);
+            } else if (this.options.onSelect) {
+                this.options.onSelect(item, element);
+            }
+        });
+        this.svg.addEventListener('dblclick', (e) => {
+            const { item } = this.getArcFromEvent(e);
+            if (item && item.type === 'file' && this.options.onOpen) {
+                this.options.onOpen(item);
+            }
+        });
+        this.svg.addEventListener('contextmenu', (e) => {
+            const { item, element } = this.getArcFromEvent(e);
+            if (item && this.options.onContextMenu) {
+                this.options.onContextMenu(e, item, element);
+            }
+        });
+        this.svg.addEventListener('mousemove', (e) => this.updateTooltip(e));
+        this.svg.addEventListener('mouseleave', () => {
+            this.tooltip.hidden = true;
+        });
+
+        // Re-fit when the view changes size
+        this.resizeObserver = new ResizeObserver(() => {
+            if (!this.visible || !this.directory) return;
+            cancelAnimationFrame(this.resizeFrame);
+            this.resizeFrame = requestAnimationFrame(() => this.render(this.directory));
+        });
+        this.resizeObserver.observe(this.stage);
+    }
+
+    /**
+     * Show or hide the view
+     * @param {boolean} visible - Whether the sunburst is the active view
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.root.hidden = !visible;
+        if (!visible) {
+            this.svg.innerHTML = '';
+            this.arcItems.clear();
+            this.tooltip.hidden = true;
+        }
+    }
+
+    /**
+     * Change how many rings are drawn
+     * @param {number} depth - Number of rings
+     */
+    setDepth(depth) {
+        this.options.depth = Math.max(1, Math.min(depth, this.options.maxDepth));
+        this.depthInput.value = this.options.depth;
+        this.depthValue.textContent = this.options.depth;
+        if (this.visible && this.directory) this.render(this.directory);
+    }
+
+    /**
+     * Update drawing limits, e.g. when the detail level changes
+     * @param {Object} limits - { maxArcs, minArcLength }
+     */
+    setLimits(limits) {
+        Object.assign(this.options, limits);
+        if (this.visible && this.directory) this.render(this.directory);
+    }
+
+    /**
+     * Draw a directory and the levels below it
+     * @param {Object} directory - Directory item with children
+     */
+    render(directory) {
+        this.directory = directory;
+        this.svg.innerHTML = '';
+        this.arcItems.clear();
+        this.tooltip.hidden = true;
+
+        const width = this.stage.clientWidth;
+        const height = this.stage.clientHeight;
+        const radius = Math.max(0, Math.min(width, height) / 2 - 8);
+        this.svg.setAttribute('width', width);
+        this.svg.setAttribute('height', height);
+        this.svg.setAttribute('viewBox', `${-width / 2} ${-height / 2} ${width} ${height}`);
+
+        const { depth, maxArcs, minArcLength, centerRatio } = this.options;
+        const innerRadius = radius * centerRatio;
+        const ringWidth = (radius - innerRadius) / depth;
+        const totalSize = SunburstView.getSize(directory);
+        this.totalSize = totalSize;
+
+        const group = document.createElementNS(SUNBURST_SVG_NS, 'g');
+        const { arcs, drawnDepth, truncated } = SunburstView.layout(directory, { depth, maxArcs, minArcLength, innerRadius, ringWidth });
+        arcs.forEach(arc => group.appendChild(this.createArc(arc.entry, arc.start, arc.end, arc.inner, arc.outer, arc.ring)));
+
+        group.appendChild(this.createCenter(directory, innerRadius, totalSize));
+        this.svg.appendChild(group);
+
+        this.info.textContent = truncated
+            ? `${arcs.length} arcs, stopped at ring ${drawnDepth} (raise Detail Level to see more)`
+            : `${arcs.length} arcs`;
+    }
+
+    /**
+     * Create one ring segment
+     * @param {Object} entry - { item, size }, item is null for merged arcs
+     * @param {number} start - Start angle in radians
+     * @param {number} end - End angle in radians
+     * @param {number} inner - Inner radius
+     * @param {number} outer - Outer radius
+     * @param {number} ring - Ring number, 1 for the innermost
+     * @returns {SVGPathElement} The arc
+     */
+    createArc(entry, start, end, inner, outer, ring) {
+        const path = document.createElementNS(SUNBURST_SVG_NS, 'path');
+        path.setAttribute('d', SunburstView.arcPath(start, end, inner, outer));
+
+        const { item } = entry;
+        if (!item) {
+            path.setAttribute('class', 'sunburst-arc sunburst-rest');
+        } else {
+            const classes = ['sunburst-arc', item.type, `ring-${Math.min(ring, 4)}`];
+            if (item.type === 'file') classes.push(`group-${item.file_type_group || 'other'}`);
+            path.setAttribute('class', classes.join(' '));
+            path.dataset.path = item.path;
+        }
+
+        this.arcItems.set(path, entry);
+        return path;
+    }
+
+    /**
+     * Create the center circle standing for the current directory
+     * @param {Object} directory - Current directory
+     * @param {number} radius - Circle radius
+     * @param {number} totalSize - Bytes in the directory
+     * @returns {SVGGElement} The center group
+     */
+    createCenter(directory, radius, totalSize) {
+        const center = document.createElementNS(SUNBURST_SVG_NS, 'g');
+        center.setAttribute('class', 'sunburst-center');
+
+        const circle = document.createElementNS(SUNBURST_SVG_NS, 'circle');
+        circle.setAttribute('r', radius);
+        const title = document.createElementNS(SUNBURST_SVG_NS, 'title');
+        title.textContent = 'Up one level';
+        circle.appendChild(title);
+        center.appendChild(circle);
+
+        const name = document.createElementNS(SUNBURST_SVG_NS, 'text');
+        name.setAttribute('class', 'sunburst-center-name');
+        name.setAttribute('y', '-0.2em');
+        name.textContent = directory.name || 'root';
+        const size = document.createElementNS(SUNBURST_SVG_NS, 'text');
+        size.setAttribute('class', 'sunburst-center-size');
+        size.setAttribute('y', '1.1em');
+        size.textContent = this.options.formatSize(totalSize);
+        center.appendChild(name);
+        center.appendChild(size);
+
+        return center;
+    }
+
+    /**
+     * Follow the pointer with details of the arc under it
+     * @param {MouseEvent} event - Mouse move event
+     */
+    updateTooltip(event) {
+        const entry = this.arcItems.get(event.target);
+        if (!entry) {
+            this.tooltip.hidden = true;
+            return;
+        }
+
+        const share = this.totalSize > 0 ? ((entry.size / this.totalSize) * 100).toFixed(1) : '0';
+        const name = entry.item ? entry.item.name : 'Smaller items';
+        this.tooltip.textContent = `${name} — ${this.options.formatSize(entry.size)} (${share}%)`;
+        this.tooltip.hidden = false;
+
+        const bounds = this.stage.getBoundingClientRect();
+        this.tooltip.style.left = `${event.clientX - bounds.left + 12}px`;
+        this.tooltip.style.top = `${event.clientY - bounds.top + 12}px`;
+    }
+
+    /**
+     * Find the arc under an event
+     * @param {Event} event - DOM event
+     * @returns {Object} { item, element }, empty when nothing was hit
+     */
+    getArcFromEvent(event) {
+        const entry = this.arcItems.get(event.target);
+        return { item: entry ? entry.item : null, element: event.target };
+    }
+
+    /**
+     * Highlight an arc, e.g. the selected item
+     * @param {string} path - Item path
+     */
+    highlightItem(path) {
+        this.svg.querySelectorAll('.sunburst-arc.focused').forEach(arc => arc.classList.remove('focused'));
+        const arc = this.svg.querySelector(`.sunburst-arc[data-path="${CSS.escape(path)}"]`);
+        if (arc) arc.classList.add('focused');
+    }
+
+    /**
+     * Bytes an item occupies
+     * @param {Object} item - Tree item
+     * @returns {number} Size in bytes
+     */
+    static getSize(item) {
+        if (item.type === 'directory') {
+            return (item.metadata && item.metadata.size) || 0;
+        }
+        return item.size || 0;
+    }
+
+    /**
+     * Lay out the rings around a directory without drawing them
+     * Each parent's arcs too thin to see, or beyond the budget, are merged into one
+     * "Smaller items" arc, and no arc at all is laid out once maxArcs are placed.
+     * @param {Object} directory - Directory item with children
+     * @param {Object} options - { depth, maxArcs, minArcLength, innerRadius, ringWidth }
+     * @returns {Object} { arcs, drawnDepth, truncated }; arcs are { entry, start, end, inner, outer, ring }
+     *   and entry.item is null for merged arcs
+     */
+    static layout(directory, options) {
+        const { depth, maxArcs, minArcLength, innerRadius, ringWidth } = options;
+        const arcs = [];
+        let drawnDepth = 0;
+
+        // Breadth-first, so the budget is spent on the inner rings first
+        let level = [{ item: directory, start: 0, end: Math.PI * 2 }];
+        for (let ring = 1; ring <= depth && level.length > 0 && arcs.length < maxArcs; ring++) {
+            const inner = innerRadius + (ring - 1) * ringWidth;
+            const outer = inner + ringWidth;
+            const next = [];
+
+            for (const parent of level) {
+                if (arcs.length >= maxArcs) break;
+                const children = (parent.item.children || [])
+                    .map(item => ({ item, size: SunburstView.getSize(item) }))
+                    .filter(entry => entry.size > 0)
+                    .sort((a, b) => b.size - a.size);
+                const childTotal = children.reduce((sum, entry) => sum + entry.size, 0);
+                if (childTotal === 0) continue;
+
+                const span = parent.end - parent.start;
+                let angle = parent.start;
+                let restSize = 0;
+                let restStart = null;
+
+                children.forEach((entry, index) => {
+                    const arcSpan = span * (entry.size / childTotal);
+                    // The last arc left in the budget is kept for the merged rest, unless nothing follows
+                    const budget = index === children.length - 1 ? maxArcs : maxArcs - 1;
+                    if (restStart !== null || arcSpan * outer < minArcLength || arcs.length >= budget) {
+                        // Sorted by size, so everything from here on is merged
+                        if (restStart === null) restStart = angle;
+                        restSize += entry.size;
+                    } else {
+                        arcs.push({ entry, start: angle, end: angle + arcSpan, inner, outer, ring });
+                        if (entry.item.type === 'directory') {
+                            next.push({ item: entry.item, start: angle, end: angle + arcSpan });
+                        }
+                    }
+                    angle += arcSpan;
+                });
+
+                if (restStart !== null && (parent.end - restStart) * outer >= 1 && arcs.length < maxArcs) {
+                    arcs.push({ entry: { item: null, size: restSize }, start: restStart, end: parent.end, inner, outer, ring });
+                }
+            }
+
+            drawnDepth = ring;
+            level = next;
+        }
+
+        return { arcs, drawnDepth, truncated: drawnDepth < depth && level.length > 0 };
+    }
+
+    /**
+     * SVG path for a ring segment, angles measured clockwise from twelve o'clock
+     * @param {number} start - Start angle in radians
+     * @param {number} end - End angle in radians
+     * @param {number} inner - Inner radius
+     * @param {number} outer - Outer radius
+     * @returns {string} Path data
+     */
+    static arcPath(start, end, inner, outer) {
+        // A full circle cannot be drawn as a single arc
+        const sweep = Math.min(end - start, Math.PI * 2 - 0.001);
+        const finish = start + sweep;
+        const largeArc = sweep > Math.PI ? 1 : 0;
+        const point = (angle, radius) => `${(radius * Math.sin(angle)).toFixed(3)} ${(-radius * Math.cos(angle)).toFixed(3)}`;
+
+        return [
+            `M ${point(start, outer)}`,
+            `A ${outer} ${outer} 0 ${largeArc} 1 ${point(finish, outer)}`,
+            `L ${point(finish, inner)}`,
+            `A ${inner} ${inner} 0 ${largeArc} 0 ${point(start, inner)}`,
+            'Z'
+        ].join(' ');
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.resizeObserver.disconnect();
+        cancelAnimationFrame(this.resizeFrame);
+        if (this.root.parentNode) {
+            this.root.parentNode.removeChild(this.root);
+        }
+    }
+}
+
+// Export to window
+window.SunburstView = SunburstView;
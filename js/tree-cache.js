@@ -0,0 +1,210 @@
+/**
+ * js/tree-cache.js - Browser Cache of Loaded Trees
+ *
+ * This module keeps parsed directory trees in IndexedDB, so a revisit can show
+ * the last scan at once while the server copy is checked in the background:
+ * - Entries are keyed by the data URL, the root's name and the scan's timestamp
+ * - Each data URL keeps only its latest scan; saving a newer one replaces it
+ * - Trees are stored as JSON text, which stores and reads back faster than a deep
+ *   object graph and whose length gives the entry's size
+ * - Each entry keeps the ETag and Last-Modified its download came with, so revalidating
+ *   can ask the server whether the file changed instead of downloading it again
+ * - The size and save time of each entry also sit in a small store of their own, so
+ *   summing up the cache never reads the trees themselves
+ *
+ * When IndexedDB is unavailable (some private windows, file:// pages), reads
+ * resolve to null and writes do nothing, so the app just loads from the network.
+ */
+
+class TreeCache {
+    /**
+     * Create a cache; the database opens on first use
+     * @param {Object} options - Configuration options
+     */
+    constructor(options = {}) {
+        this.options = {
+            databaseName: 'spatial-explorer',
+            storeName: 'trees',
+            infoStoreName: 'tree-info', // { key, source, bytes, savedAt } of each entry
+            ...options
+        };
+        this.database = null; // Promise of the IDBDatabase, or of null when unavailable
+    }
+
+    /**
+     * Open the database, creating the stores on first run
+     * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable
+     */
+    open() {
+        if (this.database) return this.database;
+
+        this.database = new Promise(resolve => {
+            let request;
+            try {
+                request = window.indexedDB.open(this.options.databaseName, 2);
+            } catch (error) {
+                console.warn('TreeCache: IndexedDB is unavailable:', error);
+                resolve(null);
+                return;
+            }
+            request.onupgradeneeded = (event) => {
+                const database = request.result;
+                if (event.oldVersion < 1) {
+                    const store = database.createObjectStore(this.options.storeName, { keyPath: 'key' });
+                    store.createIndex('source', 'source');
+                }
+                if (event.oldVersion < 2) {
+                    const infoStore = database.createObjectStore(this.options.infoStoreName, { keyPath: 'key' });
+                    infoStore.createIndex('source', 'source');
+                    // Version 1 kept the sizes only in the entries; copy them out once
+                    const cursorRequest = request.transaction.objectStore(this.options.storeName).openCursor();
+                    cursorRequest.onsuccess = () => {
+                        const cursor = cursorRequest.result;
+                        if (!cursor) return;
+                        infoStore.put(TreeCache.getInfoRecord(cursor.value));
+                        cursor.continue();
+                    };
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('TreeCache: IndexedDB is unavailable:', request.error);
+                resolve(null);
+            };
+        });
+        return this.database;
+    }
+
+    /**
+     * Run requests in one transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} run - Called with each object store named; its return value is the result
+     * @param {Array} storeNames - Stores to use, the tree store by default
+     * @returns {Promise<*>} The result once the transaction completes, or null without IndexedDB
+     */
+    async transaction(mode, run, storeNames = [this.options.storeName]) {
+        const database = await this.open();
+        if (!database) return null;
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeNames, mode);
+            const result = run(...storeNames.map(name => transaction.objectStore(name)));
+            transaction.oncomplete = () => resolve(result.value);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('The cache transaction was aborted.'));
+        });
+    }
+
+    /**
+     * Key of a tree's entry
+     * @param {string} source - URL the tree was loaded from
+     * @param {Object} tree - Root node
+     * @returns {string} Entry key
+     */
+    static getKey(source, tree) {
+        const timestamp = tree.scan_metadata ? tree.scan_metadata.timestamp : '';
+        return `${source}|${tree.name || ''}|${timestamp || ''}`;
+    }
+
+    /**
+     * Summary record of an entry, for the info store
+     * @param {Object} entry - Tree store record
+     * @returns {Object} { key, source, bytes, savedAt }
+     */
+    static getInfoRecord(entry) {
+        return { key: entry.key, source: entry.source, bytes: entry.bytes || 0, savedAt: entry.savedAt };
+    }
+
+    /**
+     * Most recently saved tree from any of the given data URLs
+     * @param {Array} sources - Data URLs
+     * @returns {Promise<Object|null>} { source, tree, timestamp, savedAt, bytes, validators }, or null if none is cached
+     */
+    async getLatest(sources) {
+        const records = await this.transaction('readonly', store => {
+            const result = { value: [] };
+            sources.forEach(source => {
+                const request = store.index('source').getAll(source);
+                request.onsuccess = () => result.value.push(...request.result);
+            });
+            return result;
+        });
+        if (!records || records.length === 0) return null;
+
+        const latest = records.reduce((best, record) => (record.savedAt > best.savedAt ? record : best));
+        return {
+            source: latest.source,
+            tree: JSON.parse(latest.data),
+            timestamp: latest.timestamp,
+            savedAt: latest.savedAt,
+            bytes: latest.bytes,
+            validators: latest.validators || null
+        };
+    }
+
+    /**
+     * Store a tree as the latest scan of its data URL
+     * @param {string} source - URL the tree was loaded from
+     * @param {Object} tree - Root node
+     * @param {Object} validators - { etag, lastModified } of the response the tree came from, if known
+     * @returns {Promise<void>} Resolves once written
+     */
+    async save(source, tree, validators = null) {
+        const key = TreeCache.getKey(source, tree);
+        const data = JSON.stringify(tree);
+        const entry = {
+            key,
+            source,
+            name: tree.name || '',
+            timestamp: tree.scan_metadata ? tree.scan_metadata.timestamp : null,
+            savedAt: Date.now(),
+            bytes: data.length,
+            validators,
+            data
+        };
+        await this.transaction('readwrite', (store, infoStore) => {
+            // Drop older scans of the same data URL
+            const existing = infoStore.index('source').getAllKeys(source);
+            existing.onsuccess = () => {
+                existing.result.filter(other => other !== key).forEach(other => {
+                    store.delete(other);
+                    infoStore.delete(other);
+                });
+            };
+            store.put(entry);
+            infoStore.put(TreeCache.getInfoRecord(entry));
+            return { value: undefined };
+        }, [this.options.storeName, this.options.infoStoreName]);
+    }
+
+    /**
+     * Summary of what is cached
+     * @returns {Promise<Object|null>} { entries, bytes }, or null without IndexedDB
+     */
+    async getInfo() {
+        return this.transaction('readonly', infoStore => {
+            const result = { value: { entries: 0, bytes: 0 } };
+            const request = infoStore.getAll();
+            request.onsuccess = () => {
+                result.value.entries = request.result.length;
+                result.value.bytes = request.result.reduce((sum, info) => sum + info.bytes, 0);
+            };
+            return result;
+        }, [this.options.infoStoreName]);
+    }
+
+    /**
+     * Delete every cached tree
+     * @returns {Promise<void>} Resolves once cleared
+     */
+    async clear() {
+        await this.transaction('readwrite', (store, infoStore) => {
+            store.clear();
+            infoStore.clear();
+            return { value: undefined };
+        }, [this.options.storeName, this.options.infoStoreName]);
+    }
+}
+
+// Export to window
+window.TreeCache = TreeCache;
@@ -0,0 +1,261 @@
+/**
+ * js/tree-diff.js - Comparing Two Scans of the Same Tree
+ *
+ * This module compares an older and a newer smart_tree.py scan by path:
+ * - Files are added, removed, modified (size, modified time or hash changed) or unchanged
+ * - A removed file and an added file with the same size and hash (or the same name, size
+ *   and modified time when there is no hash) count as one moved file; the scanner hashes
+ *   only the first 8 KB, so the hash alone would pair files that merely start alike
+ * - Directories are added, removed, changed (something below them changed) or unchanged,
+ *   and carry their size delta and the number of changes below them
+ *
+ * The result is a merged tree: the newer scan plus the removed entries, every node
+ * a copy with a "diff" field, so the usual views can show it without knowing about diffs.
+ * Neither input tree is modified.
+ */
+
+const TreeDiff = (function() {
+    'use strict';
+
+    const STATUSES = ['added', 'removed', 'modified', 'moved', 'changed', 'unchanged'];
+
+    /**
+     * Every node of a tree by path
+     * @param {Object} root - Root node
+     * @returns {Map} path -> node
+     */
+    function indexByPath(root) {
+        const nodes = new Map();
+        const stack = [root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            nodes.set(node.path || '', node);
+            // One push per child: spreading a huge directory would exceed the argument limit
+            if (node.type === 'directory' && node.children) node.children.forEach(child => stack.push(child));
+        }
+        return nodes;
+    }
+
+    /**
+     * Identity of a file's contents, used to recognize it at another path
+     * @param {Object} file - File node
+     * @returns {string} Key
+     */
+    function getContentKey(file) {
+        return file.hash ? `hash:${file.size}|${file.hash}` : `stat:${file.name}|${file.size}|${file.modified}`;
+    }
+
+    /**
+     * Whether a node exists at the same path in both scans as the same kind of thing
+     * @param {Object} oldNode - Node of the older scan, if any
+     * @param {Object} newNode - Node of the newer scan
+     * @returns {boolean} True if they are the same entry
+     */
+    function isSameEntry(oldNode, newNode) {
+        return Boolean(oldNode) && oldNode.type === newNode.type;
+    }
+
+    /**
+     * Whether a file's contents changed between scans
+     * @param {Object} oldFile - File in the older scan
+     * @param {Object} newFile - File in the newer scan
+     * @returns {boolean} True if modified
+     */
+    function isModified(oldFile, newFile) {
+        if (oldFile.size !== newFile.size || oldFile.modified !== newFile.modified) return true;
+        return Boolean(oldFile.hash && newFile.hash && oldFile.hash !== newFile.hash);
+    }
+
+    function getSize(node) {
+        return node.type === 'directory' ? (node.metadata ? node.metadata.size || 0 : 0) : node.size || 0;
+    }
+
+    function emptyCounts() {
+        return { added: 0, removed: 0, modified: 0, moved: 0 };
+    }
+
+    function addCounts(target, source) {
+        target.added += source.added;
+        target.removed += source.removed;
+        target.modified += source.modified;
+        target.moved += source.moved;
+    }
+
+    // Same order as smart_tree.py: directories first, then by name
+    function compareNodes(a, b) {
+        if (a.type !== b.type) return a.type === 'directory' ? -1 : 1;
+        return a.name.toLowerCase().localeCompare(b.name.toLowerCase());
+    }
+
+    /**
+     * Pair removed files with added files that have the same contents
+     * @param {Map} oldNodes - Older scan by path
+     * @param {Map} newNodes - Newer scan by path
+     * @returns {Object} { from: Map(newPath -> oldPath), to: Map(oldPath -> newPath) }
+     */
+    function findMoves(oldNodes, newNodes) {
+        const removedByContent = new Map();
+        oldNodes.forEach((node, path) => {
+            if (node.type !== 'file' || isSameEntry(node, newNodes.get(path) || { type: null })) return;
+            const key = getContentKey(node);
+            if (!removedByContent.has(key)) removedByContent.set(key, []);
+            removedByContent.get(key).push(path);
+        });
+
+        const from = new Map();
+        const to = new Map();
+        newNodes.forEach((node, path) => {
+            if (node.type !== 'file' || isSameEntry(oldNodes.get(path), node)) return;
+            const candidates = removedByContent.get(getContentKey(node));
+            if (!candidates || candidates.length === 0) return;
+            const oldPath = candidates.shift();
+            from.set(path, oldPath);
+            to.set(oldPath, path);
+        });
+        return { from, to };
+    }
+
+    /**
+     * Copy a subtree that only one scan has
+     * @param {Object} node - Node to copy
+     * @param {string} status - 'added' or 'removed'
+     * @param {Object} moves - Result of findMoves
+     * @returns {Object} Copy with diff fields
+     */
+    function markSubtree(node, status, moves) {
+        const counts = emptyCounts();
+        const copy = { ...node };
+        const size = getSize(node);
+
+        if (node.type === 'directory') {
+            counts[status]++;
+            copy.children = (node.children || []).map(child => {
+                const childCopy = markSubtree(child, status, moves);
+                addCounts(counts, childCopy.diff.counts);
+                return childCopy;
+            });
+            copy.diff = { status, sizeDelta: status === 'added' ? size : -size, counts };
+            return copy;
+        }
+
+        // Files moved in or out are one move, counted where they arrived
+        const movedFrom = status === 'added' ? moves.from.get(node.path) : undefined;
+        const movedTo = status === 'removed' ? moves.to.get(node.path) : undefined;
+        if (movedFrom !== undefined) {
+            counts.moved++;
+            copy.diff = { status: 'moved', from: movedFrom, sizeDelta: 0, counts };
+        } else if (movedTo !== undefined) {
+            copy.diff = { status: 'moved', to: movedTo, sizeDelta: 0, counts };
+        } else {
+            counts[status]++;
+            copy.diff = { status, sizeDelta: status === 'added' ? size : -size, counts };
+        }
+        return copy;
+    }
+
+    /**
+     * Merge a directory present in both scans
+     * @param {Object} oldDir - Directory in the older scan
+     * @param {Object} newDir - Directory in the newer scan
+     * @param {Map} oldNodes - Older scan by path
+     * @param {Object} moves - Result of findMoves
+     * @returns {Object} Merged copy
+     */
+    function mergeDirectory(oldDir, newDir, oldNodes, moves) {
+        const counts = emptyCounts();
+        const newTypes = new Map(); // path -> type of the newer scan's children
+        const children = [];
+
+        (newDir.children || []).forEach(child => {
+            const path = child.path || '';
+            newTypes.set(path, child.type);
+            const previous = oldNodes.get(path);
+            let merged;
+            if (!isSameEntry(previous, child)) {
+                merged = markSubtree(child, 'added', moves);
+            } else if (child.type === 'directory') {
+                merged = mergeDirectory(previous, child, oldNodes, moves);
+            } else if (isModified(previous, child)) {
+                merged = {
+                    ...child,
+                    diff: {
+                        status: 'modified',
+                        sizeDelta: getSize(child) - getSize(previous),
+                        previous: { size: previous.size, modified: previous.modified },
+                        counts: { ...emptyCounts(), modified: 1 }
+                    }
+                };
+            } else {
+                merged = { ...child, diff: { status: 'unchanged', sizeDelta: 0, counts: emptyCounts() } };
+            }
+            addCounts(counts, merged.diff.counts);
+            children.push(merged);
+        });
+
+        // Entries only the older scan has, or that changed between file and directory
+        (oldDir.children || []).forEach(child => {
+            const path = child.path || '';
+            if (newTypes.get(path) === child.type) return;
+            const removed = markSubtree(child, 'removed', moves);
+            if (newTypes.has(path)) removed.path = `${path}//removed`; // Keep paths unique; real paths never contain '//'
+            addCounts(counts, removed.diff.counts);
+            children.push(removed);
+        });
+        children.sort(compareNodes);
+
+        // A file moved away is counted where it arrived, so its old directory also looks at the children
+        const changes = counts.added + counts.removed + counts.modified + counts.moved;
+        const changed = changes > 0 || children.some(child => child.diff.status !== 'unchanged');
+        return {
+            ...newDir,
+            children,
+            diff: {
+                status: changed ? 'changed' : 'unchanged',
+                sizeDelta: getSize(newDir) - getSize(oldDir),
+                counts
+            }
+        };
+    }
+
+    /**
+     * Copy of a merged tree without the unchanged entries
+     * @param {Object} node - Merged node
+     * @returns {Object} Pruned copy
+     */
+    function onlyChanges(node) {
+        if (node.type !== 'directory' || !node.children) return node;
+        return {
+            ...node,
+            children: node.children
+                .filter(child => child.diff.status !== 'unchanged')
+                .map(onlyChanges)
+        };
+    }
+
+    /**
+     * Compare two scans
+     * @param {Object} oldTree - Root of the older scan
+     * @param {Object} newTree - Root of the newer scan
+     * @returns {Object} { root: merged tree, changesOnly: merged tree without unchanged entries, counts }
+     */
+    function compare(oldTree, newTree) {
+        const oldNodes = indexByPath(oldTree);
+        const newNodes = indexByPath(newTree);
+        const moves = findMoves(oldNodes, newNodes);
+        const root = mergeDirectory(oldTree, newTree, oldNodes, moves);
+        return {
+            root,
+            changesOnly: onlyChanges(root),
+            counts: root.diff.counts
+        };
+    }
+
+    // Public API
+    return {
+        compare,
+        statuses: STATUSES
+    };
+})();
+
+// Export to window
+window.TreeDiff = TreeDiff;
@@ -0,0 +1,432 @@
+/**
+ * js/tree-loader.js - Directory Tree Loading
+ *
+ * This module loads the tree written by smart_tree.py:
+ * - Whole-file loading with fetch + JSON.parse
+ * - Streaming loading that parses the body as it downloads, reporting byte progress
+ *   and handing out each node as soon as its name, path and type are known
+ * - Sharded loading for very large scans: a manifest with the upper levels of the tree,
+ *   and per-directory shard files fetched the first time a directory is opened
+ *
+ * Streamed nodes are attached to their parent's children in document order while
+ * the rest of the file is still arriving, so the tree can be shown and navigated early.
+ * Given the ETag and Last-Modified of an earlier download, a load asks the server
+ * whether the file changed and resolves to null, without a download, when it has not.
+ */
+
+const TreeLoader = (function() {
+    'use strict';
+
+    const WHITESPACE = new Set([' ', '\t', '\n', '\r']);
+    const SIMPLE_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+    /**
+     * Incremental JSON parser that builds the tree while text arrives
+     * Objects inside a "children" array are held back until their "type" is set,
+     * so a node never shows up in its parent without a name, path and type.
+     */
+    class TreeParser {
+        /**
+         * @param {Object} callbacks - { onRoot(root), onNode(node, parent) }
+         */
+        constructor(callbacks = {}) {
+            this.callbacks = callbacks;
+            this.stack = [];          // Open containers
+            this.root = undefined;
+            this.mode = 'value';      // 'value', 'string', 'literal'
+            this.text = '';           // String or literal collected so far
+            this.escape = '';         // Escape sequence collected so far, inside a string
+            this.position = 0;        // Characters in earlier chunks
+            this.cursor = 0;          // Character being parsed, for error messages
+        }
+
+        /**
+         * Parse the next piece of text
+         * @param {string} chunk - Decoded text
+         */
+        write(chunk) {
+            let i = 0;
+            while (i < chunk.length) {
+                if (this.mode === 'string') {
+                    i = this.readString(chunk, i);
+                    continue;
+                }
+
+                const char = chunk[i];
+                if (this.mode === 'literal') {
+                    if (/[-+.0-9a-zA-Z]/.test(char)) {
+                        this.text += char;
+                        i++;
+                        continue;
+                    }
+                    this.finishLiteral();
+                }
+
+                i++;
+                if (WHITESPACE.has(char)) continue;
+                this.cursor = this.position + i;
+                switch (char) {
+                    case '{': this.openContainer({}, false); break;
+                    case '[': this.openContainer([], true); break;
+                    case '}':
+                    case ']': this.closeContainer(char); break;
+                    case ':':
+                    case ',': break; // Structure is tracked through the stack
+                    case '"':
+                        this.mode = 'string';
+                        this.text = '';
+                        break;
+                    default:
+                        this.mode = 'literal';
+                        this.text = char;
+                }
+            }
+            this.position += chunk.length;
+        }
+
+        /**
+         * Finish parsing once the text has ended
+         * @returns {*} The parsed root value
+         */
+        end() {
+            if (this.mode === 'literal') this.finishLiteral();
+            if (this.mode === 'string' || this.stack.length > 0 || this.root === undefined) {
+                throw new Error('The directory data ended unexpectedly.');
+            }
+            return this.root;
+        }
+
+        /**
+         * Consume string characters up to the closing quote
+         * @param {string} chunk - Text being parsed
+         * @param {number} start - Index to continue from
+         * @returns {number} Index after what was consumed
+         */
+        readString(chunk, start) {
+            let i = start;
+            while (i < chunk.length) {
+                if (this.escape) {
+                    this.escape += chunk[i++];
+                    if (this.escape[1] === 'u') {
+                        if (this.escape.length < 6) continue;
+                        this.text += String.fromCharCode(parseInt(this.escape.slice(2), 16));
+                    } else {
+                        const replacement = SIMPLE_ESCAPES[this.escape[1]];
+                        if (replacement === undefined) {
+                            throw new Error(`Invalid escape in directory data near character ${this.position + i}.`);
+                        }
+                        this.text += replacement;
+                    }
+                    this.escape = '';
+                    continue;
+                }
+
+                // Copy plain runs in one step
+                const quote = chunk.indexOf('"', i);
+                const backslash = chunk.indexOf('\\', i);
+                const stop = quote === -1 ? backslash : (backslash === -1 ? quote : Math.min(quote, backslash));
+                if (stop === -1) {
+                    this.text += chunk.slice(i);
+                    return chunk.length;
+                }
+
+                this.text += chunk.slice(i, stop);
+                i = stop + 1;
+                if (chunk[stop] === '\\') {
+                    this.escape = '\\';
+                    continue;
+                }
+
+                this.mode = 'value';
+                this.finishString();
+                return i;
+            }
+            return i;
+        }
+
+        /**
+         * A string is either an object key or a value
+         */
+        finishString() {
+            const frame = this.stack[this.stack.length - 1];
+            if (frame && !frame.isArray && frame.key === null) {
+                frame.key = this.text;
+            } else {
+                this.setValue(this.text);
+            }
+            this.text = '';
+        }
+
+        /**
+         * Convert a number, true, false or null
+         */
+        finishLiteral() {
+            const text = this.text;
+            let value;
+            if (text === 'true') value = true;
+            else if (text === 'false') value = false;
+            else if (text === 'null') value = null;
+            else {
+                value = Number(text);
+                if (text === '' || isNaN(value)) {
+                    throw new Error(`Unexpected "${text}" in directory data near character ${this.cursor}.`);
+                }
+            }
+            this.mode = 'value';
+            this.text = '';
+            this.setValue(value);
+        }
+
+        /**
+         * Store a value in the innermost container
+         * @param {*} value - Parsed value
+         */
+        setValue(value) {
+            const frame = this.stack[this.stack.length - 1];
+            if (!frame) {
+                this.root = value;
+                return;
+            }
+            if (frame.isArray) {
+                frame.container.push(value);
+                return;
+            }
+
+            frame.container[frame.key] = value;
+            if (frame.pending && frame.key === 'type') this.attachNode(frame);
+            frame.key = null;
+        }
+
+        /**
+         * Start an object or array
+         * @param {Object|Array} container - New empty container
+         * @param {boolean} isArray - Whether it is an array
+         */
+        openContainer(container, isArray) {
+            const parent = this.stack[this.stack.length - 1];
+            const frame = { container, isArray, key: null, pending: false };
+
+            if (isArray) {
+                // Remember which key holds the array, to spot "children"
+                frame.arrayKey = parent && !parent.isArray ? parent.key : null;
+                frame.owner = parent ? parent.container : null;
+                this.setValue(container);
+            } else if (!parent) {
+                frame.pending = true; // The root node
+            } else if (parent.isArray && parent.arrayKey === 'children') {
+                frame.pending = true;
+                frame.siblings = parent.container;
+                frame.parentNode = parent.owner;
+            } else {
+                this.setValue(container);
+            }
+
+            this.stack.push(frame);
+        }
+
+        /**
+         * End the innermost container
+         * @param {string} char - Closing bracket
+         */
+        closeContainer(char) {
+            const frame = this.stack.pop();
+            if (!frame || frame.isArray !== (char === ']')) {
+                throw new Error(`Unexpected "${char}" in directory data near character ${this.cursor}.`);
+            }
+            if (frame.pending) this.attachNode(frame); // A node without a type still belongs to the tree
+        }
+
+        /**
+         * Put a node into the tree now that it can be shown
+         * @param {Object} frame - Frame of the node's object
+         */
+        attachNode(frame) {
+            frame.pending = false;
+            if (!frame.siblings) {
+                this.root = frame.container;
+                if (this.callbacks.onRoot) this.callbacks.onRoot(frame.container);
+                return;
+            }
+            frame.siblings.push(frame.container);
+            if (this.callbacks.onNode) this.callbacks.onNode(frame.container, frame.parentNode);
+        }
+    }
+
+    /**
+     * Request the data file, conditionally when validators of an earlier response are given
+     * @param {string} url - Data URL
+     * @param {Object} options - { signal, validators: { etag, lastModified }, onValidators(validators) }
+     * @returns {Promise<Response|null>} The response, or null when the file is unchanged (304)
+     */
+    async function request(url, options) {
+        const headers = {};
+        const validators = options.validators || {};
+        if (validators.etag) headers['If-None-Match'] = validators.etag;
+        if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+        const response = await fetch(url, { signal: options.signal, headers });
+        if (response.status === 304) return null;
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        if (options.onValidators) {
+            options.onValidators({
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified')
+            });
+        }
+        return response;
+    }
+
+    /**
+     * Load the whole file, then parse it
+     * @param {string} url - Data URL
+     * @param {Object} options - { signal, onProgress, validators, onValidators }
+     * @returns {Promise<Object|null>} Root node, or null when unchanged since the validators
+     */
+    async function loadWhole(url, options = {}) {
+        const response = await request(url, options);
+        if (!response) return null;
+        const root = await response.json();
+        if (options.onProgress) options.onProgress(1, 1);
+        return root;
+    }
+
+    /**
+     * Download and parse the file at the same time
+     * @param {string} url - Data URL
+     * @param {Object} options - { signal, onProgress(loaded, total), onRoot(root), onNode(node, parent), validators, onValidators }
+     * @returns {Promise<Object|null>} Root node, once the whole file has been parsed; null when unchanged
+     */
+    async function loadStreaming(url, options = {}) {
+        const response = await request(url, options);
+        if (!response) return null;
+        if (!response.body || !response.body.getReader) {
+            // Streaming bodies are unsupported; parse once it has all arrived
+            const root = await response.json();
+            if (options.onRoot) options.onRoot(root);
+            if (options.onProgress) options.onProgress(1, 1);
+            return root;
+        }
+
+        // Compressed responses report the compressed length, so progress is capped below
+        const total = parseInt(response.headers.get('Content-Length') || '0', 10) || 0;
+        const parser = new TreeParser({ onRoot: options.onRoot, onNode: options.onNode });
+        const decoder = new TextDecoder();
+        const reader = response.body.getReader();
+        let loaded = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            loaded += value.length;
+            parser.write(decoder.decode(value, { stream: true }));
+            if (options.onProgress) options.onProgress(loaded, total);
+        }
+        parser.write(decoder.decode());
+        return parser.end();
+    }
+
+    /**
+     * Load the directory tree
+     * @param {string} url - Data URL
+     * @param {Object} options - { streaming, signal, onProgress, onRoot, onNode, validators, onValidators }
+     * @returns {Promise<Object|null>} Root node, or null when unchanged since the validators
+     */
+    function load(url, options = {}) {
+        return options.streaming ? loadStreaming(url, options) : loadWhole(url, options);
+    }
+
+    /**
+     * Loads a sharded scan (smart_tree.py --shard-depth)
+     * The manifest is the root node with the upper levels of the tree. Directories
+     * below them have no children yet; "children_shard" names the file, relative to
+     * the manifest, that holds { path, children } for that directory.
+     */
+    class ShardLoader {
+        /**
+         * @param {string} manifestUrl - URL of the manifest
+         * @param {Object} options - { onLoad(directory) called once each directory's children are attached }
+         */
+        constructor(manifestUrl, options = {}) {
+            this.manifestUrl = new URL(manifestUrl, document.baseURI).href;
+            this.options = options;
+            this.shards = new Map(); // Shard URL -> Promise of the directory it filled
+        }
+
+        /**
+         * Fetch the manifest
+         * @param {Object} options - { signal }
+         * @returns {Promise<Object|null>} Root node, or null when the scan is not sharded
+         */
+        async loadManifest(options = {}) {
+            const response = await fetch(this.manifestUrl, { signal: options.signal });
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return response.json();
+        }
+
+        /**
+         * Whether a directory's children are still in an unfetched shard
+         * @param {Object} directory - Directory node
+         * @returns {boolean} True until its shard is attached
+         */
+        isPending(directory) {
+            return Boolean(directory && directory.type === 'directory' && directory.children_shard && !directory.children);
+        }
+
+        /**
+         * Fetch a directory's shard and attach its children
+         * Each shard is fetched once; later calls share the same promise.
+         * A failed fetch is forgotten, so the next call tries again.
+         * @param {Object} directory - Directory node with a children_shard
+         * @returns {Promise<Object>} The directory, with its children attached
+         */
+        loadChildren(directory) {
+            if (!this.isPending(directory)) return Promise.resolve(directory);
+
+            const url = new URL(directory.children_shard, this.manifestUrl).href;
+            let request = this.shards.get(url);
+            if (!request) {
+                request = this.fetchShard(url, directory);
+                request.catch(() => this.shards.delete(url));
+                this.shards.set(url, request);
+            }
+            return request;
+        }
+
+        /**
+         * Fetch one shard file and put its children into the tree
+         * @param {string} url - Shard URL
+         * @param {Object} directory - Directory the shard belongs to
+         * @returns {Promise<Object>} The directory
+         */
+        async fetchShard(url, directory) {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const shard = await response.json();
+            if (!shard || !Array.isArray(shard.children) || (shard.path || '') !== (directory.path || '')) {
+                throw new Error(`Shard ${directory.children_shard} does not belong to ${directory.path || 'the root'}.`);
+            }
+
+            directory.children = shard.children;
+            delete directory.children_shard;
+            if (this.options.onLoad) this.options.onLoad(directory);
+            return directory;
+        }
+    }
+
+    // Public API
+    return {
+        load,
+        TreeParser,
+        ShardLoader
+    };
+})();
+
+// Export to window
+window.TreeLoader = TreeLoader;
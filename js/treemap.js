@@ -0,0 +1,381 @@
+/**
+ * js/treemap.js - Squarified Treemap View
+ *
+ * This module draws the current directory as a treemap so it is obvious
+ * what takes up the space:
+ * - Rectangle areas proportional to bytes (file size, directory metadata.size)
+ * - Squarified layout keeping rectangles close to square
+ * - Colors by file_type_group, with subdirectories showing their contents nested
+ * - Items too small to see are merged into a single "more" rectangle
+ */
+
+class TreemapView {
+    /**
+     * Create a new treemap view
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} options - Configuration options
+     */
+    constructor(container, options = {}) {
+        this.options = {
+            maxDepth: 2,              // Levels drawn below the current directory
+            maxCells: 2500,           // Stop nesting once this many rectangles exist
+            minCellArea: 64,          // Smaller items (px²) are merged into one rectangle
+            headerHeight: 18,         // Title strip of a nested directory
+            padding: 2,               // Gap around nested contents
+            minLabelWidth: 48,        // Smaller rectangles get no text
+            minLabelHeight: 16,
+            formatSize: (bytes) => `${bytes} B`,
+            onNavigate: null,         // Called with a directory item to zoom into
+            onSelect: null,           // Called with (item, element) on click
+            onOpen: null,             // Called with a file item on double-click
+            onContextMenu: null,      // Called with (event, item, element)
+            ...options
+        };
+
+        this.container = container;
+        this.directory = null;
+        this.cellItems = new Map();   // Cell element -> tree item
+        this.cellCount = 0;
+        this.visible = false;
+
+        this.buildDom();
+    }
+
+    /**
+     * Build the drawing surface and legend
+     */
+    buildDom() {
+        this.root = document.createElement('div');
+        this.root.className = 'treemap-view';
+        this.root.hidden = true;
+
+        this.canvas = document.createElement('div');
+        this.canvas.className = 'treemap-canvas';
+        this.legend = document.createElement('div');
+        this.legend.className = 'treemap-legend';
+
+        this.root.appendChild(this.canvas);
+        this.root.appendChild(this.legend);
+        this.container.appendChild(this.root);
+
+        // One set of listeners for every rectangle
+        this.canvas.addEventListener('click', (e) => {
+            const { item, element } = this.getCellFromEvent(e);
+            if (!item) return;
+            if (item.type === 'directory' && this.options.onNavigate) {
+                this.options.onNavigate(item);
+            } else if (this.options.onSelect) {
+                this.options.onSelect(item, element);
+            }
+        });
+        this.canvas.addEventListener('dblclick', (e) => {
+            const { item } = this.getCellFromEvent(e);
+            if (item && item.type === 'file' && this.options.onOpen) {
+                this.options.onOpen(item);
+            }
+        });
+        this.canvas.addEventListener('contextmenu', (e) => {
+            const { item, element } = this.getCellFromEvent(e);
+            if (item && this.options.onContextMenu) {
+                this.options.onContextMenu(e, item, element);
+            }
+        });
+
+        // Re-fit when the view changes size
+        this.resizeObserver = new ResizeObserver(() => {
+            if (!this.visible || !this.directory) return;
+            cancelAnimationFrame(this.resizeFrame);
+            this.resizeFrame = requestAnimationFrame(() => this.render(this.directory));
+        });
+        this.resizeObserver.observe(this.canvas);
+    }
+
+    /**
+     * Show or hide the view
+     * @param {boolean} visible - Whether the treemap is the active view
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.root.hidden = !visible;
+        if (!visible) {
+            this.canvas.innerHTML = '';
+            this.cellItems.clear();
+        }
+    }
+
+    /**
+     * Draw a directory
+     * @param {Object} directory - Directory item with children
+     */
+    render(directory) {
+        this.directory = directory;
+        this.canvas.innerHTML = '';
+        this.cellItems.clear();
+        this.cellCount = 0;
+
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        const children = (directory && directory.children) || [];
+
+        if (!children.some(child => TreemapView.getSize(child) > 0)) {
+            this.canvas.innerHTML = '<p class="empty-directory-message">Nothing in this directory takes up any space.</p>';
+            this.renderLegend([]);
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        this.renderLevel(children, { x: 0, y: 0, width, height }, 1, fragment);
+        this.canvas.appendChild(fragment);
+        this.renderLegend(children);
+    }
+
+    /**
+     * Lay out one level of the tree inside a rectangle
+     * @param {Array} items - Items to place
+     * @param {Object} rect - Available rectangle
+     * @param {number} depth - 1 for the current directory's children
+     * @param {DocumentFragment} fragment - Where cells are appended
+     */
+    renderLevel(items, rect, depth, fragment) {
+        const weighted = items
+            .map(item => ({ item, size: TreemapView.getSize(item) }))
+            .filter(entry => entry.size > 0)
+            .sort((a, b) => b.size - a.size);
+        if (weighted.length === 0 || rect.width <= 0 || rect.height <= 0) return;
+
+        const total = weighted.reduce((sum, entry) => sum + entry.size, 0);
+        const pixelsPerByte = (rect.width * rect.height) / total;
+
+        // Merge the tail of tiny items so they stay clickable as a group
+        const entries = [];
+        let rest = null;
+        weighted.forEach(entry => {
+            if (entry.size * pixelsPerByte >= this.options.minCellArea) {
+                entries.push(entry);
+            } else {
+                rest = rest || { item: null, size: 0, count: 0 };
+                rest.size += entry.size;
+                rest.count++;
+            }
+        });
+        if (rest) entries.push(rest);
+
+        const rects = TreemapView.squarify(entries.map(entry => entry.size * pixelsPerByte), rect);
+        entries.forEach((entry, index) => {
+            this.renderCell(entry, rects[index], depth, fragment);
+        });
+    }
+
+    /**
+     * Draw one rectangle, recursing into directories with room to spare
+     * @param {Object} entry - { item, size } or a merged { count, size }
+     * @param {Object} rect - Rectangle to fill
+     * @param {number} depth - Nesting depth
+     * @param {DocumentFragment} fragment - Where cells are appended
+     */
+    renderCell(entry, rect, depth, fragment) {
+        const { item, size } = entry;
+        const { formatSize, headerHeight, padding, minLabelWidth, minLabelHeight } = this.options;
+        this.cellCount++;
+
+        const cell = document.createElement('div');
+        cell.style.left = `${rect.x}px`;
+        cell.style.top = `${rect.y}px`;
+        cell.style.width = `${rect.width}px`;
+        cell.style.height = `${rect.height}px`;
+
+        if (!item) {
+            cell.className = 'treemap-cell treemap-rest';
+            cell.title = `${entry.count} smaller items — ${formatSize(size)}`;
+            fragment.appendChild(cell);
+            return;
+        }
+
+        cell.className = `treemap-cell ${item.type} depth-${depth}`;
+        if (item.type === 'file') {
+            cell.classList.add(`group-${item.file_type_group || 'other'}`);
+        }
+        cell.dataset.path = item.path;
+        cell.title = `${item.name} — ${formatSize(size)}`;
+        this.cellItems.set(cell, item);
+
+        if (rect.width >= minLabelWidth && rect.height >= minLabelHeight) {
+            const label = document.createElement('span');
+            label.className = 'treemap-label';
+            label.textContent = item.name;
+            if (rect.height >= minLabelHeight * 2) {
+                const sizeLabel = document.createElement('span');
+                sizeLabel.className = 'treemap-size';
+                sizeLabel.textContent = formatSize(size);
+                label.appendChild(sizeLabel);
+            }
+            cell.appendChild(label);
+        }
+        fragment.appendChild(cell);
+
+        // Nest the directory's own contents below its title strip
+        const inner = {
+            x: rect.x + padding,
+            y: rect.y + headerHeight,
+            width: rect.width - padding * 2,
+            height: rect.height - headerHeight - padding
+        };
+        const canNest = item.type === 'directory' &&
+            item.children && item.children.length > 0 &&
+            depth < this.options.maxDepth &&
+            this.cellCount < this.options.maxCells &&
+            inner.width * inner.height >= this.options.minCellArea * 4;
+
+        if (canNest) {
+            cell.classList.add('nested');
+            this.renderLevel(item.children, inner, depth + 1, fragment);
+        }
+    }
+
+    /**
+     * Summarize bytes per file type group for the legend
+     * @param {Array} items - Current directory's children
+     */
+    renderLegend(items) {
+        const totals = new Map();
+        const addItem = (item) => {
+            if (item.type === 'directory') {
+                (item.children || []).forEach(addItem);
+                // Directories whose children were not scanned only know their total
+                if (!item.children || item.children.length === 0) {
+                    totals.set('directory', (totals.get('directory') || 0) + TreemapView.getSize(item));
+                }
+            } else {
+                const group = item.file_type_group || 'other';
+                totals.set(group, (totals.get(group) || 0) + (item.size || 0));
+            }
+        };
+        items.forEach(addItem);
+
+        this.legend.innerHTML = '';
+        Array.from(totals)
+            .filter(([, bytes]) => bytes > 0)
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([group, bytes]) => {
+                const entry = document.createElement('span');
+                entry.className = 'treemap-legend-item';
+                const swatch = document.createElement('span');
+                swatch.className = `treemap-swatch group-${group}`;
+                entry.appendChild(swatch);
+                entry.appendChild(document.createTextNode(`${group} ${this.options.formatSize(bytes)}`));
+                this.legend.appendChild(entry);
+            });
+    }
+
+    /**
+     * Find the rectangle under an event
+     * @param {Event} event - DOM event
+     * @returns {Object} { item, element }, empty when nothing was hit
+     */
+    getCellFromEvent(event) {
+        const element = event.target.closest('.treemap-cell');
+        return { item: element ? this.cellItems.get(element) : null, element };
+    }
+
+    /**
+     * Highlight a rectangle, e.g. the selected item
+     * @param {string} path - Item path
+     */
+    highlightItem(path) {
+        this.canvas.querySelectorAll('.treemap-cell.focused').forEach(cell => cell.classList.remove('focused'));
+        const cell = this.canvas.querySelector(`.treemap-cell[data-path="${CSS.escape(path)}"]`);
+        if (cell) cell.classList.add('focused');
+    }
+
+    /**
+     * Bytes an item occupies
+     * @param {Object} item - Tree item
+     * @returns {number} Size in bytes
+     */
+    static getSize(item) {
+        if (item.type === 'directory') {
+            return (item.metadata && item.metadata.size) || 0;
+        }
+        return item.size || 0;
+    }
+
+    /**
+     * Squarified treemap layout (Bruls, Huizing & van Wijk)
+     * @param {Array<number>} areas - Areas in descending order, summing to the rectangle's area
+     * @param {Object} rect - { x, y, width, height }
+     * @returns {Array<Object>} One rectangle per area, in the same order
+     */
+    static squarify(areas, rect) {
+        const rects = [];
+        let { x, y, width, height } = rect;
+        let row = [];
+        let rowArea = 0;
+
+        // Worst aspect ratio in a row laid along a side of the given length
+        const worst = (rowAreas, sum, side) => {
+            const max = Math.max(...rowAreas);
+            const min = Math.min(...rowAreas);
+            const sideSquared = side * side;
+            const sumSquared = sum * sum;
+            return Math.max((sideSquared * max) / sumSquared, sumSquared / (sideSquared * min));
+        };
+
+        // Place a finished row along the shorter side and shrink the free space
+        const layoutRow = () => {
+            if (width >= height) {
+                const columnWidth = height > 0 ? rowArea / height : 0;
+                let offset = y;
+                row.forEach(area => {
+                    const cellHeight = columnWidth > 0 ? area / columnWidth : 0;
+                    rects.push({ x, y: offset, width: columnWidth, height: cellHeight });
+                    offset += cellHeight;
+                });
+                x += columnWidth;
+                width -= columnWidth;
+            } else {
+                const rowHeight = width > 0 ? rowArea / width : 0;
+                let offset = x;
+                row.forEach(area => {
+                    const cellWidth = rowHeight > 0 ? area / rowHeight : 0;
+                    rects.push({ x: offset, y, width: cellWidth, height: rowHeight });
+                    offset += cellWidth;
+                });
+                y += rowHeight;
+                height -= rowHeight;
+            }
+            row = [];
+            rowArea = 0;
+        };
+
+        let index = 0;
+        while (index < areas.length) {
+            const area = areas[index];
+            const side = Math.min(width, height);
+
+            if (row.length === 0 || worst([...row, area], rowArea + area, side) <= worst(row, rowArea, side)) {
+                row.push(area);
+                rowArea += area;
+                index++;
+            } else {
+                layoutRow();
+            }
+        }
+        if (row.length > 0) layoutRow();
+
+        return rects;
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.resizeObserver.disconnect();
+        cancelAnimationFrame(this.resizeFrame);
+        if (this.root.parentNode) {
+            this.root.parentNode.removeChild(this.root);
+        }
+    }
+}
+
+// Export to window
+window.TreemapView = TreemapView;
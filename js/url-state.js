@@ -0,0 +1,146 @@
+/**
+ * js/url-state.js - Deep Links in the URL Hash
+ *
+ * This module turns where the user is into a link and back:
+ * - The current directory is the hash path: #/photos/2024
+ * - The selection, zoom, pan and search follow as parameters:
+ *   #/photos/2024?sel=photos/2024/beach.jpg&z=1.5&x=-120&y=40&q=ext:jpg&m=fuzzy
+ * - Defaults are left out, so a plain directory link stays short
+ *
+ * The hash works with any static server and with pages opened from file://.
+ * History entries carry { historyIndex } so the app can line the browser's
+ * back/forward buttons up with its own history.
+ */
+
+const UrlState = (function() {
+    'use strict';
+
+    const DEFAULT_ROUTE = {
+        path: '',
+        selected: null,
+        zoom: null,
+        pan: null,
+        query: '',
+        mode: null
+    };
+
+    /**
+     * Read a route from a hash
+     * @param {string} hash - location.hash, with or without the leading '#'
+     * @returns {Object} { path, selected, zoom, pan: {x, y}|null, query, mode }
+     */
+    function parse(hash) {
+        const text = (hash || '').replace(/^#/, '');
+        const route = { ...DEFAULT_ROUTE };
+        if (!text.startsWith('/')) return route;
+
+        const queryStart = text.indexOf('?');
+        const pathPart = queryStart === -1 ? text.slice(1) : text.slice(1, queryStart);
+        route.path = decodePath(pathPart);
+
+        const params = new URLSearchParams(queryStart === -1 ? '' : text.slice(queryStart + 1));
+        route.selected = params.get('sel');
+        route.query = params.get('q') || '';
+        route.mode = params.get('m');
+
+        const zoom = parseFloat(params.get('z'));
+        if (isFinite(zoom) && zoom > 0) route.zoom = zoom;
+
+        const x = parseFloat(params.get('x'));
+        const y = parseFloat(params.get('y'));
+        if (isFinite(x) && isFinite(y)) route.pan = { x, y };
+
+        return route;
+    }
+
+    /**
+     * Write a route as a hash
+     * @param {Object} route - Route fields; missing ones take their defaults
+     * @returns {string} Hash including the leading '#'
+     */
+    function format(route) {
+        const params = new URLSearchParams();
+        if (route.selected) params.set('sel', route.selected);
+        if (route.zoom && Math.abs(route.zoom - 1) > 0.001) params.set('z', String(Math.round(route.zoom * 1000) / 1000));
+        if (route.pan && (Math.round(route.pan.x) !== 0 || Math.round(route.pan.y) !== 0)) {
+            params.set('x', String(Math.round(route.pan.x)));
+            params.set('y', String(Math.round(route.pan.y)));
+        }
+        if (route.query) {
+            params.set('q', route.query);
+            if (route.mode && route.mode !== 'text') params.set('m', route.mode);
+        }
+
+        // Keep slashes and colons readable; URLSearchParams encodes them otherwise
+        const search = params.toString().replace(/%2F/gi, '/').replace(/%3A/gi, ':');
+        return `#/${encodePath(route.path || '')}${search ? `?${search}` : ''}`;
+    }
+
+    /**
+     * Encode a tree path for the hash, one segment at a time
+     * @param {string} path - Tree path
+     * @returns {string} Encoded path
+     */
+    function encodePath(path) {
+        return path ? path.split('/').map(encodeURIComponent).join('/') : '';
+    }
+
+    /**
+     * Decode a hash path; malformed escapes are kept as typed
+     * @param {string} text - Encoded path
+     * @returns {string} Tree path
+     */
+    function decodePath(text) {
+        return text.split('/').filter(Boolean).map(segment => {
+            try {
+                return decodeURIComponent(segment);
+            } catch (error) {
+                return segment;
+            }
+        }).join('/');
+    }
+
+    /**
+     * Route of the current page URL
+     * @returns {Object} Route
+     */
+    function read() {
+        return parse(window.location.hash);
+    }
+
+    /**
+     * Put a route in the address bar
+     * @param {Object} route - Route to show
+     * @param {Object} options - { push: add a history entry instead of replacing, historyIndex }
+     * @returns {boolean} False if the browser refused to change history
+     */
+    function write(route, options = {}) {
+        const hash = format(route);
+        const state = { historyIndex: options.historyIndex };
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+        try {
+            if (options.push) {
+                window.history.pushState(state, '', url);
+            } else if (window.location.hash !== hash || !window.history.state ||
+                window.history.state.historyIndex !== state.historyIndex) {
+                window.history.replaceState(state, '', url);
+            }
+            return true;
+        } catch (error) {
+            // Some browsers refuse history changes on file:// pages; the app still works without links
+            console.warn('UrlState: could not update the URL:', error);
+            return false;
+        }
+    }
+
+    // Public API
+    return {
+        parse,
+        format,
+        read,
+        write
+    };
+})();
+
+// Export to window
+window.UrlState = UrlState;
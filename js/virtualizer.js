@@ -36,6 +36,9 @@ class VirtualizedRenderer {
             lodLevels: 3,                            // Levels of detail (1 = no LOD)
             lodThresholds: [1.0, 0.5, 0.2],          // Zoom thresholds for LOD levels
             detailDistanceThreshold: 300,            // Distance at which to switch detail levels
+            previewChildren: 9,                      // Child icons shown inside detailed directory tiles
+            onChildrenNeeded: null,                  // Called with a directory tile whose children are not loaded yet
+            describeItem: null,                      // Returns an item's accessible name; defaults to its name
             enableCulling: true,                     // Whether to cull items outside view
             
             // Debugging
@@ -53,6 +56,11 @@ class VirtualizedRenderer {
         this.viewport = document.querySelector(this.options.viewportSelector) || this.container;
         this.visibleItems = new Map();        // Map of visible item elements by path
         this.itemData = new Map();            // Map of all item data by path
+        this.marks = new Map();               // Class name -> Set of paths drawn with it
+        this.focusedPath = null;              // Highlighted item, the one keyboard focus moves from
+        this.itemOrder = new Map();           // Path -> position among the items, for aria-posinset
+        this.links = [];                      // Edges drawn between items: { from, to, active }
+        this.linkLayer = null;                // SVG the edges are drawn in, created on first use
         this.recycledElements = new Map();    // Pool of elements to reuse by type
         this.viewportRect = null;             // Current viewport dimensions
         this.containerRect = null;            // Container dimensions 
@@ -137,15 +145,13 @@ class VirtualizedRenderer {
         const resetElement = (el) => {
             el.style.display = 'none';
             el.style.transform = '';
-            el.classList.remove('focused');
+            el.classList.remove('focused', ...this.marks.keys());
             el.removeAttribute('data-path');
             
-            // Remove event listeners by cloning and replacing
-            const clone = el.cloneNode(true);
+            // Listeners look the item up by path, so the element can be reused as is
             if (el.parentNode) {
-                el.parentNode.replaceChild(clone, el);
+                el.parentNode.removeChild(el);
             }
-            return clone;
         };
         
         // Create pools using Performance module
@@ -583,6 +589,35 @@ class VirtualizedRenderer {
         const detailLevel = this.getDetailLevel(item);
         element.dataset.detailLevel = detailLevel;
         
+        // Stand-ins for children that are still loading
+        element.classList.toggle('placeholder', item.type === 'placeholder');
+        this.marks.forEach((paths, className) => element.classList.toggle(className, paths.has(item.path)));
+        
+        // Roving focus: only the highlighted item is reachable with Tab
+        const isFocused = item.path === this.focusedPath;
+        element.classList.toggle('focused', isFocused);
+        element.tabIndex = isFocused ? 0 : -1;
+        
+        // Screen readers: a tree item that knows its place among all items, even those not in the DOM
+        if (item.type === 'placeholder') {
+            element.removeAttribute('role');
+            element.setAttribute('aria-hidden', 'true');
+        } else {
+            element.removeAttribute('aria-hidden');
+            element.setAttribute('role', 'treeitem');
+            element.setAttribute('aria-label', this.options.describeItem ? this.options.describeItem(item) : item.name);
+            element.setAttribute('aria-setsize', this.itemOrder.size);
+            element.setAttribute('aria-posinset', this.itemOrder.get(item.path) + 1);
+        }
+        this.updateAriaSelected(element);
+        
+        // Change between two compared scans, if any
+        if (item.diff) {
+            element.dataset.diff = item.diff.status;
+        } else {
+            delete element.dataset.diff;
+        }
+        
         // Update icon
         const iconElement = element.querySelector('.spatial-item-icon i');
         if (iconElement) {
@@ -597,39 +632,97 @@ class VirtualizedRenderer {
             nameElement.title = item.name; // For tooltip on hover
         }
         
+        // Directories act as containers: their children appear as detail increases
+        if (item.type === 'directory') {
+            this.updateDirectoryPreview(element, item, detailLevel);
+        }
+        
         // Add event listeners if not already added
         if (!element.dataset.hasListeners) {
-            element.addEventListener('click', (e) => {
-                // Dispatch custom event
-                const event = new CustomEvent('item:click', {
+            // Recycled elements show other items later, so resolve the item when the event fires
+            const dispatch = (type, e) => {
+                const current = this.itemData.get(element.dataset.path);
+                if (!current || current.type === 'placeholder') return;
+                const event = new CustomEvent(type, {
                     bubbles: true,
-                    detail: { item, element, originalEvent: e }
+                    detail: { item: current, element, originalEvent: e }
                 });
                 this.container.dispatchEvent(event);
-            });
+            };
             
-            element.addEventListener('dblclick', (e) => {
-                // Dispatch custom event
-                const event = new CustomEvent('item:dblclick', {
-                    bubbles: true,
-                    detail: { item, element, originalEvent: e }
-                });
-                this.container.dispatchEvent(event);
-            });
-            
-            element.addEventListener('contextmenu', (e) => {
-                // Dispatch custom event
-                const event = new CustomEvent('item:contextmenu', {
-                    bubbles: true,
-                    detail: { item, element, originalEvent: e }
-                });
-                this.container.dispatchEvent(event);
-            });
+            element.addEventListener('click', (e) => dispatch('item:click', e));
+            element.addEventListener('dblclick', (e) => dispatch('item:dblclick', e));
+            element.addEventListener('contextmenu', (e) => dispatch('item:contextmenu', e));
             
             element.dataset.hasListeners = 'true';
         }
     }
     
+    /**
+     * Show a directory's contents inside its tile according to detail level:
+     * level 1 shows child icons, level 2 a child count, level 3 just the folder.
+     * Children that are not loaded yet show a spinner and are asked for.
+     * @param {HTMLElement} element - Directory element
+     * @param {Object} item - Directory item
+     * @param {number} detailLevel - Current detail level
+     */
+    updateDirectoryPreview(element, item, detailLevel) {
+        const iconElement = element.querySelector('.spatial-item-icon');
+        if (!iconElement) return;
+        
+        const children = item.children || [];
+        const isLoading = !item.children && Boolean(item.children_shard);
+        let preview = iconElement.querySelector('.spatial-item-preview');
+        
+        if (detailLevel > 2 || (children.length === 0 && !isLoading)) {
+            if (preview) preview.remove();
+            element.classList.remove('expanded');
+            return;
+        }
+        
+        // Skip rebuilding when the element already shows this item at this level
+        const key = `${item.path}|${detailLevel}|${isLoading ? 'loading' : children.length}`;
+        if (preview && preview.dataset.key === key) return;
+        
+        if (!preview) {
+            preview = document.createElement('div');
+            iconElement.appendChild(preview);
+        }
+        preview.dataset.key = key;
+        preview.innerHTML = '';
+        
+        if (isLoading) {
+            preview.className = 'spatial-item-preview count loading';
+            preview.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+            element.classList.remove('expanded');
+            if (this.options.onChildrenNeeded) this.options.onChildrenNeeded(item);
+            return;
+        }
+        
+        if (detailLevel === 2) {
+            preview.className = 'spatial-item-preview count';
+            preview.textContent = children.length;
+            element.classList.remove('expanded');
+            return;
+        }
+        
+        preview.className = 'spatial-item-preview grid';
+        const shown = children.slice(0, this.options.previewChildren);
+        shown.forEach(child => {
+            const childIcon = document.createElement('i');
+            childIcon.className = this.getIconClass(child);
+            childIcon.title = child.name;
+            preview.appendChild(childIcon);
+        });
+        if (children.length > shown.length) {
+            const more = document.createElement('span');
+            more.className = 'preview-more';
+            more.textContent = `+${children.length - shown.length}`;
+            preview.appendChild(more);
+        }
+        element.classList.add('expanded');
+    }
+    
     /**
      * Get the appropriate icon class for an item
      * @param {Object} item - The item
@@ -639,9 +732,16 @@ class VirtualizedRenderer {
         if (item.type === 'directory') {
             return 'fas fa-folder';
         }
+        if (item.type === 'placeholder') {
+            return 'fas fa-ellipsis-h';
+        }
         
-        // Determine based on file extension or type
-        const fileType = item.fileType || 'file';
+        // Determine based on file extension or type, falling back to the scanner's group
+        const groupTypes = {
+            images: 'image', video: 'video', audio: 'audio', documents: 'document',
+            code: 'code', archives: 'archive', data: 'text'
+        };
+        const fileType = item.fileType || groupTypes[item.file_type_group] || 'file';
         
         const iconMap = {
             'image': 'fas fa-file-image',
@@ -742,10 +842,22 @@ class VirtualizedRenderer {
         items.forEach(item => {
             this.itemData.set(item.path, item);
         });
+        this.indexItemOrder();
+        
+        // Recycle elements of items that are gone; the rest are moved by the next render
+        this.visibleItems.forEach((element, path) => {
+            if (!this.itemData.has(path)) {
+                this.recycleElement(element);
+                this.visibleItems.delete(path);
+            }
+        });
         
         // Rebuild spatial index
         this.buildSpatialIndex();
         
+        // Edges follow the new positions
+        this.drawLinks();
+        
         // Schedule a render
         this.scheduleRender();
     }
@@ -902,19 +1014,199 @@ class VirtualizedRenderer {
     
     /**
      * Highlight an item
-     * @param {string} itemPath - Path of item to highlight
+     * The highlight is kept by path, so it comes back when the item scrolls into view again.
+     * @param {string|null} itemPath - Path of item to highlight, or null for none
      */
     highlightItem(itemPath) {
-        // Remove highlight from all items
-        this.visibleItems.forEach((element) => {
-            element.classList.remove('focused');
+        this.focusedPath = itemPath;
+        
+        // Move the highlight and the Tab stop
+        this.visibleItems.forEach((element, path) => {
+            element.classList.toggle('focused', path === itemPath);
+            element.tabIndex = path === itemPath ? 0 : -1;
+            this.updateAriaSelected(element);
+        });
+    }
+    
+    /**
+     * Number the items in order, skipping loading placeholders
+     */
+    indexItemOrder() {
+        this.itemOrder.clear();
+        this.itemData.forEach(item => {
+            if (item.type !== 'placeholder') this.itemOrder.set(item.path, this.itemOrder.size);
         });
+    }
+    
+    /**
+     * Announce an element as selected when it is highlighted or marked "selected"
+     * @param {HTMLElement} element - Item element
+     */
+    updateAriaSelected(element) {
+        if (element.getAttribute('role') !== 'treeitem') return;
+        const selected = element.classList.contains('focused') || element.classList.contains('selected');
+        element.setAttribute('aria-selected', String(selected));
+    }
+    
+    /**
+     * Centers of all items, for moving between them by position
+     * @returns {Array} { path, item, x, y } in content coordinates
+     */
+    getItemCenters() {
+        const { width, height } = this.options.itemSize;
+        const centers = [];
+        this.itemData.forEach(item => {
+            if (item.type === 'placeholder') return;
+            centers.push({ path: item.path, item, x: item.position.x + width / 2, y: item.position.y + height / 2 });
+        });
+        return centers;
+    }
+    
+    /**
+     * Nearest point in a direction, preferring ones in line with the start
+     * @param {Array} points - Candidates as { path, x, y }
+     * @param {Object} from - Starting point { path, x, y }
+     * @param {string} direction - 'left', 'right', 'up' or 'down'
+     * @returns {Object|null} The chosen point, or null if nothing lies that way
+     */
+    static findNeighbor(points, from, direction) {
+        const [dx, dy] = { left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] }[direction];
+        let best = null;
+        let bestScore = Infinity;
+        let bestInCone = false;
+        
+        points.forEach(point => {
+            if (point.path === from.path) return;
+            const offsetX = point.x - from.x;
+            const offsetY = point.y - from.y;
+            const along = offsetX * dx + offsetY * dy;
+            if (along <= 1) return; // Not in that direction
+            
+            // Same row or column first, then the rest of a 45° cone, then anything that way
+            const across = Math.abs(offsetX * dy + offsetY * dx);
+            const inCone = across <= along;
+            const score = along + across * 2;
+            if ((inCone && !bestInCone) || (inCone === bestInCone && score < bestScore)) {
+                best = point;
+                bestScore = score;
+                bestInCone = inCone;
+            }
+        });
+        return best;
+    }
+    
+    /**
+     * Point closest to a target
+     * @param {Array} points - Candidates as { path, x, y }
+     * @param {Object} target - { x, y }
+     * @returns {Object|null} The closest point, or null if there are none
+     */
+    static findNearest(points, target) {
+        let best = null;
+        let bestDistance = Infinity;
+        points.forEach(point => {
+            const distance = Math.hypot(point.x - target.x, point.y - target.y);
+            if (distance < bestDistance) {
+                best = point;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+    
+    /**
+     * Mark a set of items with a class, such as the other copies of a selected file
+     * Marks stay on the paths as elements are recycled and items re-rendered.
+     * @param {Iterable} itemPaths - Paths to mark; empty to clear the marks
+     * @param {string} className - Class the marked elements get
+     */
+    setMarkedItems(itemPaths, className = 'marked') {
+        const paths = new Set(itemPaths);
+        this.marks.set(className, paths);
+        this.visibleItems.forEach((element, path) => {
+            element.classList.toggle(className, paths.has(path));
+            this.updateAriaSelected(element);
+        });
+    }
+    
+    /**
+     * Items overlapping a rectangle, using the spatial index
+     * @param {Object} rect - { left, top, right, bottom } in content coordinates
+     * @returns {Array} Item data objects
+     */
+    getItemsInRect(rect) {
+        const { binSize } = this.spatialIndex;
+        const { width, height } = this.options.itemSize;
+        const found = new Map();
         
-        // Add highlight to specified item
-        const element = this.visibleItems.get(itemPath);
-        if (element) {
-            element.classList.add('focused');
+        for (let x = Math.floor(rect.left / binSize); x <= Math.floor(rect.right / binSize); x++) {
+            for (let y = Math.floor(rect.top / binSize); y <= Math.floor(rect.bottom / binSize); y++) {
+                const bin = this.spatialIndex.bins.get(`${x},${y}`);
+                if (!bin) continue;
+                
+                bin.forEach(itemPath => {
+                    const item = this.itemData.get(itemPath);
+                    if (!item || found.has(itemPath) || item.type === 'placeholder') return;
+                    
+                    // Bins are coarse; keep only items that really overlap
+                    if (item.position.x <= rect.right && item.position.x + width >= rect.left &&
+                        item.position.y <= rect.bottom && item.position.y + height >= rect.top) {
+                        found.set(itemPath, item);
+                    }
+                });
+            }
+        }
+        
+        return Array.from(found.values());
+    }
+    
+    /**
+     * Draw edges between items, such as related files
+     * Edges whose ends are not both in the current items are skipped.
+     * @param {Array} links - Edges as { from, to, active }; empty to remove them
+     */
+    setLinks(links) {
+        this.links = links;
+        this.drawLinks();
+    }
+    
+    /**
+     * Redraw the edges from the current item positions
+     * They live in the viewport, so panning and zooming move them with the items.
+     */
+    drawLinks() {
+        if (this.links.length === 0 && !this.linkLayer) return;
+        
+        const svgNS = 'http://www.w3.org/2000/svg';
+        if (!this.linkLayer) {
+            this.linkLayer = document.createElementNS(svgNS, 'svg');
+            this.linkLayer.setAttribute('class', 'virtualizer-link-layer');
+            this.linkLayer.setAttribute('aria-hidden', 'true');
+        }
+        // Behind the items; the viewport may have been emptied since the last draw
+        if (this.linkLayer.parentNode !== this.viewport) {
+            this.viewport.insertBefore(this.linkLayer, this.viewport.firstChild);
         }
+        
+        const { width, height } = this.options.itemSize;
+        const fragment = document.createDocumentFragment();
+        this.links.forEach(link => {
+            const from = this.itemData.get(link.from);
+            const to = this.itemData.get(link.to);
+            if (!from || !to) return;
+            
+            const line = document.createElementNS(svgNS, 'line');
+            line.setAttribute('class', link.active ? 'item-link active' : 'item-link');
+            line.setAttribute('x1', from.position.x + width / 2);
+            line.setAttribute('y1', from.position.y + height / 2);
+            line.setAttribute('x2', to.position.x + width / 2);
+            line.setAttribute('y2', to.position.y + height / 2);
+            fragment.appendChild(line);
+        });
+        
+        this.linkLayer.textContent = '';
+        this.linkLayer.appendChild(fragment);
+        this.linkLayer.style.display = this.linkLayer.childNodes.length > 0 ? '' : 'none';
     }
     
     /**
@@ -1072,6 +1364,7 @@ class VirtualizedRenderer {
     addItem(item) {
         // Add to data store
         this.itemData.set(item.path, item);
+        this.indexItemOrder();
         
         // Add to spatial index
         this.updateItemInSpatialIndex(item);
@@ -1083,6 +1376,22 @@ class VirtualizedRenderer {
         }
     }
     
+    /**
+     * Change an item's data in place, keeping its position
+     * @param {Object} changes - Fields to change, including the item's path
+     */
+    updateItem(changes) {
+        const item = this.itemData.get(changes.path);
+        if (!item) return;
+        
+        const updated = { ...item, ...changes, position: item.position };
+        this.itemData.set(updated.path, updated);
+        
+        // Redraw the element if it is on screen
+        const element = this.visibleItems.get(updated.path);
+        if (element) this.updateElement(element, updated);
+    }
+    
     /**
      * Remove an item
      * @param {string} itemPath - Path of item to remove
@@ -1090,6 +1399,7 @@ class VirtualizedRenderer {
     removeItem(itemPath) {
         // Remove from data store
         this.itemData.delete(itemPath);
+        this.indexItemOrder();
         
         // Remove from spatial index
         if (this.spatialIndex.items.has(itemPath)) {
@@ -1148,6 +1458,11 @@ class VirtualizedRenderer {
         this.spatialIndex.bins.clear();
         this.spatialIndex.items.clear();
         
+        // Remove the edge layer
+        if (this.linkLayer && this.linkLayer.parentNode) {
+            this.linkLayer.parentNode.removeChild(this.linkLayer);
+        }
+        
         // Remove debug overlays
         if (this.debugOverlay && this.debugOverlay.parentNode) {
             this.debugOverlay.parentNode.removeChild(this.debugOverlay);
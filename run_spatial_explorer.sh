@@ -19,6 +19,10 @@ echo -e "${BLUE}======================================${NC}"
 DEFAULT_DIR="/sdcard/1dd1"
 TARGET_DIR=${1:-$DEFAULT_DIR}
 
+# Only this machine can reach the server: data/root exposes every scanned file.
+# Set BIND_ADDRESS=0.0.0.0 to share it with the network on purpose.
+BIND_ADDRESS=${BIND_ADDRESS:-127.0.0.1}
+
 # Ensure required directories exist
 mkdir -p data
 mkdir -p css
@@ -67,6 +71,23 @@ generate_directory_data() {
     return 0
 }
 
+# Expose the scanned directory so the explorer can preview file contents
+link_content_root() {
+    echo -e "\n${YELLOW}Linking scanned directory for previews...${NC}"
+
+    # Replace a stale link from a previous run, but never a real directory
+    if [ -L "data/root" ]; then
+        rm "data/root"
+    elif [ -e "data/root" ]; then
+        echo -e "${RED}✗ data/root exists and is not a symlink; previews will read from it as-is.${NC}"
+        return 1
+    fi
+
+    ln -s "$(cd "$TARGET_DIR" && pwd)" "data/root"
+    echo -e "${GREEN}✓ File previews will be served from data/root${NC}"
+    return 0
+}
+
 # Check file sizes and compression ratio
 check_file_sizes() {
     echo -e "\n${YELLOW}Checking file sizes:${NC}"
@@ -97,10 +118,13 @@ start_server() {
     
     # Create a custom handler with directory listing disabled
     echo "Starting server at http://localhost:8000"
+    if [ "$BIND_ADDRESS" != "127.0.0.1" ]; then
+        echo -e "${RED}Listening on ${BIND_ADDRESS}: anyone who can reach this machine can download the scanned files.${NC}"
+    fi
     echo "Press Ctrl+C to stop the server"
     echo -e "${BLUE}======================================${NC}"
     
-    python3 -m http.server 8000
+    python3 -m http.server --bind "$BIND_ADDRESS" 8000
 }
 
 # Main execution flow
@@ -114,6 +138,9 @@ main() {
     
     # Check file sizes
     check_file_sizes
+
+    # Make file contents available to the preview modal
+    link_content_root
     
     # Start server
     start_server
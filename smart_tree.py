@@ -67,7 +67,7 @@ RELATED_FILE_PATTERNS = [
 class DirectoryScanner:
     """Scans directories and generates structured data for the spatial explorer."""
     
-    def __init__(self, root_dir, output_dir="data", max_depth=None, exclude_patterns=None):
+    def __init__(self, root_dir, output_dir="data", max_depth=None, exclude_patterns=None, shard_depth=None):
         """
         Initialize the scanner with the root directory.
         
@@ -76,11 +76,13 @@ class DirectoryScanner:
             output_dir (str): Directory to save output files
             max_depth (int, optional): Maximum depth to scan (None for unlimited)
             exclude_patterns (list, optional): Patterns to exclude from scanning
+            shard_depth (int, optional): Directory levels per shard file (None for no shards)
         """
         self.root_dir = os.path.abspath(root_dir)
         self.output_dir = output_dir
         self.max_depth = max_depth
         self.exclude_patterns = exclude_patterns or []
+        self.shard_depth = shard_depth
         
         # Ensure output directory exists
         os.makedirs(output_dir, exist_ok=True)
@@ -444,6 +446,69 @@ class DirectoryScanner:
             "savings_percent": savings_percent
         }
     
+    def save_shards(self, structure):
+        """
+        Save the structure as a manifest plus per-directory shard files.
+        
+        The manifest holds the top `shard_depth` levels of the tree. Directories
+        below them keep their metadata but not their children: those go to the
+        shard file named in "children_shard", which holds the next `shard_depth`
+        levels in the same way. The explorer fetches a shard when it is opened.
+        """
+        shard_dir = os.path.join(self.output_dir, "shards")
+        
+        # Shards of an earlier scan would otherwise be left behind
+        if os.path.isdir(shard_dir):
+            shutil.rmtree(shard_dir)
+        os.makedirs(shard_dir)
+        
+        shard_count = 0
+        
+        def split_children(children, levels):
+            """Copy a list of children, moving what lies deeper than `levels` into shards."""
+            result = []
+            for child in children:
+                if child["type"] != "directory" or not child.get("children"):
+                    result.append(child)
+                    continue
+                
+                entry = {key: value for key, value in child.items() if key != "children"}
+                if levels > 1:
+                    entry["children"] = split_children(child["children"], levels - 1)
+                else:
+                    entry["children_shard"] = write_shard(child)
+                    entry["child_count"] = len(child["children"])
+                result.append(entry)
+            return result
+        
+        def write_shard(directory):
+            """Write a directory's children to their own file and return its name."""
+            nonlocal shard_count
+            shard_name = hashlib.sha1(directory["path"].encode("utf-8")).hexdigest()[:16] + ".json"
+            shard = {
+                "path": directory["path"],
+                "children": split_children(directory["children"], self.shard_depth),
+            }
+            with open(os.path.join(shard_dir, shard_name), 'w', encoding='utf-8') as f:
+                json.dump(shard, f, separators=(',', ':'), ensure_ascii=False)
+            shard_count += 1
+            return shard_name
+        
+        manifest = {key: value for key, value in structure.items() if key != "children"}
+        manifest["children"] = split_children(structure.get("children", []), self.shard_depth)
+        
+        manifest_output = os.path.join(shard_dir, "manifest.json")
+        with open(manifest_output, 'w', encoding='utf-8') as f:
+            json.dump(manifest, f, separators=(',', ':'), ensure_ascii=False)
+        
+        print(f"  - Sharded: {manifest_output} ({os.path.getsize(manifest_output):,} bytes) "
+              f"+ {shard_count:,} shard files")
+        
+        return {
+            "manifest_path": manifest_output,
+            "shard_count": shard_count
+        }
+    
     def print_summary(self):
         """Print a summary of the scan results."""
         print("\n" + "="*50)
@@ -469,6 +534,8 @@ class DirectoryScanner:
             
             # Save output files
             output_info = self.save_output(directory_structure)
+            if self.shard_depth:
+                output_info.update(self.save_shards(directory_structure))
             
             # Print summary
             self.print_summary()
@@ -491,8 +558,13 @@ def main():
                         help='Maximum depth to scan (default: unlimited)')
     parser.add_argument('--exclude', '-e', action='append', default=[],
                         help='Patterns to exclude from scanning (can be used multiple times)')
+    parser.add_argument('--shard-depth', '-s', type=int, default=None,
+                        help='Also write a sharded copy (shards/ in the output directory) for very '
+                             'large scans, with this many directory levels per file (default: off)')
     
     args = parser.parse_args()
+    if args.shard_depth is not None and args.shard_depth < 1:
+        parser.error('--shard-depth must be at least 1')
     
     # Ensure output directory exists
     os.makedirs(args.output_dir, exist_ok=True)
@@ -502,7 +574,8 @@ def main():
         args.root_dir,
         output_dir=args.output_dir,
         max_depth=args.max_depth,
-        exclude_patterns=args.exclude
+        exclude_patterns=args.exclude,
+        shard_depth=args.shard_depth
     )
     
     scanner.run()
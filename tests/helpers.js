@@ -0,0 +1,26 @@
+/**
+ * tests/helpers.js - Shared Test Setup
+ *
+ * The modules under js/ are browser scripts that hang their exports on window.
+ * loadScript runs one with a stand-in window in this realm, so what it returns
+ * compares with deepStrictEqual like any other value.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Run a browser script and return the window it exported to
+ * @param {string} file - Path under js/, such as "tree-diff.js"
+ * @param {Object} globals - Other globals the script reads, such as navigator or self
+ * @returns {Object} The stand-in window
+ */
+function loadScript(file, globals = {}) {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8');
+    const window = {};
+    const names = Object.keys(globals);
+    new Function('window', ...names, source)(window, ...names.map(name => globals[name]));
+    return window;
+}
+
+module.exports = { loadScript };
@@ -0,0 +1,109 @@
+/**
+ * tests/keybindings.test.js - Tests for js/keybindings.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./helpers');
+
+const { KeyBindings } = loadScript('keybindings.js', { navigator: { platform: 'Linux x86_64' } });
+
+const DEFAULTS = {
+    'palette.open': ['ctrl+k'],
+    'help.show': ['ctrl+/'],
+    'navigate.root': ['alt+g h'],
+    'bookmarks.show': ['alt+g b'],
+    'view.zoomIn': ['ctrl+=', 'ctrl++']
+};
+
+/**
+ * A keydown event
+ * @param {string} key - KeyboardEvent.key
+ * @param {Object} modifiers - ctrlKey, altKey, shiftKey, metaKey
+ * @returns {Object} Event-like object
+ */
+function keydown(key, modifiers = {}) {
+    const code = /^[a-z]$/i.test(key) ? `Key${key.toUpperCase()}` : '';
+    return { key, code, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...modifiers };
+}
+
+/**
+ * Feed keys through a map
+ * @param {KeyBindings} bindings - Map to use
+ * @param {Array} events - Keydown events
+ * @returns {Array} Status, or the matched id, of each key
+ */
+function press(bindings, events) {
+    return events.map(event => {
+        const result = bindings.handle(event);
+        return result.status === 'matched' ? result.id : result.status;
+    });
+}
+
+test('normalize orders modifiers and lowercases keys', () => {
+    assert.strictEqual(KeyBindings.normalize('Shift+Ctrl+K'), 'ctrl+shift+k');
+    assert.strictEqual(KeyBindings.normalize('  Alt+G   B '), 'alt+g b');
+    assert.strictEqual(KeyBindings.normalize('ctrl++'), 'ctrl++');
+    assert.strictEqual(KeyBindings.normalize('meta+alt+ArrowLeft'), 'alt+meta+arrowleft');
+});
+
+test('eventToKey names keys the way sequences are written', () => {
+    assert.strictEqual(KeyBindings.eventToKey(keydown('K', { ctrlKey: true, shiftKey: true })), 'ctrl+shift+k');
+    assert.strictEqual(KeyBindings.eventToKey(keydown('?', { shiftKey: true })), '?');
+    assert.strictEqual(KeyBindings.eventToKey(keydown(' ')), 'space');
+    assert.strictEqual(KeyBindings.eventToKey(keydown('ArrowLeft', { altKey: true })), 'alt+arrowleft');
+    assert.strictEqual(KeyBindings.eventToKey(keydown('Shift', { shiftKey: true })), null);
+    // Alt types another character on a Mac; the physical key names it
+    assert.strictEqual(KeyBindings.eventToKey({ ...keydown('©', { altKey: true }), code: 'KeyG' }), 'alt+g');
+    assert.strictEqual(KeyBindings.format('ctrl+shift+k alt+arrowleft'), 'Ctrl+Shift+K Alt+←');
+});
+
+test('findConflicts finds equal sequences and chords cut off by a prefix', () => {
+    const bindings = new KeyBindings(DEFAULTS);
+    assert.deepStrictEqual(bindings.findConflicts('Ctrl+K', 'help.show'), [{ id: 'palette.open', sequence: 'ctrl+k' }]);
+    assert.deepStrictEqual(bindings.findConflicts('ctrl+k', 'palette.open'), []);
+    assert.deepStrictEqual(bindings.findConflicts('alt+g', 'help.show').map(conflict => conflict.id), ['navigate.root', 'bookmarks.show']);
+    assert.deepStrictEqual(bindings.findConflicts('alt+g b x', 'help.show'), [{ id: 'bookmarks.show', sequence: 'alt+g b' }]);
+    assert.deepStrictEqual(bindings.findConflicts('alt+gx', 'help.show'), []);
+});
+
+test('chords match across keys, and a key that breaks one is tried alone', () => {
+    const bindings = new KeyBindings(DEFAULTS);
+    assert.deepStrictEqual(press(bindings, [keydown('g', { altKey: true }), keydown('b')]), ['pending', 'bookmarks.show']);
+    assert.deepStrictEqual(press(bindings, [keydown('g', { altKey: true }), keydown('Shift', { shiftKey: true }), keydown('h')]),
+        ['pending', 'pending', 'navigate.root']);
+    assert.deepStrictEqual(press(bindings, [keydown('g', { altKey: true }), keydown('k', { ctrlKey: true })]), ['pending', 'palette.open']);
+    assert.deepStrictEqual(press(bindings, [keydown('g', { altKey: true }), keydown('a')]), ['pending', 'none']);
+    assert.deepStrictEqual(press(bindings, [keydown('g'), keydown('b')]), ['none', 'none']);
+});
+
+test('a half-typed chord is forgotten after the timeout', async () => {
+    const bindings = new KeyBindings(DEFAULTS, { chordTimeout: 20 });
+    assert.deepStrictEqual(press(bindings, [keydown('g', { altKey: true })]), ['pending']);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepStrictEqual(press(bindings, [keydown('b')]), ['none']);
+});
+
+test('allow hides commands, including chords they start', () => {
+    const bindings = new KeyBindings(DEFAULTS);
+    const allow = id => id !== 'bookmarks.show' && id !== 'navigate.root';
+    assert.deepStrictEqual(bindings.handle(keydown('g', { altKey: true }), allow), { status: 'none' });
+    assert.deepStrictEqual(bindings.handle(keydown('k', { ctrlKey: true }), allow), { status: 'matched', id: 'palette.open' });
+});
+
+test('only changes from the defaults are stored, and they come back', () => {
+    const bindings = new KeyBindings(DEFAULTS);
+    bindings.set('help.show', ['F1']);
+    bindings.set('palette.open', []);
+    assert.deepStrictEqual(bindings.getOverrides(), { 'help.show': ['f1'], 'palette.open': [] });
+
+    const restored = new KeyBindings(DEFAULTS);
+    restored.setOverrides(JSON.parse(JSON.stringify(bindings.getOverrides())));
+    assert.deepStrictEqual(press(restored, [keydown('F1'), keydown('k', { ctrlKey: true })]), ['help.show', 'none']);
+    assert.ok(restored.isCustomized('help.show'));
+
+    restored.reset('help.show');
+    assert.deepStrictEqual(restored.get('help.show'), ['ctrl+/']);
+    restored.reset();
+    assert.deepStrictEqual(restored.getOverrides(), {});
+});
@@ -0,0 +1,72 @@
+/**
+ * tests/layouts.test.js - Tests for js/layouts.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./helpers');
+
+const { LayoutEngine } = loadScript('layouts.js');
+
+const TILE = { itemWidth: 100, itemHeight: 120, itemMargin: 20 };
+
+/**
+ * Pairs of tiles that overlap
+ * @param {Array} items - Result of LayoutEngine.computeLayout
+ * @returns {number} Number of overlapping pairs
+ */
+function countOverlaps(items) {
+    let overlaps = 0;
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            const a = items[i].position;
+            const b = items[j].position;
+            if (Math.abs(a.x - b.x) < TILE.itemWidth && Math.abs(a.y - b.y) < TILE.itemHeight) overlaps++;
+        }
+    }
+    return overlaps;
+}
+
+/**
+ * Files of three types followed by directories of growing size
+ * @param {number} fileCount - Number of files
+ * @param {number} directoryCount - Number of directories
+ * @returns {Array} Tree items
+ */
+function makeItems(fileCount, directoryCount = 0) {
+    const items = [];
+    for (let i = 0; i < fileCount; i++) {
+        items.push({ name: `file${i}`, path: `file${i}`, type: 'file', file_type_group: ['code', 'image', 'text'][i % 3] });
+    }
+    for (let i = 0; i < directoryCount; i++) {
+        items.push({ name: `dir${i}`, path: `dir${i}`, type: 'directory', metadata: { size: i * 1000 } });
+    }
+    return items;
+}
+
+test('grid rows fill the width of the view', () => {
+    const items = LayoutEngine.computeLayout('grid', makeItems(25), { ...TILE, viewportWidth: 600 });
+    // 600 / (100 + 20) = 5 per row
+    assert.deepStrictEqual(items[4].position, { x: 480, y: 0 });
+    assert.deepStrictEqual(items[5].position, { x: 0, y: 140 });
+    assert.strictEqual(countOverlaps(items), 0);
+});
+
+test('galaxy tiles do not overlap, in the core or around it', () => {
+    [30, 300, 1000].forEach(count => {
+        assert.strictEqual(countOverlaps(LayoutEngine.computeLayout('galaxy', makeItems(count, 20), TILE)), 0, `${count} files`);
+    });
+});
+
+test('force layout finishes with no overlapping tiles, even around a file everything links to', { timeout: 20000 }, () => {
+    [50, 500].forEach(count => {
+        // Every fifth file links to its neighbour and to file0, which pulls a crowd together
+        const items = makeItems(count).map((item, i) => (i % 5 === 0
+            ? { ...item, related_files: [`file${(i + 1) % count}`, 'file0'] }
+            : item));
+        const placed = LayoutEngine.computeLayout('force', items, TILE);
+        assert.strictEqual(placed.length, count);
+        assert.ok(placed.every(item => Number.isFinite(item.position.x) && Number.isFinite(item.position.y)));
+        assert.strictEqual(countOverlaps(placed), 0, `${count} files`);
+    });
+});
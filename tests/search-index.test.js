@@ -0,0 +1,134 @@
+/**
+ * tests/search-index.test.js - Tests for the worker client in js/search-index.js
+ *
+ * A stand-in Worker records what the client posts and answers only when told to,
+ * which is how a worker stuck in one slice looks from the page.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./helpers');
+
+const workers = [];
+
+class FakeWorker {
+    constructor(url) {
+        this.url = url;
+        this.posted = [];
+        this.terminated = false;
+        this.onmessage = null;
+        this.onerror = null;
+        workers.push(this);
+    }
+
+    postMessage(message) {
+        this.posted.push(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    /**
+     * Answer the client
+     * @param {Object} message - Worker message
+     */
+    reply(message) {
+        this.onmessage({ data: message });
+    }
+}
+
+const { SearchIndex } = loadScript('search-index.js', { Worker: FakeWorker });
+
+const TREE = { name: 'top', path: '', type: 'directory', children: [] };
+const STALL = 40;
+
+/**
+ * A client whose first worker has indexed TREE
+ * @returns {SearchIndex} Ready client
+ */
+function readyIndex() {
+    workers.length = 0;
+    const index = new SearchIndex({ stallTimeout: STALL });
+    index.build(TREE);
+    workers[0].reply({ type: 'indexed', count: 1 });
+    return index;
+}
+
+/**
+ * Wait past the stall timeout
+ * @returns {Promise} Resolves later
+ */
+function pastStall() {
+    return new Promise(resolve => setTimeout(resolve, STALL * 3));
+}
+
+test('a search that stops answering ends as stalled in a new, re-indexed worker', async () => {
+    const index = readyIndex();
+    const updates = [];
+    index.search('(a+)+$', 'regex', update => updates.push(update));
+
+    await pastStall();
+    assert.deepStrictEqual(updates, [{ results: [], total: 0, done: true, stalled: true }]);
+    assert.strictEqual(workers.length, 2);
+    assert.ok(workers[0].terminated);
+    assert.deepStrictEqual(workers[1].posted, [{ type: 'index', tree: TREE }]);
+    assert.ok(index.isAvailable);
+    index.dispose();
+});
+
+test('a newer search runs in a new worker when the cancelled one never answered', async () => {
+    const index = readyIndex();
+    const first = [];
+    const second = [];
+    index.search('(a+)+$', 'regex', update => first.push(update));
+    await pastStall();
+    // The first worker was replaced; the second one has indexed and now gets stuck too
+    workers[1].reply({ type: 'indexed', count: 1 });
+
+    const stuckId = index.search('(b+)+$', 'regex', () => {});
+    await new Promise(resolve => setTimeout(resolve, STALL / 4));
+    const id = index.search('readme', 'text', update => second.push(update));
+    // Nothing answered the cancel yet, so the new search waits for the watchdog
+    assert.strictEqual(workers.length, 2);
+    assert.deepStrictEqual(workers[1].posted.slice(-2).map(message => [message.type, message.id]), [['cancel', stuckId], ['search', id]]);
+
+    await pastStall();
+    assert.strictEqual(workers.length, 3);
+    assert.ok(workers[1].terminated);
+    assert.deepStrictEqual(workers[2].posted.map(message => message.type), ['index', 'search']);
+    assert.strictEqual(workers[2].posted[1].id, id);
+
+    workers[2].reply({ type: 'indexed', count: 1 });
+    workers[2].reply({ type: 'results', id, results: [], total: 0, done: true });
+    assert.deepStrictEqual(second, [{ results: [], total: 0, done: true }]);
+    assert.strictEqual(first.length, 1);
+    index.dispose();
+});
+
+test('a worker that answers in time is kept', async () => {
+    const index = readyIndex();
+    const updates = [];
+    const stale = index.search('a', 'text', () => {});
+    const id = index.search('b', 'text', update => updates.push(update));
+    workers[0].reply({ type: 'cancelled', id: stale });
+
+    await new Promise(resolve => setTimeout(resolve, STALL / 2));
+    workers[0].reply({ type: 'results', id, results: [], total: 0, done: false });
+    await new Promise(resolve => setTimeout(resolve, STALL / 2));
+    workers[0].reply({ type: 'results', id, results: [], total: 0, done: true });
+
+    await pastStall();
+    assert.strictEqual(workers.length, 1);
+    assert.deepStrictEqual(updates.map(update => update.done), [false, true]);
+    index.dispose();
+});
+
+test('indexing is never timed', async () => {
+    workers.length = 0;
+    const index = new SearchIndex({ stallTimeout: STALL });
+    index.build(TREE);
+    await pastStall();
+    assert.strictEqual(workers.length, 1);
+    index.dispose();
+});
@@ -0,0 +1,149 @@
+/**
+ * tests/search-query.test.js - Tests for js/search-query.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./helpers');
+
+// The module exports to self, which is the window on a page and the scope in the worker
+const self = {};
+loadScript('search-query.js', { self });
+const { SearchQuery } = self;
+
+const DAY = 86400;
+const NOW = new Date(2024, 5, 15, 12, 0, 0).getTime() / 1000; // Noon, local time
+
+/**
+ * A file node
+ * @param {string} path - Path from the scan root
+ * @param {Object} fields - Other fields
+ * @returns {Object} Tree node
+ */
+function file(path, fields = {}) {
+    const name = path.split('/').pop();
+    const dot = name.lastIndexOf('.');
+    return { name, path, type: 'file', extension: dot > 0 ? name.slice(dot + 1) : '', size: 0, modified: NOW, ...fields };
+}
+
+/**
+ * Paths of the nodes a query matches
+ * @param {string} query - Query text
+ * @param {Array} nodes - Nodes to test
+ * @param {Object} options - Parse options
+ * @returns {Array} Matching paths
+ */
+function matching(query, nodes, options = {}) {
+    const parsed = SearchQuery.parse(query, { now: NOW, ...options });
+    assert.deepStrictEqual(parsed.errors, [], query);
+    return nodes.filter(parsed.test).map(node => node.path);
+}
+
+test('words, filters, negation and quoted values', () => {
+    const nodes = [
+        file('src/main.py'),
+        file('src/main_test.py'),
+        file('docs/read me.md'),
+        file('docs/main.md')
+    ];
+    assert.deepStrictEqual(matching('main', nodes), ['src/main.py', 'src/main_test.py', 'docs/main.md']);
+    assert.deepStrictEqual(matching('main -test', nodes), ['src/main.py', 'docs/main.md']);
+    assert.deepStrictEqual(matching('main -ext:md', nodes), ['src/main.py', 'src/main_test.py']);
+    assert.deepStrictEqual(matching('name:"read me"', nodes), ['docs/read me.md']);
+    assert.deepStrictEqual(matching('"read me"', nodes), ['docs/read me.md']);
+    assert.deepStrictEqual(matching('in:/src/ EXT:PY', nodes), ['src/main.py', 'src/main_test.py']);
+
+    const parsed = SearchQuery.parse('main -test ext:py in:src', { now: NOW });
+    assert.deepStrictEqual(parsed.words, ['main']);
+    assert.deepStrictEqual(parsed.scopes, ['src']);
+});
+
+test('a key that is not a filter stays part of the word', () => {
+    const nodes = [file('notes/todo:later.txt'), file('notes/later.txt')];
+    const parsed = SearchQuery.parse('todo:later', { now: NOW });
+    assert.deepStrictEqual(parsed.words, ['todo:later']);
+    assert.deepStrictEqual(matching('todo:later', nodes), ['notes/todo:later.txt']);
+});
+
+test('a lone dash is a word and a filter without a value is an error', () => {
+    assert.deepStrictEqual(SearchQuery.parse('a - b', { now: NOW }).words, ['a', '-', 'b']);
+    assert.deepStrictEqual(SearchQuery.parse('ext:', { now: NOW }).errors, ['ext: needs a value']);
+    assert.strictEqual(SearchQuery.parse('size:big', { now: NOW }).errors.length, 1);
+    assert.strictEqual(SearchQuery.parse('type:link', { now: NOW }).errors.length, 1);
+});
+
+test('parseSize reads binary units and rejects the rest', () => {
+    assert.strictEqual(SearchQuery.parseSize('512'), 512);
+    assert.strictEqual(SearchQuery.parseSize('10MB'), 10 * 1024 ** 2);
+    assert.strictEqual(SearchQuery.parseSize('1.5g'), 1.5 * 1024 ** 3);
+    assert.strictEqual(SearchQuery.parseSize(' 2 kb '), 2048);
+    assert.ok(Number.isNaN(SearchQuery.parseSize('10 parsecs')));
+    assert.ok(Number.isNaN(SearchQuery.parseSize('-1')));
+    assert.ok(Number.isNaN(SearchQuery.parseSize('')));
+});
+
+test('size comparisons and ranges', () => {
+    const nodes = [file('a', { size: 1024 }), file('b', { size: 2048 }), file('c', { size: 4096 })];
+    assert.deepStrictEqual(matching('size:>2KB', nodes), ['c']);
+    assert.deepStrictEqual(matching('size:>=2KB', nodes), ['b', 'c']);
+    assert.deepStrictEqual(matching('size:<2KB', nodes), ['a']);
+    assert.deepStrictEqual(matching('size:2KB', nodes), ['b']);
+    assert.deepStrictEqual(matching('size:1KB..2KB', nodes), ['a', 'b']);
+});
+
+test('parseDate reads days, months, years, today and ages', () => {
+    const at = (...parts) => new Date(...parts).getTime() / 1000;
+    assert.deepStrictEqual(SearchQuery.parseDate('2024-02-10', NOW), { start: at(2024, 1, 10), end: at(2024, 1, 11), isAge: false });
+    assert.deepStrictEqual(SearchQuery.parseDate('2024-02', NOW), { start: at(2024, 1, 1), end: at(2024, 2, 1), isAge: false });
+    assert.deepStrictEqual(SearchQuery.parseDate('2023', NOW), { start: at(2023, 0, 1), end: at(2024, 0, 1), isAge: false });
+    assert.deepStrictEqual(SearchQuery.parseDate('today', NOW), { start: at(2024, 5, 15), end: at(2024, 5, 16), isAge: false });
+    assert.deepStrictEqual(SearchQuery.parseDate('yesterday', NOW), { start: at(2024, 5, 14), end: at(2024, 5, 15), isAge: false });
+    assert.deepStrictEqual(SearchQuery.parseDate('7d', NOW), { start: NOW - 7 * DAY, end: NOW - 7 * DAY, isAge: true });
+    assert.deepStrictEqual(SearchQuery.parseDate('12h', NOW), { start: NOW - 12 * 3600, end: NOW - 12 * 3600, isAge: true });
+    assert.strictEqual(SearchQuery.parseDate('2024-02-31', NOW), null);
+    assert.strictEqual(SearchQuery.parseDate('2024-13', NOW), null);
+    assert.strictEqual(SearchQuery.parseDate('soon', NOW), null);
+});
+
+test('comparisons on an age point the other way in time', () => {
+    const nodes = [
+        file('new', { modified: NOW - 2 * DAY }),
+        file('old', { modified: NOW - 30 * DAY }),
+        file('unknown', { modified: null })
+    ];
+    // Less than a week old means modified after a week ago
+    assert.deepStrictEqual(matching('modified:<7d', nodes), ['new']);
+    assert.deepStrictEqual(matching('modified:>7d', nodes), ['old']);
+    // A date keeps its direction
+    assert.deepStrictEqual(matching('modified:<2024-06-01', nodes), ['old']);
+    assert.deepStrictEqual(matching('modified:>=2024-06-01', nodes), ['new']);
+    assert.deepStrictEqual(matching('modified:2024-05-01..2024-05-31', nodes), ['old']);
+});
+
+test('fuzzyMatch finds the pattern as a subsequence and favors word starts', () => {
+    assert.strictEqual(SearchQuery.fuzzyMatch('xyz', 'main.py'), null);
+    assert.strictEqual(SearchQuery.fuzzyMatch('', 'main.py'), null);
+    assert.strictEqual(SearchQuery.fuzzyMatch('mainpy', 'main.p'), null);
+
+    assert.deepStrictEqual(SearchQuery.fuzzyMatch('mp', 'main.py').indices, [0, 5]);
+    // The camelCase humps beat the earlier letters in the middle of words
+    assert.deepStrictEqual(SearchQuery.fuzzyMatch('sc', 'useSearchController').indices, [3, 9]);
+    assert.deepStrictEqual(SearchQuery.fuzzyMatch('MAIN', 'main').indices, [0, 1, 2, 3]);
+
+    const tight = SearchQuery.fuzzyMatch('main', 'main.py');
+    const loose = SearchQuery.fuzzyMatch('main', 'm_a_i_n.py');
+    const late = SearchQuery.fuzzyMatch('main', 'the_main.py');
+    assert.ok(tight.score > loose.score, 'a consecutive run beats a scattered one');
+    assert.ok(tight.score > late.score, 'a match at the start beats a later one');
+});
+
+test('fuzzy and regex modes rank name matches above path matches', () => {
+    const nodes = [file('docs/readme.md'), file('readme/notes.txt')];
+    ['fuzzy', 'regex'].forEach(mode => {
+        const parsed = SearchQuery.parse('readme', { now: NOW, mode });
+        const [name, path] = nodes.map(parsed.match);
+        assert.ok(name.score > path.score, mode);
+        assert.deepStrictEqual(name.nameIndices, [0, 1, 2, 3, 4, 5], mode);
+    });
+    assert.strictEqual(SearchQuery.parse('([', { now: NOW, mode: 'regex' }).errors.length, 1);
+});
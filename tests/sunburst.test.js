@@ -0,0 +1,49 @@
+/**
+ * tests/sunburst.test.js - Tests for the ring layout in js/sunburst.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./helpers');
+
+const { SunburstView } = loadScript('sunburst.js');
+
+const RINGS = { depth: 3, minArcLength: 3, innerRadius: 50, ringWidth: 100 };
+
+/**
+ * A directory of equal files, or of equal directories of them
+ * @param {string} path - Directory path
+ * @param {Array} shape - Children per level, outermost last, e.g. [4, 10]
+ * @returns {Object} Directory node
+ */
+function directory(path, shape) {
+    const [count, ...rest] = shape;
+    const children = Array.from({ length: count }, (_, i) => (rest.length > 0
+        ? directory(`${path}/d${i}`, rest)
+        : { name: `f${i}`, path: `${path}/f${i}`, type: 'file', size: 100 }));
+    const size = children.reduce((sum, child) => sum + SunburstView.getSize(child), 0);
+    return { name: path, path, type: 'directory', metadata: { size }, children };
+}
+
+test('the arc budget holds, merged arcs included', () => {
+    const root = directory('root', [30, 30, 30]);
+    [1, 2, 10, 31, 45, 200, 931].forEach(maxArcs => {
+        const { arcs } = SunburstView.layout(root, { ...RINGS, maxArcs });
+        assert.ok(arcs.length <= maxArcs, `${arcs.length} arcs for a budget of ${maxArcs}`);
+    });
+});
+
+test('what the budget cuts off is shown as one merged arc', () => {
+    const { arcs } = SunburstView.layout(directory('root', [30]), { ...RINGS, maxArcs: 10 });
+    assert.strictEqual(arcs.length, 10);
+    assert.deepStrictEqual(arcs.slice(0, 9).map(arc => arc.entry.item.name), ['f0', 'f1', 'f2', 'f3', 'f4', 'f5', 'f6', 'f7', 'f8']);
+    assert.deepStrictEqual(arcs[9].entry, { item: null, size: 2100 });
+    assert.strictEqual(arcs[9].end, Math.PI * 2);
+});
+
+test('a tree within the budget is laid out whole', () => {
+    const { arcs, drawnDepth, truncated } = SunburstView.layout(directory('root', [3, 4]), { ...RINGS, maxArcs: 15 });
+    assert.strictEqual(arcs.length, 15);
+    assert.ok(arcs.every(arc => arc.entry.item !== null));
+    assert.deepStrictEqual([drawnDepth, truncated], [2, false]);
+});
@@ -0,0 +1,104 @@
+/**
+ * tests/tree-diff.test.js - Tests for js/tree-diff.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./helpers');
+
+const { TreeDiff } = loadScript('tree-diff.js');
+
+/**
+ * A one-directory scan
+ * @param {Array} files - File nodes without their type
+ * @returns {Object} Root node
+ */
+function scan(files) {
+    return {
+        name: 'root', path: '', type: 'directory',
+        children: files.map(file => ({ type: 'file', modified: 1000, ...file }))
+    };
+}
+
+/**
+ * Status of each file in a comparison
+ * @param {Object} result - Result of TreeDiff.compare
+ * @returns {Object} path -> status
+ */
+function statuses(result) {
+    const byPath = {};
+    result.root.children.forEach(child => { byPath[child.path] = child.diff.status; });
+    return byPath;
+}
+
+test('a file at a new path with the same size and hash is one move', () => {
+    const result = TreeDiff.compare(
+        scan([{ name: 'a.log', path: 'a.log', size: 4096, hash: 'abc' }]),
+        scan([{ name: 'b.log', path: 'b.log', size: 4096, hash: 'abc' }])
+    );
+    assert.deepStrictEqual(statuses(result), { 'b.log': 'moved', 'a.log': 'moved' });
+    assert.strictEqual(result.counts.moved, 1);
+});
+
+test('files that share a hash but not a size are not a move', () => {
+    // smart_tree.py hashes only the first 8 KB, so these may well start alike
+    const result = TreeDiff.compare(
+        scan([{ name: 'a.log', path: 'a.log', size: 20000, hash: 'abc' }]),
+        scan([{ name: 'b.mp4', path: 'b.mp4', size: 900000, hash: 'abc' }])
+    );
+    assert.deepStrictEqual(statuses(result), { 'b.mp4': 'added', 'a.log': 'removed' });
+    assert.strictEqual(result.counts.moved, 0);
+    assert.strictEqual(result.counts.added, 1);
+    assert.strictEqual(result.counts.removed, 1);
+});
+
+test('files without a hash move by name, size and modified time', () => {
+    const result = TreeDiff.compare(
+        { name: 'root', path: '', type: 'directory', children: [
+            { name: 'docs', path: 'docs', type: 'directory', children: [] },
+            { name: 'notes.txt', path: 'notes.txt', type: 'file', size: 10, modified: 1000 }
+        ] },
+        { name: 'root', path: '', type: 'directory', children: [
+            { name: 'docs', path: 'docs', type: 'directory', children: [
+                { name: 'notes.txt', path: 'docs/notes.txt', type: 'file', size: 10, modified: 1000 }
+            ] }
+        ] }
+    );
+    assert.strictEqual(result.counts.moved, 1);
+    assert.strictEqual(result.root.children[0].children[0].diff.from, 'notes.txt');
+});
+
+test('a directory a file moved out of is changed, and kept in changesOnly', () => {
+    const result = TreeDiff.compare(
+        { name: 'root', path: '', type: 'directory', children: [
+            { name: 'a', path: 'a', type: 'directory', metadata: { size: 10000 }, children: [
+                { name: 'x.txt', path: 'a/x.txt', type: 'file', size: 5000, modified: 1000 },
+                { name: 'y.txt', path: 'a/y.txt', type: 'file', size: 5000, modified: 1000 }
+            ] }
+        ] },
+        { name: 'root', path: '', type: 'directory', children: [
+            { name: 'a', path: 'a', type: 'directory', metadata: { size: 5000 }, children: [
+                { name: 'y.txt', path: 'a/y.txt', type: 'file', size: 5000, modified: 1000 }
+            ] },
+            { name: 'b', path: 'b', type: 'directory', metadata: { size: 5000 }, children: [
+                { name: 'x.txt', path: 'b/x.txt', type: 'file', size: 5000, modified: 1000 }
+            ] }
+        ] }
+    );
+    assert.strictEqual(result.counts.moved, 1);
+
+    const a = result.root.children.find(child => child.path === 'a');
+    assert.strictEqual(a.diff.status, 'changed');
+    assert.strictEqual(a.diff.sizeDelta, -5000);
+
+    const kept = result.changesOnly.children.find(child => child.path === 'a');
+    assert.ok(kept, 'a is in changesOnly');
+    assert.deepStrictEqual(kept.children.map(child => [child.path, child.diff.status]), [['a/x.txt', 'moved']]);
+});
+
+test('a directory with more children than a call takes arguments is compared', () => {
+    const files = Array.from({ length: 150000 }, (_, i) => ({ name: `f${i}`, path: `f${i}`, size: i }));
+    const result = TreeDiff.compare(scan(files), scan(files.slice(1)));
+    assert.strictEqual(result.counts.removed, 1);
+    assert.strictEqual(result.root.children.length, 150000);
+});
@@ -0,0 +1,130 @@
+/**
+ * tests/tree-loader.test.js - Tests for the streaming parser in js/tree-loader.js
+ *
+ * fixtures/dir_tree.json is real smart_tree.py output for a small directory whose
+ * names carry quotes, a backslash, accents, CJK and an emoji.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScript } = require('./helpers');
+
+const { TreeLoader } = loadScript('tree-loader.js');
+const { TreeParser } = TreeLoader;
+
+const PRETTY = fs.readFileSync(path.join(__dirname, 'fixtures', 'dir_tree.json'), 'utf8');
+const EXPECTED = JSON.parse(PRETTY);
+const MINIFIED = JSON.stringify(EXPECTED);
+// What a scanner writing ASCII only would produce: \u escapes, the emoji as a surrogate pair
+const ASCII = MINIFIED.replace(/[\u007f-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+/**
+ * Small deterministic random numbers, so a failing split can be reproduced
+ * @param {number} seed - Starting state
+ * @returns {Function} Returns the next number in [0, 1)
+ */
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+/**
+ * Parse text fed in pieces
+ * @param {Array} chunks - Pieces of the text, in order
+ * @param {Object} callbacks - Parser callbacks
+ * @returns {*} Parsed value
+ */
+function parseChunks(chunks, callbacks) {
+    const parser = new TreeParser(callbacks);
+    chunks.forEach(chunk => parser.write(chunk));
+    return parser.end();
+}
+
+/**
+ * Cut text at random places
+ * @param {string} text - Text to cut
+ * @param {Function} next - Random number source
+ * @param {number} maxSize - Longest piece
+ * @returns {Array} Pieces
+ */
+function randomChunks(text, next, maxSize) {
+    const chunks = [];
+    for (let i = 0; i < text.length;) {
+        const size = 1 + Math.floor(next() * maxSize);
+        chunks.push(text.slice(i, i + size));
+        i += size;
+    }
+    return chunks;
+}
+
+test('the fixture has the escapes these tests are about', () => {
+    assert.match(PRETTY, /\\"/);
+    assert.match(PRETTY, /\\\\/);
+    assert.match(ASCII, /\\ud83c\\udf89/); // 🎉
+});
+
+test('parses a whole scan like JSON.parse', () => {
+    [PRETTY, MINIFIED, ASCII].forEach(text => {
+        assert.deepStrictEqual(parseChunks([text]), EXPECTED);
+    });
+});
+
+test('parses a scan cut into random chunks like JSON.parse', () => {
+    const next = random(42);
+    [PRETTY, MINIFIED, ASCII].forEach(text => {
+        [1, 3, 16, 200].forEach(maxSize => {
+            for (let run = 0; run < 25; run++) {
+                assert.deepStrictEqual(parseChunks(randomChunks(text, next, maxSize)), EXPECTED, `chunks up to ${maxSize}`);
+            }
+        });
+    });
+});
+
+test('escapes, surrogate pairs and literals survive a cut at every position', () => {
+    const text = '{"name":"a\\"b\\\\c\\/\\n\\u00e9\\ud83c\\udf89","type":"file","size":-12.5e3,"hash":null,"ok":true,"no":false}';
+    const expected = JSON.parse(text);
+    for (let i = 1; i < text.length; i++) {
+        assert.deepStrictEqual(parseChunks([text.slice(0, i), text.slice(i)]), expected, `cut at ${i}`);
+    }
+});
+
+test('nodes reach their parent only once their type is known', () => {
+    const events = [];
+    const parser = new TreeParser({
+        onRoot: root => events.push(['root', root.name]),
+        onNode: (node, parent) => events.push(['node', node.name, node.path, node.type, parent.name])
+    });
+
+    parser.write('{"name":"top","path":"","type":"directory","children":[{"name":"a.txt","path":"a.txt"');
+    assert.deepStrictEqual(events, [['root', 'top']]);
+    assert.deepStrictEqual(parser.root.children, []);
+
+    parser.write(',"type":"file","size":1}');
+    assert.deepStrictEqual(events, [['root', 'top'], ['node', 'a.txt', 'a.txt', 'file', 'top']]);
+
+    parser.write(',{"name":"b","path":"b","type":"directory","children":[{"name":"c","path":"b/c","type":"file"}]}]}');
+    assert.deepStrictEqual(events.slice(2), [['node', 'b', 'b', 'directory', 'top'], ['node', 'c', 'b/c', 'file', 'b']]);
+    assert.deepStrictEqual(parser.end().children.map(child => child.name), ['a.txt', 'b']);
+});
+
+test('a node without a type is attached when it closes, in order', () => {
+    const root = parseChunks(['{"name":"top","type":"directory","children":[{"name":"odd"},{"name":"next","type":"file"}]}']);
+    assert.deepStrictEqual(root.children.map(child => child.name), ['odd', 'next']);
+});
+
+test('every truncation of a scan is an error', () => {
+    for (let i = 0; i < MINIFIED.length; i++) {
+        assert.throws(() => parseChunks([MINIFIED.slice(0, i)]), Error, `cut after ${i} characters`);
+    }
+});
+
+test('malformed input is an error', () => {
+    assert.throws(() => parseChunks(['{"name":"a\\x"}']), /Invalid escape/);
+    assert.throws(() => parseChunks(['{"children":[}']), /Unexpected "}"/);
+    assert.throws(() => parseChunks(['{"size":12abc}']), /Unexpected "12abc"/);
+});
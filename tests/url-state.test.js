@@ -0,0 +1,49 @@
+/**
+ * tests/url-state.test.js - Tests for js/url-state.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./helpers');
+
+const { UrlState } = loadScript('url-state.js');
+
+const DEFAULTS = { path: '', selected: null, zoom: null, pan: null, query: '', mode: null };
+
+test('a plain directory link stays short', () => {
+    assert.strictEqual(UrlState.format({ path: 'photos/2024' }), '#/photos/2024');
+    assert.strictEqual(UrlState.format({ path: '', zoom: 1, pan: { x: 0.2, y: -0.4 } }), '#/');
+    assert.strictEqual(UrlState.format({ path: 'a', query: '', mode: 'fuzzy' }), '#/a');
+    assert.strictEqual(UrlState.format({ path: 'a', query: 'x', mode: 'text' }), '#/a?q=x');
+});
+
+test('parameters keep slashes and colons readable', () => {
+    assert.strictEqual(
+        UrlState.format({ path: 'photos', selected: 'photos/beach.jpg', zoom: 1.5, pan: { x: -120.4, y: 40 }, query: 'ext:jpg', mode: 'fuzzy' }),
+        '#/photos?sel=photos/beach.jpg&z=1.5&x=-120&y=40&q=ext:jpg&m=fuzzy'
+    );
+});
+
+test('routes survive a round trip, whatever their names hold', () => {
+    const names = ['plain', 'with space', 'what?', 'number #1', 'a+b', '100%', 'ünïcødé 日本', 'semi;colon&amp=x', '%2F'];
+    names.forEach(name => {
+        const route = {
+            path: `dir/${name}`,
+            selected: `dir/${name}/${name}.txt`,
+            zoom: 2.25,
+            pan: { x: 10, y: -20 },
+            query: `name:"${name}" -x`,
+            mode: 'regex'
+        };
+        assert.deepStrictEqual(UrlState.parse(UrlState.format(route)), route, name);
+    });
+});
+
+test('parse fills in defaults and ignores what it cannot read', () => {
+    assert.deepStrictEqual(UrlState.parse(''), DEFAULTS);
+    assert.deepStrictEqual(UrlState.parse('#section'), DEFAULTS); // An ordinary anchor, not a route
+    assert.deepStrictEqual(UrlState.parse('/docs'), { ...DEFAULTS, path: 'docs' });
+    assert.deepStrictEqual(UrlState.parse('#//docs//api/'), { ...DEFAULTS, path: 'docs/api' });
+    assert.deepStrictEqual(UrlState.parse('#/a?z=-1&x=1&y=oops'), { ...DEFAULTS, path: 'a' });
+    assert.deepStrictEqual(UrlState.parse('#/bad%E0%A4%A'), { ...DEFAULTS, path: 'bad%E0%A4%A' });
+});